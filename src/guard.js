@@ -1,63 +1,802 @@
-import { getType, isPlainObject, stringify } from "./type.js";
-class GuardError extends Error {
+import { describeType, findDeepDifference, isPlainObject, stringify } from "./type.js";
+import { isCnNameString, isDurationString, isIntegerString, isUnsignedIntegerString, parseDurationString } from "./validation.js";
+const GUARD_ERROR_BRAND = Symbol("guardError");
+/**
+ * 守卫错误的结构化信息
+ * @typedef {{
+ *   code?: string,
+ *   variableName?: string,
+ *   expected?: string,
+ *   received?: string,
+ *   index?: number,
+ *   key?: string|symbol,
+ *   keys?: (string|symbol)[],
+ *   cause?: unknown
+ * }} GuardErrorDetails
+ */
+/**
+ * 为守卫错误写入结构化字段
+ * @param {Error} error
+ * @param {GuardErrorDetails} details
+ */
+const initGuardError = (error, { code = GUARD_CODES.GUARD_FAILED, variableName, expected, received, index, key, keys } = {}) => {
+    Object.defineProperty(error, GUARD_ERROR_BRAND, { value: true });
+    error.code = code;
+    error.variableName = variableName;
+    error.expected = expected;
+    error.received = received;
+    if (index !== undefined) error.index = index;
+    if (key !== undefined) error.key = key;
+    if (keys !== undefined) error.keys = keys;
+}
+/**
+ * 守卫错误基类，所有守卫错误（包括 GuardTypeError、GuardRangeError）都可以用 `instanceof GuardError` 识别
+ *
+ * - `code` 为稳定的问题代码（见 `GUARD_CODES`），不随错误消息的措辞变化
+ * - `variableName` 为出错的变量名或路径，`name` 为错误类名（如 `"GuardTypeError"`）
+ * - `expected`、`received` 为期望与实际的描述，`index`、`key`、`keys` 为出错的下标或键
+ */
+export class GuardError extends Error {
+    /**
+     * @param {string} message - 错误消息
+     * @param {GuardErrorDetails} [details] - 结构化信息
+     */
+    constructor(message, details = {}) {
+        super(message, "cause" in details ? { cause: details.cause } : undefined);
+        initGuardError(this, details);
+    }
+    static [Symbol.hasInstance](instance) {
+        if (this !== GuardError) return Function.prototype[Symbol.hasInstance].call(this, instance);
+        return Boolean(instance?.[GUARD_ERROR_BRAND]);
+    }
+}
+/**
+ * 类型不符时抛出的守卫错误，继承自 TypeError 以保持兼容
+ */
+export class GuardTypeError extends TypeError {
+    /**
+     * @param {string} message - 错误消息
+     * @param {GuardErrorDetails} [details] - 结构化信息
+     */
+    constructor(message, details = {}) {
+        super(message, "cause" in details ? { cause: details.cause } : undefined);
+        initGuardError(this, details);
+    }
+}
+/**
+ * 取值超出范围时抛出的守卫错误，继承自 RangeError 以保持兼容
+ */
+export class GuardRangeError extends RangeError {
+    /**
+     * @param {string} message - 错误消息
+     * @param {GuardErrorDetails} [details] - 结构化信息
+     */
+    constructor(message, details = {}) {
+        super(message, "cause" in details ? { cause: details.cause } : undefined);
+        initGuardError(this, details);
+    }
+}
+/**
+ * 对象缺少键或自有属性时抛出的守卫错误
+ */
+export class GuardKeyError extends GuardError { }
+/**
+ * 等待异步结果超时时抛出的守卫错误
+ */
+export class GuardTimeoutError extends GuardError { }
+/**
+ * 守卫函数自身被错误使用时抛出的错误，如传入了不合法的结构或参数
+ */
+export class GuardUsageError extends GuardError {
     /**
-     * 
-     * @param {string|Error} cause
+     * @param {string|Error} cause - 失败原因
      */
     constructor(cause) {
-        if (cause instanceof Error) {
-            super(`Guard execution failed: ${cause.message}`);
-            this.stack = cause.stack;
-        } else {
-            super(`Guard execution failed: ${cause || "Unknown error"}`);
+        super(
+            formatGuardMessage(activeCatalogs(), GUARD_CODES.GUARD_EXECUTION_FAILED, {
+                reason: cause instanceof Error ? cause.message : cause || "Unknown error"
+            }),
+            { code: GUARD_CODES.GUARD_EXECUTION_FAILED, ...(cause instanceof Error ? { cause } : {}) }
+        );
+        Error?.captureStackTrace?.(this, GuardUsageError);
+    }
+}
+// name 定义在原型上，不会作为自有属性出现在问题对象中
+for (const ErrorClass of [GuardError, GuardTypeError, GuardRangeError, GuardKeyError, GuardTimeoutError, GuardUsageError]) {
+    Object.defineProperty(ErrorClass.prototype, "name", { value: ErrorClass.name, writable: true, enumerable: false, configurable: true });
+}
+/**
+ * 守卫问题代码，用于区分失败原因，不随错误消息的措辞变化
+ */
+export const GUARD_CODES = Object.freeze({
+    /** 类型不符，如期望数字却得到字符串 */
+    INVALID_TYPE: "INVALID_TYPE",
+    /** 类型正确但取值不符，如 NaN、非整数、不在期望值之中 */
+    INVALID_VALUE: "INVALID_VALUE",
+    /** 取值为不期望的值 */
+    UNEXPECTED_VALUE: "UNEXPECTED_VALUE",
+    /** 取值超出范围 */
+    OUT_OF_RANGE: "OUT_OF_RANGE",
+    /** 数组中的元素不符合要求 */
+    INVALID_ELEMENT: "INVALID_ELEMENT",
+    /** 数组长度不符合要求 */
+    INVALID_LENGTH: "INVALID_LENGTH",
+    /** 数组为空 */
+    EMPTY: "EMPTY",
+    /** 缺少键 */
+    MISSING_KEY: "MISSING_KEY",
+    /** 缺少全部候选键 */
+    MISSING_ALL_KEYS: "MISSING_ALL_KEYS",
+    /** 缺少自有属性 */
+    MISSING_OWN_PROPERTY: "MISSING_OWN_PROPERTY",
+    /** 含有不允许的键 */
+    UNKNOWN_KEY: "UNKNOWN_KEY",
+    /** 缺少全部候选自有属性 */
+    MISSING_ALL_OWN_PROPERTIES: "MISSING_ALL_OWN_PROPERTIES",
+    /** 嵌套路径中途中断 */
+    MISSING_PATH: "MISSING_PATH",
+    /** 不满足联合结构中的任何一个候选结构 */
+    NO_MATCHING_ALTERNATIVE: "NO_MATCHING_ALTERNATIVE",
+    /** 异步结果未在限定时间内敲定 */
+    TIMEOUT: "TIMEOUT",
+    /** 与期望值不深度相等 */
+    NOT_DEEP_EQUAL: "NOT_DEEP_EQUAL",
+    /** 自定义守卫抛出的、不带问题代码的错误 */
+    GUARD_FAILED: "GUARD_FAILED",
+    /** 守卫函数自身被错误使用 */
+    GUARD_EXECUTION_FAILED: "GUARD_EXECUTION_FAILED"
+});
+// ------------------------------------------------
+// 守卫消息目录
+// ------------------------------------------------
+/**
+ * 守卫消息目录
+ * - `messages`：以问题代码（见 `GUARD_CODES`）为键，值为带 `{占位符}` 的模板，或接收占位参数并返回消息的函数。
+ *   常用占位符有 `name`、`expected`、`received`，缺键类消息另有 `key`、`keys`、`missing`
+ * - `terms`：以英文描述为键的译文，用于翻译期望值与实际值的描述，键中同样可以带 `{占位符}`
+ * - `or`：将多个候选描述连接为一句话
+ * @typedef {{
+ *   messages?: { [code: string]: string | ((params: Record<string, string>) => string) },
+ *   terms?: { [term: string]: string },
+ *   or?: (descs: string[]) => string
+ * }} GuardMessageCatalog
+ */
+/** @type {{ [locale: string]: GuardMessageCatalog }} */
+const guardMessageCatalogs = {
+    "en": {
+        messages: {
+            INVALID_TYPE: "Expected {name} to be {expected}, but got {received}.",
+            INVALID_VALUE: "Expected {name} to be {expected}, but got {received}.",
+            UNEXPECTED_VALUE: "Expected {name} not to be {expected}, but got {received}.",
+            OUT_OF_RANGE: "Expected {name} to be {expected}, but got {received}.",
+            INVALID_ELEMENT: "Expected {elements} to be {expected}, but found {received}.",
+            INVALID_LENGTH: "Expected {name} to have {expected}, but got {received}.",
+            EMPTY: "Expected {name} to have {expected}, but got {received}.",
+            MISSING_KEY: ({ name, key, keys, missing }) => missing === undefined ?
+                `Expected ${name} to have key : ${key}, but cannot find.` :
+                `Expected ${name} to have all keys of ${keys}, but missing ${missing}.`,
+            MISSING_ALL_KEYS: "Expected {name} to have at least one key of {keys}, but cannot find.",
+            MISSING_OWN_PROPERTY: ({ name, key, keys, missing }) => missing === undefined ?
+                `Expected ${name} to have own property : ${key}, but cannot find.` :
+                `Expected ${name} to have all own properties of ${keys}, but missing ${missing}.`,
+            MISSING_ALL_OWN_PROPERTIES: "Expected {name} to have at least one own property of {keys}, but cannot find.",
+            MISSING_PATH: ({ name, root, path, key, received }) => received === undefined ?
+                `Expected ${root} to have path ${path}, but ${name} has no key ${key}.` :
+                `Expected ${root} to have path ${path}, but ${name} is ${received}.`,
+            UNKNOWN_KEY: ({ name, key, keys, suggestion }) => suggestion === undefined ?
+                `Unknown key ${key} in ${name}, expected one of ${keys}.` :
+                `Unknown key ${key} in ${name}, did you mean ${suggestion}?`,
+            NO_MATCHING_ALTERNATIVE: ({ name, expected, received, details }) => details === undefined ?
+                `Expected ${name} to be ${expected}, but got ${received}.` :
+                `Expected ${name} to match ${expected}, but got ${received}. ${details}`,
+            TIMEOUT: "Expected {name} to settle within {expected}, but it did not.",
+            NOT_DEEP_EQUAL: ({ name, root, expected, received }) => name === root ?
+                `Expected ${name} to deeply equal the expected value, but it differs: expected ${expected}, got ${received}.` :
+                `Expected ${root} to deeply equal the expected value, but ${name} differs: expected ${expected}, got ${received}.`,
+            GUARD_EXECUTION_FAILED: "Guard execution failed: {reason}"
+        },
+        terms: {},
+        or: (descs) => descs.length === 1 ?
+            descs[0] :
+            `${descs.slice(0, -1).join(", ")} or ${descs[descs.length - 1]}`
+    },
+    "zh-CN": {
+        messages: {
+            INVALID_TYPE: "期望 {name} 为 {expected}，实际为 {received}。",
+            INVALID_VALUE: "期望 {name} 为 {expected}，实际为 {received}。",
+            UNEXPECTED_VALUE: "期望 {name} 不为 {expected}，实际为 {received}。",
+            OUT_OF_RANGE: "期望 {name} 为 {expected}，实际为 {received}。",
+            INVALID_ELEMENT: "期望 {elements} 为 {expected}，但发现 {received}。",
+            INVALID_LENGTH: "期望 {name} 有 {expected}，实际为 {received}。",
+            EMPTY: "期望 {name} 有 {expected}，实际为 {received}。",
+            MISSING_KEY: ({ name, key, keys, missing }) => missing === undefined ?
+                `期望 ${name} 含有键 ${key}，但未找到。` :
+                `期望 ${name} 含有全部键 ${keys}，但缺少 ${missing}。`,
+            MISSING_ALL_KEYS: "期望 {name} 至少含有 {keys} 中的一个键，但均未找到。",
+            MISSING_OWN_PROPERTY: ({ name, key, keys, missing }) => missing === undefined ?
+                `期望 ${name} 含有自有属性 ${key}，但未找到。` :
+                `期望 ${name} 含有全部自有属性 ${keys}，但缺少 ${missing}。`,
+            MISSING_ALL_OWN_PROPERTIES: "期望 {name} 至少含有 {keys} 中的一个自有属性，但均未找到。",
+            MISSING_PATH: ({ name, root, path, key, received }) => received === undefined ?
+                `期望 ${root} 含有路径 ${path}，但 ${name} 没有键 ${key}。` :
+                `期望 ${root} 含有路径 ${path}，但 ${name} 为 ${received}。`,
+            UNKNOWN_KEY: ({ name, key, keys, suggestion }) => suggestion === undefined ?
+                `${name} 含有未知的键 ${key}，允许的键为 ${keys}。` :
+                `${name} 含有未知的键 ${key}，是否想输入 ${suggestion}？`,
+            NO_MATCHING_ALTERNATIVE: ({ name, expected, received, details }) => details === undefined ?
+                `期望 ${name} 为 ${expected}，实际为 ${received}。` :
+                `期望 ${name} 满足 ${expected}，实际为 ${received}。${details}`,
+            TIMEOUT: "期望 {name} 在 {expected} 内敲定，但已超时。",
+            NOT_DEEP_EQUAL: ({ name, root, expected, received }) => name === root ?
+                `期望 ${name} 与期望值深度相等，但两者不同：期望 ${expected}，实际为 ${received}。` :
+                `期望 ${root} 与期望值深度相等，但 ${name} 不同：期望 ${expected}，实际为 ${received}。`,
+            GUARD_EXECUTION_FAILED: "守卫执行失败：{reason}"
+        },
+        terms: {
+            // 期望描述
+            "a number": "数字",
+            "a comparable number": "可比较的数字（非 NaN）",
+            "a finite number": "有限数",
+            "a non-zero finite number": "非零有限数",
+            "a positive finite number": "正有限数",
+            "a negative finite number": "负有限数",
+            "a non-negative finite number": "非负有限数",
+            "an integer": "整数",
+            "a positive integer": "正整数",
+            "a negative integer": "负整数",
+            "a non-negative integer": "非负整数",
+            "a truthy value": "真值",
+            "an object": "对象",
+            "a plain object": "普通对象",
+            "a regexp": "正则表达式",
+            "a date": "日期",
+            "a valid date": "有效日期",
+            "a function": "函数",
+            "an iterable": "可迭代值",
+            "an iterable object": "可迭代对象",
+            "an array": "数组",
+            "at least one item": "至少一个元素",
+            "{count} items": "{count} 个元素",
+            "{min} to {max} items": "{min} 到 {max} 个元素",
+            "one of {count} alternatives": "{count} 个候选结构之一",
+            // 数组元素描述
+            "all elements of {name}": "{name} 的所有元素",
+            "each element of {name}": "{name} 的每个元素",
+            "each value of {name}": "{name} 的每个值",
+            "{value} at index {index}": "下标 {index} 处的 {value}",
+            "{value} at key {key}": "键 {key} 处的 {value}",
+            "a map": "Map",
+            "a set": "Set",
+            "a weak map": "WeakMap",
+            "a typed array": "类型化数组",
+            "an array buffer": "ArrayBuffer",
+            "a promise": "Promise",
+            "a promise-like value": "类 Promise 值（thenable）",
+            "an async iterable": "异步可迭代值",
+            "a duration string": "时长字符串",
+            "duration strings": "时长字符串",
+            "a {kind}": "{kind}",
+            "a non-array element": "非数组元素",
+            "a boolean": "布尔值",
+            "a value satisfying {predicate}": "满足 {predicate} 的值",
+            "a matching value": "匹配的值",
+            "a non-empty string": "非空字符串",
+            "at least one character": "至少一个字符",
+            "an empty string": "空字符串",
+            "a non-blank string": "非空白字符串",
+            "a string matching {pattern}": "匹配 {pattern} 的字符串",
+            "an integer string": "整数字符串",
+            "an unsigned integer string": "无符号整数字符串",
+            "a Chinese name string": "中文姓名字符串",
+            "non-empty strings": "非空字符串",
+            "non-blank strings": "非空白字符串",
+            "strings matching {pattern}": "匹配 {pattern} 的字符串",
+            "integer strings": "整数字符串",
+            "unsigned integer strings": "无符号整数字符串",
+            "Chinese name strings": "中文姓名字符串",
+            "a length of {value}, same as {path}": "与 {path} 相同的长度 {value}",
+            "a string": "字符串",
+            "a bigint": "bigint",
+            "an invalid date": "无效日期",
+            // 范围描述
+            "at least {min}": "不小于 {min}",
+            "greater than {min}": "大于 {min}",
+            "at most {max}": "不大于 {max}",
+            "less than {max}": "小于 {max}",
+            "on or after {min}": "不早于 {min}",
+            "after {min}": "晚于 {min}",
+            "on or before {max}": "不晚于 {max}",
+            "before {max}": "早于 {max}",
+            "exactly {value}": "恰为 {value}",
+            "{lower} and {upper}": "{lower} 且 {upper}",
+            "a number {bounds}": "{bounds} 的数字",
+            "a bigint {bounds}": "{bounds} 的 bigint",
+            "a date {bounds}": "{bounds} 的日期",
+            "a length {bounds}": "{bounds} 的长度",
+            "a size {bounds}": "{bounds} 的大小",
+            "numbers {bounds}": "{bounds} 的数字",
+            "bigints {bounds}": "{bounds} 的 bigint",
+            "dates {bounds}": "{bounds} 的日期",
+            "strings with a length {bounds}": "长度{bounds} 的字符串",
+            "arrays with a length {bounds}": "长度{bounds} 的数组",
+            "sets with a size {bounds}": "大小{bounds} 的 Set",
+            "maps with a size {bounds}": "大小{bounds} 的 Map",
+            "a length of {value}": "长度 {value}",
+            "a size of {value}": "大小 {value}",
+            "{value}, which is not {bound}": "{value}，不满足{bound}",
+            "a value of type {type}": "类型为 {type} 的值",
+            "a non-date value of type {type}": "类型为 {type} 的非日期值",
+            "strings": "字符串",
+            "bigints": "bigint",
+            "symbols": "symbol",
+            "plain objects": "普通对象",
+            "numbers": "数字",
+            "comparable numbers(not NaN)": "可比较的数字（非 NaN）",
+            "finite numbers": "有限数",
+            "divisible numbers": "可作除数的数字（非零有限数）",
+            "positive finite numbers": "正有限数",
+            "non-negative finite numbers": "非负有限数",
+            "negative finite numbers": "负有限数",
+            "integers": "整数",
+            "positive integers": "正整数",
+            "non-negative integers": "非负整数",
+            "negative integers": "负整数",
+            "zero": "零",
+            "a negative number ({value})": "负数（{value}）",
+            "a positive number ({value})": "正数（{value}）",
+            "a non-integer value ({value})": "非整数（{value}）",
+            "a non-number value of type {type}": "类型为 {type} 的非数字值",
+            "a non-string value of type {type}": "类型为 {type} 的非字符串值",
+            "a non-bigint value of type {type}": "类型为 {type} 的非 bigint 值",
+            "a non-symbol value of type {type}": "类型为 {type} 的非 symbol 值",
+            "a non-plain object value of type {type}": "类型为 {type} 的非普通对象值",
+            // getType 返回的类型名
+            "string": "字符串",
+            "number": "数字",
+            "boolean": "布尔值",
+            "object": "对象",
+            "array": "数组",
+            "function": "函数",
+            "date": "日期",
+            "regexp": "正则表达式",
+            "error": "错误对象",
+            // describeType 得到的细分类型
+            "instance of {name}": "{name} 的实例",
+            "class {name}": "类 {name}",
+            "boxed {type}": "包装的{type}",
+            "null-prototype object": "无原型对象",
+            "async function": "异步函数",
+            "generator function": "生成器函数",
+            "async generator function": "异步生成器函数",
+            "arrow function": "箭头函数",
+            "async arrow function": "异步箭头函数",
+            "bound function": "绑定函数",
+            // 深度相等守卫的差异描述
+            "a missing property": "缺失的属性",
+            "a missing entry": "缺失的条目",
+            "no such property": "无此属性",
+            "no such entry": "无此条目",
+            "no such member": "无此成员",
+            "member {value}": "成员 {value}",
+            "an object with prototype {name}": "原型为 {name} 的对象",
+            "{value} at position {index}": "位于第 {index} 位的 {value}"
+        },
+        or: (descs) => descs.length === 1 ?
+            descs[0] :
+            `${descs.slice(0, -1).join("、")} 或 ${descs[descs.length - 1]}`
+    }
+};
+let guardLocale = "en";
+/**
+ * 局部消息作用域栈，元素为语言标识或局部消息目录
+ * @type {(string | GuardMessageCatalog)[]}
+ */
+const guardLocaleScopes = [];
+/**
+ * 按优先级从高到低返回当前生效的消息目录：局部目录、当前语言目录、英文目录
+ * @returns {GuardMessageCatalog[]}
+ */
+const activeCatalogs = () => {
+    const catalogs = [];
+    let locale = guardLocale;
+    for (let i = guardLocaleScopes.length - 1; i >= 0; i--) {
+        const scope = guardLocaleScopes[i];
+        if (typeof scope === "string") {
+            locale = scope;
+            break;
+        }
+        catalogs.push(scope);
+    }
+    catalogs.push(guardMessageCatalogs[locale], guardMessageCatalogs.en);
+    return catalogs;
+}
+const lookupCatalogs = (catalogs, field, key) => {
+    for (const catalog of catalogs) {
+        const entry = field === "or" ? catalog?.or : catalog?.[field]?.[key];
+        if (entry !== undefined) return entry;
+    }
+}
+const interpolate = (template, params) => template.replace(/\{(\w+)\}/g, (match, key) => key in params ? String(params[key]) : match);
+/**
+ * 生成可翻译的描述，模板以英文书写，翻译时以模板本身为键查找译文
+ * @param {string} template - 英文模板，如 `"a negative number ({value})"`
+ * @param {Record<string, *>} params - 占位参数，仅由 term 生成的参数值会被翻译
+ * @returns {{ template: string, params: Record<string, *> }}
+ */
+const term = (template, params = {}) => ({ template, params });
+/**
+ * 翻译描述：字符串整体查找译文；由 term 生成的描述先翻译模板，再填入翻译后的参数
+ * @param {GuardMessageCatalog[]} catalogs
+ * @param {*} desc
+ * @returns {string|undefined}
+ */
+const localizeTerm = (catalogs, desc) => {
+    if (desc === undefined) return desc;
+    if (desc !== null && typeof desc === "object") {
+        const template = lookupCatalogs(catalogs, "terms", desc.template) ?? desc.template;
+        const params = Object.fromEntries(Object.entries(desc.params).map(([k, v]) => [k, v !== null && typeof v === "object" ? localizeTerm(catalogs, v) : String(v)]));
+        return interpolate(template, params);
+    }
+    const text = String(desc);
+    return lookupCatalogs(catalogs, "terms", text) ?? text;
+}
+/**
+ * 按问题代码生成当前语言的消息
+ * @param {GuardMessageCatalog[]} catalogs
+ * @param {string} code
+ * @param {Record<string, string>} params
+ * @returns {string}
+ */
+const formatGuardMessage = (catalogs, code, params) => {
+    const entry = lookupCatalogs(catalogs, "messages", code);
+    if (typeof entry === "function") return entry(params);
+    if (typeof entry === "string") return interpolate(entry, params);
+    return `${code}: ${params.name}`;
+}
+/**
+ * 使用当前语言的消息目录创建守卫错误
+ * @param {new (message: string, details?: GuardErrorDetails) => Error} ErrorClass - 错误类
+ * @param {GuardErrorDetails & { expected?: * }} details - 结构化信息，`expected` 为数组时表示多个候选描述
+ * @param {Record<string, *>} [params] - 消息模板的额外占位参数，由 term 生成的参数值会被翻译
+ * @returns {Error}
+ */
+const createGuardError = (ErrorClass, details, params = {}) => {
+    const catalogs = activeCatalogs();
+    const expected = Array.isArray(details.expected) ?
+        lookupCatalogs(catalogs, "or")(details.expected.map(desc => localizeTerm(catalogs, desc))) :
+        localizeTerm(catalogs, details.expected);
+    const received = localizeTerm(catalogs, details.received);
+    const localizedParams = Object.fromEntries(Object.entries(params).map(([k, v]) => [k, v !== null && typeof v === "object" ? localizeTerm(catalogs, v) : v]));
+    const message = formatGuardMessage(catalogs, details.code, { ...localizedParams, name: details.variableName, expected, received });
+    return new ErrorClass(message, { ...details, expected, received });
+}
+/**
+ * 设置守卫错误消息的全局语言
+ * @param {string} locale - 语言标识，须为内置的 `"en"`、`"zh-CN"` 或已通过 `registerGuardMessages` 注册的语言
+ * @returns {string} 之前的语言标识
+ * @throws {GuardUsageError} 当语言未注册时抛出
+ * @example
+ * setGuardLocale("zh-CN");
+ * throwIfIsNotFiniteNumber("1", "x") // => TypeError: 期望 x 为 数字，实际为 字符串。
+ */
+export function setGuardLocale(locale) {
+    if (!Object.hasOwn(guardMessageCatalogs, locale)) {
+        throw new GuardUsageError(`Expected locale to be one of ${stringify(Object.keys(guardMessageCatalogs))}, but got ${stringify(locale)}.`);
+    }
+    const previous = guardLocale;
+    guardLocale = locale;
+    return previous;
+}
+/**
+ * 获取守卫错误消息当前生效的语言
+ * @returns {string}
+ */
+export function getGuardLocale() {
+    for (let i = guardLocaleScopes.length - 1; i >= 0; i--) {
+        if (typeof guardLocaleScopes[i] === "string") return guardLocaleScopes[i];
+    }
+    return guardLocale;
+}
+/**
+ * 注册或覆盖某个语言的消息目录，与已有目录按条目合并；未提供的条目将回退到英文目录
+ * @param {string} locale - 语言标识
+ * @param {GuardMessageCatalog} catalog - 消息目录
+ * @example
+ * registerGuardMessages("zh-CN", { messages: { INVALID_TYPE: "{name} 的类型应为 {expected}" } });
+ * registerGuardMessages("ja", { messages: { INVALID_TYPE: "{name} は {expected} である必要があります" }, terms: { "a number": "数値" } });
+ */
+export function registerGuardMessages(locale, catalog) {
+    safeGuardExecute(throwIfIsNotString, locale, "locale");
+    safeGuardExecute(throwIfIsNotPlainObject, catalog, "catalog");
+    const current = guardMessageCatalogs[locale] ?? {};
+    guardMessageCatalogs[locale] = {
+        messages: { ...current.messages, ...catalog.messages },
+        terms: { ...current.terms, ...catalog.terms },
+        or: catalog.or ?? current.or
+    };
+}
+/**
+ * 在局部消息作用域中执行函数，期间产生的守卫错误使用指定的语言或消息目录，作用域结束后恢复
+ *
+ * - 传入语言标识时，切换到该语言
+ * - 传入消息目录时，仅覆盖其中提供的条目，其余条目仍使用当前语言
+ * - 作用域仅覆盖函数同步执行的部分
+ * @template T
+ * @param {string | GuardMessageCatalog} localeOrCatalog - 语言标识或局部消息目录
+ * @param {() => T} fn - 要执行的函数
+ * @returns {T} 函数的返回值
+ * @example
+ * withGuardLocale("zh-CN", () => throwIfIsNotString(1, "title"))
+ * // => TypeError: 期望 title 为 字符串，实际为 数字。
+ * withGuardLocale({ messages: { MISSING_KEY: "缺少必填项 {key}" } }, () => throwIfKeyMissing({}, "name", "form"))
+ * // => Error: 缺少必填项 "name"
+ */
+export function withGuardLocale(localeOrCatalog, fn) {
+    if (typeof localeOrCatalog === "string" && !Object.hasOwn(guardMessageCatalogs, localeOrCatalog)) {
+        throw new GuardUsageError(`Expected locale to be one of ${stringify(Object.keys(guardMessageCatalogs))}, but got ${stringify(localeOrCatalog)}.`);
+    }
+    if (typeof localeOrCatalog !== "string") safeGuardExecute(throwIfIsNotPlainObject, localeOrCatalog, "localeOrCatalog");
+    safeGuardExecute(throwIfIsNotFunction, fn, "fn");
+    guardLocaleScopes.push(localeOrCatalog);
+    try {
+        return fn();
+    } finally {
+        guardLocaleScopes.pop();
+    }
+}
+// ------------------------------------------------
+// 守卫模式
+// ------------------------------------------------
+/**
+ * 守卫模式，只作用于库内各模块的参数校验（见 {@link runGuards}）以及 `guarded`、`awaitAndGuard`、`resolveOptions` 的校验；
+ * 直接调用的 `throwIf*` 守卫函数不受影响，校验失败时总是抛出
+ * - `"throw"`：校验失败时抛出错误（默认）
+ * - `"warn"`：校验失败时将错误交给日志函数记录，然后继续执行
+ * - `"off"`：跳过校验，库内各模块不再调用守卫
+ * @typedef {"throw" | "warn" | "off"} GuardMode
+ */
+const GUARD_MODES = ["throw", "warn", "off"];
+let guardMode = "throw";
+/** @type {(error: Error) => void} */
+let guardLogger = (error) => console.warn(error);
+/**
+ * 局部守卫模式。环境提供 AsyncLocalStorage（如 Node.js）时借助它使局部模式在异步回调与 await 之后依然有效，
+ * 否则退化为同步的作用域栈
+ */
+const AsyncLocalStorage = globalThis.process?.getBuiltinModule?.("node:async_hooks")?.AsyncLocalStorage;
+const guardModeStorage = AsyncLocalStorage ? new AsyncLocalStorage() : undefined;
+/** @type {GuardMode[]} */
+const guardModeScopes = [];
+/**
+ * 正在执行的库内参数校验的层数，大于 0 时守卫失败按守卫模式处理
+ */
+let libraryCheckDepth = 0;
+const assertGuardMode = (mode) => {
+    if (!GUARD_MODES.includes(mode)) {
+        throw new GuardUsageError(`Expected guard mode to be one of ${GUARD_MODES.map(m => JSON.stringify(m)).join(", ")}, but got ${stringify(mode)}.`);
+    }
+}
+/**
+ * 设置全局守卫模式
+ * @param {GuardMode} mode - 守卫模式
+ * @returns {GuardMode} 之前的全局守卫模式
+ * @throws {GuardUsageError} 当模式不合法时抛出
+ * @example
+ * setGuardMode("off");
+ * clamp("1", 0, 2) // 不再校验参数
+ */
+export function setGuardMode(mode) {
+    assertGuardMode(mode);
+    const previous = guardMode;
+    guardMode = mode;
+    return previous;
+}
+/**
+ * 获取当前生效的守卫模式，局部模式优先于全局模式
+ * @returns {GuardMode}
+ */
+export function getGuardMode() {
+    return (guardModeStorage ? guardModeStorage.getStore() : guardModeScopes[guardModeScopes.length - 1]) ?? guardMode;
+}
+/**
+ * 判断当前是否需要执行校验，即守卫模式不为 `"off"`，供库内各模块在调用守卫前判断
+ * @returns {boolean}
+ */
+export function isGuardEnabled() {
+    return getGuardMode() !== "off";
+}
+/**
+ * 执行库内各模块的参数校验，供库内各模块在进入函数体前调用：
+ *
+ * - 守卫模式为 `"off"` 时跳过 check
+ * - 在 {@link collectGuardIssues} 中执行时，check 中的全部问题会被记录，随后中止被收集的函数，
+ *   避免库函数带着不合法的参数继续执行；没有问题时照常返回
+ * - 其他情况下按守卫模式抛出或记录日志
+ * @param {() => void} check - 调用守卫函数的校验逻辑
+ * @example
+ * export function clamp(value, min, max) {
+ *     runGuards(() => {
+ *         throwIfIsNotComparableNumber(value, "value");
+ *         throwIfIsNotComparableNumber(min, "min");
+ *         throwIfIsNotComparableNumber(max, "max");
+ *     });
+ *     return Math.max(Math.min(value, max), min);
+ * }
+ */
+export function runGuards(check) {
+    if (!isGuardEnabled()) return;
+    const collector = issueCollectors[issueCollectors.length - 1];
+    if (!collector) {
+        libraryCheckDepth++;
+        try {
+            return check();
+        } finally {
+            libraryCheckDepth--;
         }
-        this.name = "GuardError";
-        Error?.captureStackTrace?.(this, GuardError);
     }
+    const issues = runCollecting(check);
+    if (issues.length === 0) return;
+    collector.push(...issues);
+    throw COLLECTION_ABORTED;
+}
+/**
+ * 设置 `"warn"` 模式下记录校验失败的日志函数，默认为 `console.warn`
+ * @param {(error: Error) => void} logger - 日志函数，接收守卫错误
+ * @returns {(error: Error) => void} 之前的日志函数
+ * @throws {GuardUsageError} 当 logger 不是函数时抛出
+ */
+export function setGuardLogger(logger) {
+    safeGuardExecute(throwIfIsNotFunction, logger, "logger");
+    const previous = guardLogger;
+    guardLogger = logger;
+    return previous;
+}
+/**
+ * 在局部守卫模式下执行函数，执行结束后恢复原模式
+ *
+ * 在提供 AsyncLocalStorage 的环境（如 Node.js）中，局部模式对 fn 内发起的异步操作（await 之后、定时器回调等）同样有效；
+ * 其他环境中局部模式只在 fn 同步执行期间有效
+ * @template T
+ * @param {GuardMode} mode - 守卫模式
+ * @param {() => T} fn - 要执行的函数，可以是异步函数
+ * @returns {T} fn 的返回值
+ * @throws {GuardUsageError} 当模式不合法时抛出
+ * @example
+ * withGuardMode("off", () => randomInts(1e6, [0, 10]))
+ * await withGuardMode("warn", async () => { await load(); return forwardFill(data, { len: 10 }); })
+ */
+export function withGuardMode(mode, fn) {
+    assertGuardMode(mode);
+    safeGuardExecute(throwIfIsNotFunction, fn, "fn");
+    if (guardModeStorage) return guardModeStorage.run(mode, fn);
+    guardModeScopes.push(mode);
+    try {
+        return fn();
+    } finally {
+        guardModeScopes.pop();
+    }
+}
+/**
+ * 守卫发现的一个问题
+ * @typedef {{
+ *   path: string,
+ *   code: string,
+ *   expected?: string,
+ *   received?: string,
+ *   message: string,
+ *   index?: number,
+ *   key?: string|symbol,
+ *   keys?: (string|symbol)[]
+ * }} GuardIssue
+ */
+/**
+ * 问题收集器栈：栈顶为数组时，守卫失败会被记录到其中而不是抛出；栈顶为 null 时恢复抛出，且不受守卫模式影响
+ * @type {(GuardIssue[] | null)[]}
+ */
+const issueCollectors = [];
+/**
+ * 库函数的参数校验在收集模式下失败时抛出的哨兵，由 runCollecting 捕获，用于中止被收集的函数
+ */
+const COLLECTION_ABORTED = Symbol("collectionAborted");
+/**
+ * 将守卫错误转换为问题列表，缺少多个键时每个键对应一个问题
+ * @param {*} error - 守卫抛出的错误
+ * @param {string} fallbackPath - 错误未登记问题信息时使用的路径
+ * @returns {GuardIssue[]}
+ */
+const toIssues = (error, fallbackPath = "variable") => {
+    const message = error?.message ?? String(error);
+    if (!(error instanceof GuardError)) return [{ path: fallbackPath, code: GUARD_CODES.GUARD_FAILED, message }];
+    const { variableName, code, keys, ...rest } = error;
+    if (code === GUARD_CODES.MISSING_KEY || code === GUARD_CODES.MISSING_OWN_PROPERTY) {
+        return (keys ?? [rest.key]).map(key => ({ path: joinPath(variableName, key), code, message, key }));
+    }
+    const path = "index" in rest ? joinPath(variableName, rest.index) :
+        "key" in rest ? joinPath(variableName, rest.key) : variableName;
+    return [{ path, code, ...rest, ...(keys ? { keys } : {}), message }];
+}
+/**
+ * 守卫失败的统一出口：处于收集模式时记录问题并返回；库内参数校验中按守卫模式裁剪调用栈后抛出、记录日志或忽略，其余情况总是抛出
+ * @param {Error} error - 守卫错误
+ * @param {Function} callee - 调用栈裁剪的起点，一般为守卫函数自身
+ */
+const raise = (error, callee) => {
+    const collector = issueCollectors[issueCollectors.length - 1];
+    if (collector) {
+        collector.push(...toIssues(error));
+        return;
+    }
+    const mode = collector === null || libraryCheckDepth === 0 ? "throw" : getGuardMode();
+    if (mode === "off") return;
+    Error?.captureStackTrace?.(error, callee);
+    if (mode === "warn") {
+        guardLogger(error);
+        return;
+    }
+    throw error;
 }
 const safeGuardExecute = (guardFunc, ...args) => {
+    issueCollectors.push(null);
     try {
         guardFunc(...args)
     } catch (err) {
-        const error = new GuardError(err);
+        const error = new GuardUsageError(err);
         Error?.captureStackTrace(error, safeGuardExecute);
         throw error
+    } finally {
+        issueCollectors.pop();
     }
 }
+/**
+ * 描述实际得到的类型，类实例、函数种类、包装对象等比 getType 更具体，如 "instance of Foo"
+ * @param {*} variable
+ * @returns {{ template: string, params: Record<string, *> }} 可翻译的描述，作为其他描述的参数时同样会被翻译
+ */
+const receivedType = (variable) => {
+    const descriptor = describeType(variable);
+    const { type, tag, summary } = descriptor;
+    if (summary === type) return term(type);
+    if (descriptor.isBoxedPrimitive) return term("boxed {type}", { type: term(tag.toLowerCase()) });
+    if (descriptor.functionKind === "class") return term("class {name}", { name: descriptor.name || "(anonymous)" });
+    if (summary.startsWith("instance of ")) return term("instance of {name}", { name: descriptor.constructorName || "(anonymous)" });
+    return term(summary);
+}
 const genTypeErrorGiveType = (variable, name = "variable", ...acceptableTypeDescs) => {
     if (acceptableTypeDescs?.length < 1) return;
-    return acceptableTypeDescs.length === 1 ?
-        new TypeError(`Expected ${name} to be ${acceptableTypeDescs}, but got ${getType(variable)}.`) :
-        new TypeError(`Expected ${name} to be ${acceptableTypeDescs.slice(0, -1).join(" ,")} or ${acceptableTypeDescs[acceptableTypeDescs.length - 1]}, but got ${getType(variable)}.`)
+    return createGuardError(GuardTypeError, {
+        code: GUARD_CODES.INVALID_TYPE, variableName: name, expected: acceptableTypeDescs, received: receivedType(variable)
+    });
 }
 
 
 const genTypeErrorGiveValue = (variable, name = "variable", ...acceptableValueDescs) => {
     if (acceptableValueDescs.length < 1) return;
-    console.log(acceptableValueDescs.slice(0, -1).join(" ,"))
-    return acceptableValueDescs.length === 1 ?
-        new TypeError(`Expected ${name} to be ${acceptableValueDescs}, but got ${stringify(variable)}.`) :
-        new TypeError(`Expected ${name} to be ${acceptableValueDescs.slice(0, -1).join(" ,")} or ${acceptableValueDescs[acceptableValueDescs.length - 1]}, but got ${stringify(variable)}.`)
+    return createGuardError(GuardTypeError, {
+        code: GUARD_CODES.INVALID_VALUE, variableName: name, expected: acceptableValueDescs, received: stringify(variable)
+    });
 }
 
 
 const genTypeErrorForUnexpectedValue = (variable, name, ...unexpectedValues) => {
     if (unexpectedValues.length < 1) return;
-    return unexpectedValues.length === 1 ?
-        new TypeError(`Expected ${name} not to be ${unexpectedValues}, but got ${variable}.`) :
-        new TypeError(`Expected ${name} not to be ${unexpectedValues.slice(0, -1).join(" ,")} or ${unexpectedValues[unexpectedValues.length - 1]}, but got ${variable}.`);
+    return createGuardError(GuardTypeError, {
+        code: GUARD_CODES.UNEXPECTED_VALUE, variableName: name, expected: unexpectedValues, received: String(variable)
+    });
 };
 
-const genTypeErrorForArray = (name = "variable", acceptableTypeDesc, unexpectedElementDesc) => {
-    return new TypeError(`Expected all elements of ${name} to be ${acceptableTypeDesc}, but found ${unexpectedElementDesc}.`)
+const genTypeErrorForArray = (generalTerm, acceptableTypeDesc, unexpectedElementDesc, name = "variable", index) => {
+    const elements = generalTerm === `all elements of ${name || "array"}` ? term("all elements of {name}", { name: name || "array" }) : generalTerm;
+    return createGuardError(GuardTypeError, {
+        code: GUARD_CODES.INVALID_ELEMENT, variableName: name, expected: acceptableTypeDesc, received: unexpectedElementDesc, index
+    }, { elements });
 }
 
 
 const genRangeErrorGiveValue = (variable, name = "variable", ...acceptableRangeDescs) => {
     if (acceptableRangeDescs.length < 1) return;
-    return acceptableRangeDescs.length === 1 ?
-        new RangeError(`Expected ${name} to be ${acceptableRangeDescs}, but got ${variable}.`) :
-        new RangeError(`Expected ${name} to be ${acceptableRangeDescs.slice(0, -1).join(" ,")} or ${acceptableRangeDescs[acceptableRangeDescs.length - 1]}, but got ${variable}.`)
+    return createGuardError(GuardRangeError, {
+        code: GUARD_CODES.OUT_OF_RANGE, variableName: name, expected: acceptableRangeDescs, received: String(variable)
+    });
 }
 // ------------------------------------------------
 // 数字判断函数
@@ -102,8 +841,7 @@ export function throwIfIsNotExpectedValue(variable, name = "variable", ...expect
     if (!expectedValues.includes(variable)) {
         const expectedValuesDescs = expectedValues.map(v => stringify(v));
         const error = genTypeErrorGiveValue(variable, name, ...expectedValuesDescs);
-        Error?.captureStackTrace?.(error, throwIfIsNotExpectedValue);
-        throw error;
+        raise(error, throwIfIsNotExpectedValue);
     }
 }
 /**
@@ -117,8 +855,7 @@ export function throwIfIsUnExpectedValue(variable, name = "variable", ...unexpec
     safeGuardExecute(throwIfIsNotNonEmptyArray, unexpectedValues, "unexpectedValues")
     if (unexpectedValues.includes(variable)) {
         const error = genTypeErrorForUnexpectedValue(variable, name, ...unexpectedValues);
-        Error?.captureStackTrace?.(error, throwIfIsUnExpectedValue);
-        throw error;
+        raise(error, throwIfIsUnExpectedValue);
     }
 }
 /**
@@ -130,8 +867,7 @@ export function throwIfIsUnExpectedValue(variable, name = "variable", ...unexpec
 export function throwIfIsNullishValue(variable, name = "variable") {
     if (variable == null) {
         const error = genTypeErrorForUnexpectedValue(variable, name, "null", "undefined");
-        Error?.captureStackTrace?.(error, throwIfIsNullishValue);
-        throw error;
+        raise(error, throwIfIsNullishValue);
     }
 }
 
@@ -144,8 +880,7 @@ export function throwIfIsNullishValue(variable, name = "variable") {
 export function throwIfIsFalsyValue(variable, name = "variable") {
     if (!variable) {
         const error = genTypeErrorGiveValue(variable, name, "a truthy value");
-        Error?.captureStackTrace?.(error, throwIfIsFalsyValue);
-        throw error;
+        raise(error, throwIfIsFalsyValue);
     }
 }
 
@@ -160,9 +895,11 @@ export function throwIfIsFalsyValue(variable, name = "variable") {
  */
 export function throwIfIsNotNumber(variable, name = "variable") {
     if (typeof variable !== "number") {
-        const error = genTypeErrorGiveValue(variable, name, "a number");
-        Error?.captureStackTrace?.(error, throwIfIsNotNumber);
-        throw error;
+        // 消息沿用早期版本，给出实际的值而非类型
+        const error = createGuardError(GuardTypeError, {
+            code: GUARD_CODES.INVALID_TYPE, variableName: name, expected: ["a number"], received: stringify(variable)
+        });
+        raise(error, throwIfIsNotNumber);
     }
 }
 /**
@@ -182,8 +919,7 @@ export function throwIfIsNotComparableNumber(variable, name = "variable") {
         }; break;
         default: return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotComparableNumber);
-    throw error;
+    raise(error, throwIfIsNotComparableNumber);
 }
 export const throwIfIsNotNumberOrIsNaN = throwIfIsNotComparableNumber;
 /**
@@ -203,8 +939,7 @@ export function throwIfIsNotFiniteNumber(variable, name = "variable") {
         }; break;
         default: return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotFiniteNumber);
-    throw error;
+    raise(error, throwIfIsNotFiniteNumber);
 }
 export function throwIfIsNotNonZeroFiniteNumber(variable, name = "variable") {
     let error;
@@ -220,9 +955,9 @@ export function throwIfIsNotNonZeroFiniteNumber(variable, name = "variable") {
         }; break;
         default: return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotNonZeroFiniteNumber);
-    throw error;
+    raise(error, throwIfIsNotNonZeroFiniteNumber);
 }
+export const throwIfIsNotDivisibleNumber = throwIfIsNotNonZeroFiniteNumber;
 /**
  * 检查变量是否为正有限数
  * @param {*} variable - 要检查的变量
@@ -233,12 +968,11 @@ export function throwIfIsNotPositiveFiniteNumber(variable, name = "variable") {
     let error;
     switch (true) {
         case (typeof variable !== "number"): error = genTypeErrorGiveType(variable, name, "a number"); break;
-        case (!Number.isFinite(variable)): error = genTypeErrorGiveValue(variable, name, "a postive finite number"); break;
+        case (!Number.isFinite(variable)): error = genTypeErrorGiveValue(variable, name, "a positive finite number"); break;
         case (variable <= 0): error = genRangeErrorGiveValue(variable, name, "a positive finite number"); break;
         default: return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotPositiveFiniteNumber);
-    throw error;
+    raise(error, throwIfIsNotPositiveFiniteNumber);
 }
 
 /**
@@ -262,8 +996,7 @@ export function throwIfIsNotNegativeFiniteNumber(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotNegativeFiniteNumber);
-    throw error;
+    raise(error, throwIfIsNotNegativeFiniteNumber);
 }
 
 /**
@@ -287,8 +1020,7 @@ export function throwIfIsNotNonNegativeFiniteNumber(variable, name = "variable")
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotNonNegativeFiniteNumber);
-    throw error;
+    raise(error, throwIfIsNotNonNegativeFiniteNumber);
 }
 
 /**
@@ -309,8 +1041,7 @@ export function throwIfIsNotInteger(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotInteger);
-    throw error;
+    raise(error, throwIfIsNotInteger);
 }
 /**
  * 检查变量是否为正整数
@@ -333,8 +1064,7 @@ export function throwIfIsNotPositiveInteger(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotPositiveInteger);
-    throw error;
+    raise(error, throwIfIsNotPositiveInteger);
 }
 
 /**
@@ -358,8 +1088,7 @@ export function throwIfIsNotNegativeInteger(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotNegativeInteger);
-    throw error;
+    raise(error, throwIfIsNotNegativeInteger);
 }
 
 /**
@@ -383,8 +1112,7 @@ export function throwIfIsNotNonNegativeInteger(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotNonNegativeInteger);
-    throw error;
+    raise(error, throwIfIsNotNonNegativeInteger);
 }
 //
 // 字符串类型守卫函数
@@ -406,8 +1134,96 @@ export function throwIfIsNotString(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotString);
-    throw error;
+    raise(error, throwIfIsNotString);
+}
+/**
+ * 生成字符串内容不合格时的错误，`isValid` 返回 `true` 表示内容合格
+ */
+const genStringError = (variable, name, expected, isValid) => {
+    if (typeof variable !== "string") return genTypeErrorGiveType(variable, name, expected);
+    if (!isValid(variable)) return genTypeErrorGiveValue(variable, name, expected);
+}
+/**
+ * 检查变量是否为非空字符串
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串时抛出类型错误
+ * @throws {GuardError} 当变量是空字符串时抛出错误
+ */
+export function throwIfIsNotNonEmptyString(variable, name = "variable") {
+    let error;
+    if (typeof variable !== "string") {
+        error = genTypeErrorGiveType(variable, name, "a non-empty string");
+    } else if (variable.length === 0) {
+        error = createGuardError(GuardError, { code: GUARD_CODES.EMPTY, variableName: name, expected: "at least one character", received: "an empty string" });
+    }
+    if (error) raise(error, throwIfIsNotNonEmptyString);
+}
+/**
+ * 检查变量是否为非空白字符串，即至少含有一个非空白字符
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串，或为空字符串、仅含空白字符时抛出类型错误
+ */
+export function throwIfIsNotNonBlankString(variable, name = "variable") {
+    const error = genStringError(variable, name, "a non-blank string", (s) => s.trim() !== "");
+    if (error) raise(error, throwIfIsNotNonBlankString);
+}
+/**
+ * 检查变量是否为匹配指定正则表达式的字符串，正则的 `lastIndex` 不受影响
+ * @param {*} variable - 要检查的变量
+ * @param {RegExp} pattern - 正则表达式
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串或不匹配 pattern 时抛出类型错误
+ * @throws {GuardUsageError} 当 pattern 不是正则表达式时抛出
+ * @example
+ * throwIfIsNotStringMatching("abc", /^\d+$/, "code")
+ * // => TypeError: Expected code to be a string matching /^\d+$/, but got "abc".
+ */
+export function throwIfIsNotStringMatching(variable, pattern, name = "variable") {
+    safeGuardExecute(throwIfIsNotRegExp, pattern, "pattern");
+    const error = genStringError(variable, name, term("a string matching {pattern}", { pattern: String(pattern) }), (s) => s.search(pattern) !== -1);
+    if (error) raise(error, throwIfIsNotStringMatching);
+}
+/**
+ * 检查变量是否为整数字符串（如 `"-12"`），判断规则与 `isIntegerString` 相同
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串或不是整数字符串时抛出类型错误
+ */
+export function throwIfIsNotIntegerString(variable, name = "variable") {
+    const error = genStringError(variable, name, "an integer string", isIntegerString);
+    if (error) raise(error, throwIfIsNotIntegerString);
+}
+/**
+ * 检查变量是否为无符号整数字符串（如 `"12"`），判断规则与 `isUnsignedIntegerString` 相同
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串或不是无符号整数字符串时抛出类型错误
+ */
+export function throwIfIsNotUnsignedIntegerString(variable, name = "variable") {
+    const error = genStringError(variable, name, "an unsigned integer string", isUnsignedIntegerString);
+    if (error) raise(error, throwIfIsNotUnsignedIntegerString);
+}
+/**
+ * 检查变量是否为中文姓名字符串（如 `"张三"`、`"阿依古丽·买买提"`），判断规则与 `isCnNameString` 相同
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串或不是中文姓名字符串时抛出类型错误
+ */
+export function throwIfIsNotCnNameString(variable, name = "variable") {
+    const error = genStringError(variable, name, "a Chinese name string", isCnNameString);
+    if (error) raise(error, throwIfIsNotCnNameString);
+}
+/**
+ * 检查变量是否为时长字符串（如 `"500ms"`、`"5s"`、`"1min"`），判断规则与 `isDurationString` 相同
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串或不是时长字符串时抛出类型错误
+ */
+export function throwIfIsNotDurationString(variable, name = "variable") {
+    const error = genStringError(variable, name, "a duration string", isDurationString);
+    if (error) raise(error, throwIfIsNotDurationString);
 }
 //
 // symbol类型守卫函数
@@ -428,8 +1244,7 @@ export function throwIfIsNotSymbol(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotSymbol);
-    throw error;
+    raise(error, throwIfIsNotSymbol);
 }
 //
 // bigint类型守卫函数
@@ -450,13 +1265,38 @@ export function throwIfIsNotBigInt(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotBigInt);
-    throw error;
+    raise(error, throwIfIsNotBigInt);
+}
+//
+// boolean类型守卫函数
+//
+/**
+ * 检查传入的变量是否为布尔类型，如果不是则抛出类型错误
+ * 
+ * @param {*} variable - 要检查类型的变量
+ * @param {string} [name="variable"] - 变量的名称，默认为"variable"
+ * @throws {TypeError} 如果variable不是布尔类型，则抛出类型错误
+ */
+export function throwIfIsNotBoolean(variable, name = "variable") {
+    if (typeof variable !== "boolean") {
+        const error = genTypeErrorGiveType(variable, name, "a boolean");
+        raise(error, throwIfIsNotBoolean);
+    }
 }
 // ------------------------------------------------
 // 对象类型守卫函数
 // ------------------------------------------------
 
+/**
+ * 检查变量是否为对象（非 null，包括数组、Map 等各类对象，不包括函数）
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是对象时抛出类型错误
+ */
+export function throwIfIsNotObject(variable, name = "variable") {
+    if (variable !== null && typeof variable === "object") return;
+    raise(genTypeErrorGiveType(variable, name, "an object"), throwIfIsNotObject);
+}
 /**
  * 检查变量是否为普通对象（非 null，非数组）
  * @param {*} variable - 要检查的变量
@@ -472,29 +1312,27 @@ export function throwIfIsNotPlainObject(variable, name = "variable") {
         default:
             return;
     }
-    Error?.captureStackTrace?.(error, throwIfIsNotPlainObject);
-    throw error;
+    raise(error, throwIfIsNotPlainObject);
 }
 /**
  * 检查对象是否包含指定的键
  * @param {*} variable - 要检查的对象
  * @param {string} key - 要检查的键名
  * @param {string|Symbol} name - 变量名称（用于错误消息）
- * @throws {Error} 当对象中找不到指定键时抛出错误
+ * @throws {GuardKeyError} 当对象中找不到指定键时抛出错误
  */
 export function throwIfKeyMissing(variable, key, name = "variable") {
     let error;
     if (variable !== null && typeof variable !== "object") {
-        error = genTypeErrorGiveType(variable, name, "a object");
+        error = genTypeErrorGiveType(variable, name, "an object");
     } else {
         key = typeof key === "symbol" ? key : String(key);
         if (!(key in variable)) {
-            error = new Error(`Expected ${name} to have key : ${stringify(key)}, but cannot find.`);
+            error = createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_KEY, variableName: name, key }, { key: stringify(key) });
         }
     }
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfKeyMissing);
-        throw error;
+        raise(error, throwIfKeyMissing);
     }
 }
 /**
@@ -503,23 +1341,22 @@ export function throwIfKeyMissing(variable, key, name = "variable") {
  * @param {string[]} keys - 要检查的键名数组
  * @param {string} name - 变量名称（用于错误消息）
  * @throws {TypeError} 当 variable 不是普通对象时抛出类型错误
- * @throws {GuardError} 当 keys 不是非空数组时抛出守卫错误
- * @throws {Error} 当对象缺少所有指定键时抛出错误
+ * @throws {GuardUsageError} 当 keys 不是非空数组时抛出守卫错误
+ * @throws {GuardKeyError} 当对象缺少所有指定键时抛出错误
  */
 export function throwIfAllKeysMissing(variable, keys, name = "variable") {
     safeGuardExecute(throwIfIsNotNonEmptyArray, keys, name, "an array of string");
     let error;
     if (variable !== null && typeof variable !== "object") {
-        error = genTypeErrorGiveType(variable, name, "a object");
+        error = genTypeErrorGiveType(variable, name, "an object");
     } else {
         keys = keys.map(k => typeof k === "symbol" ? k : String(k));
         if (keys.every(key => !(key in variable))) {
-            error = new Error(`Expected ${name} to have at least one keys of ${stringify(keys)}, but cannot find.`);
+            error = createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_ALL_KEYS, variableName: name, keys }, { keys: stringify(keys) });
         }
     }
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfAllKeysMissing);
-        throw error;
+        raise(error, throwIfAllKeysMissing);
     }
 }
 /**
@@ -528,24 +1365,25 @@ export function throwIfAllKeysMissing(variable, keys, name = "variable") {
  * @param {string[]} keys - 要检查的键名数组
  * @param {string} name - 变量名称（用于错误消息）
  * @throws {TypeError} 当 variable 不是普通对象时抛出类型错误
- * @throws {GuardError} 当 keys 不是非空数组时抛出守卫错误
- * @throws {Error} 当对象缺少任何一个指定键时抛出错误
+ * @throws {GuardUsageError} 当 keys 不是非空数组时抛出守卫错误
+ * @throws {GuardKeyError} 当对象缺少任何一个指定键时抛出错误
  */
 export function throwIfSomeKeysMissing(variable, keys, name = "variable") {
     safeGuardExecute(throwIfIsNotNonEmptyArray, keys, name, "an array of string");
     let error;
     if (variable !== null && typeof variable !== "object") {
-        error = genTypeErrorGiveType(variable, name, "a object");
+        error = genTypeErrorGiveType(variable, name, "an object");
     } else {
         keys = keys.map(k => typeof k === "symbol" ? k : String(k));
         const ls = keys.filter(key => !(key in variable))
         if (ls.length) {
-            error = new Error(`Expected ${name} to have at all keys of ${stringify(keys)}, but missing ${ls.map(l => stringify(l)).join(", ")}.`)
+            error = createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_KEY, variableName: name, keys: ls }, {
+                keys: stringify(keys), missing: ls.map(l => stringify(l)).join(", ")
+            });
         }
     }
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfSomeKeysMissing);
-        throw error;
+        raise(error, throwIfSomeKeysMissing);
     }
 }
 /**
@@ -554,7 +1392,7 @@ export function throwIfSomeKeysMissing(variable, keys, name = "variable") {
  * @param {string} property - 要检查的键名
  * @param {string} name - 变量名称（用于错误消息）
  * @throws {TypeError} 当variable不是普通对象或property不是字符串时抛出类型错误
- * @throws {Error} 当对象中找不到指定键时抛出错误
+ * @throws {GuardKeyError} 当对象中找不到指定键时抛出错误
  */
 export function throwIfOwnPropertyMissing(variable, property, name = "variable") {
     let error;
@@ -563,12 +1401,11 @@ export function throwIfOwnPropertyMissing(variable, property, name = "variable")
     } else {
         property = typeof property === "symbol" ? property : String(property)
         if (!Object.hasOwn(variable, property)) {
-            error = new Error(`Expected ${name} to have own property : ${stringify(property)}, but cannot find.`);
+            error = createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_OWN_PROPERTY, variableName: name, key: property }, { key: stringify(property) });
         }
     }
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfOwnPropertyMissing);
-        throw error;
+        raise(error, throwIfOwnPropertyMissing);
     }
 }
 /**
@@ -577,8 +1414,8 @@ export function throwIfOwnPropertyMissing(variable, property, name = "variable")
  * @param {string[]}properties- 要检查的键名数组
  * @param {string} name - 变量名称（用于错误消息）
  * @throws {TypeError} 当 variable 不是普通对象时抛出类型错误
- * @throws {GuardError} 当properties不是字符串或字符串数组时抛出守卫错误
- * @throws {Error} 当对象缺少所有指定键时抛出错误
+ * @throws {GuardUsageError} 当properties不是字符串或字符串数组时抛出守卫错误
+ * @throws {GuardKeyError} 当对象缺少所有指定键时抛出错误
  */
 export function throwIfAllOwnPropertiesMissing(variable, properties, name = "variable") {
     safeGuardExecute(throwIfIsNotNonEmptyArray, properties, name, "an array of string");
@@ -588,12 +1425,11 @@ export function throwIfAllOwnPropertiesMissing(variable, properties, name = "var
     } else {
         properties = properties.map(p => typeof p === "symbol" ? p : String(p));
         if (properties.every(p => !Object.hasOwn(variable, p))) {
-            error = new Error(`Expected ${name} to have at least one own property of ${stringify(properties)}, but cannot find.`);
+            error = createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_ALL_OWN_PROPERTIES, variableName: name, keys: properties }, { keys: stringify(properties) });
         }
     }
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfAllOwnPropertiesMissing);
-        throw error;
+        raise(error, throwIfAllOwnPropertiesMissing);
     }
 }
 /**
@@ -602,8 +1438,8 @@ export function throwIfAllOwnPropertiesMissing(variable, properties, name = "var
  * @param {string[]} properties - 要检查的键名数组
  * @param {string} name - 变量名称（用于错误消息）
  * @throws {TypeError} 当 variable 不是普通对象时抛出类型错误
- * @throws {GuardError} 当 properties 不是字符串或字符串数组时抛出守卫错误
- * @throws {Error} 当对象缺少任何一个指定键时抛出错误
+ * @throws {GuardUsageError} 当 properties 不是字符串或字符串数组时抛出守卫错误
+ * @throws {GuardKeyError} 当对象缺少任何一个指定键时抛出错误
  */
 export function throwIfSomeOwnPropertiesMissing(variable, properties, name = "variable") {
     safeGuardExecute(throwIfIsNotNonEmptyArray, properties, name, "an array of string");
@@ -614,10 +1450,133 @@ export function throwIfSomeOwnPropertiesMissing(variable, properties, name = "va
         properties = properties.map(p => typeof p === "symbol" ? p : String(p));
         const ls = properties.filter(p => !Object.hasOwn(variable, p))
         if (ls.length) {
-            error = new Error(`Expected ${name} to have at all own properties of ${stringify(properties)}, but missing ${ls.map(l => stringify(l)).join(", ")}.`)
+            error = createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_OWN_PROPERTY, variableName: name, keys: ls }, {
+                keys: stringify(properties), missing: ls.map(l => stringify(l)).join(", ")
+            });
+        }
+    }
+    if (error) {
+        raise(error, throwIfSomeOwnPropertiesMissing);
+    }
+}
+// ------------------------------------------------
+// 路径函数
+// ------------------------------------------------
+/**
+ * 属性路径：以点号和方括号书写的字符串，如 `a.b[0].c`、`a["x-y"]`，或由键组成的数组（可含 Symbol）
+ * @typedef {string | (string | number | symbol)[]} PropertyPath
+ */
+const isPropertyKey = (key) => typeof key === "string" || typeof key === "number" || typeof key === "symbol";
+/**
+ * 将属性路径解析为键数组。
+ *
+ * - 点号后的键原样作为字符串，如 `a.0` 解析为 `["a", "0"]`
+ * - 方括号中的非负整数解析为数字，如 `a[0]` 解析为 `["a", 0]`；带引号的内容按字符串解析，支持 `\` 转义，如 `a["x.y"]`
+ * - 空字符串表示根路径，解析为空数组；数组形式的路径会被复制
+ * @param {PropertyPath} path - 属性路径
+ * @returns {(string | number | symbol)[]} 键数组
+ * @throws {TypeError} 当path不是字符串或键数组时抛出类型错误
+ * @throws {SyntaxError} 当路径字符串格式不正确时抛出语法错误
+ * @example
+ * parsePath('users[0].profile["display-name"]') // => ["users", 0, "profile", "display-name"]
+ */
+export function parsePath(path) {
+    if (Array.isArray(path)) {
+        const index = path.findIndex(key => !isPropertyKey(key));
+        if (index !== -1) throw new TypeError(`Expected path[${index}] to be a string, a number or a symbol, but got ${describeType(path[index]).summary}.`);
+        return [...path];
+    }
+    if (typeof path !== "string") {
+        throw new TypeError(`Expected path to be a string or an array of keys, but got ${describeType(path).summary}.`);
+    }
+    const fail = (reason, position) => {
+        throw new SyntaxError(`Invalid path ${JSON.stringify(path)}: ${reason} at position ${position}.`);
+    };
+    const keys = [];
+    let i = 0;
+    while (i < path.length) {
+        if (path[i] === "[") {
+            const start = i++;
+            const quote = path[i];
+            let key = "";
+            if (quote === "\"" || quote === "'") {
+                for (i++; path[i] !== quote; i++) {
+                    if (i >= path.length) fail("unterminated string", start + 1);
+                    if (path[i] === "\\") i++;
+                    key += path[i] ?? "";
+                }
+                i++;
+            } else {
+                while (i < path.length && path[i] !== "]") key += path[i++];
+                if (key === "") fail("empty brackets", start);
+                if (/^(0|[1-9]\d*)$/.test(key)) key = Number(key);
+            }
+            if (path[i] !== "]") fail("missing \"]\"", i);
+            keys.push(key);
+            i++;
+        } else {
+            const start = i;
+            while (i < path.length && path[i] !== "." && path[i] !== "[") {
+                if (path[i] === "]") fail("unexpected \"]\"", i);
+                i++;
+            }
+            if (i === start) fail("empty key", start);
+            keys.push(path.slice(start, i));
+        }
+        if (path[i] === ".") {
+            i++;
+            if (i === path.length || path[i] === "." || path[i] === "[") fail("empty key", i);
+        } else if (i < path.length && path[i] !== "[") {
+            fail(`unexpected ${JSON.stringify(path[i])}`, i);
+        }
+    }
+    return keys;
+}
+/**
+ * 将键数组格式化为便于阅读的路径字符串，格式与守卫错误消息中的路径相同
+ * @param {(string | number | symbol)[]} keys - 键数组
+ * @param {string} [root=""] - 根名称
+ * @returns {string} 路径字符串
+ * @example
+ * formatPath(["users", 0, "display-name"], "data") // => 'data.users[0]["display-name"]'
+ * formatPath(["users", 0, "name"]) // => "users[0].name"
+ */
+export function formatPath(keys, root = "") {
+    const path = keys.reduce((path, key) => joinPath(path, key), root);
+    return root === "" && path.startsWith(".") ? path.slice(1) : path;
+}
+/**
+ * 检查对象是否含有嵌套路径（按 `in` 运算符判断，包括继承的属性），错误消息指出路径在哪一层中断
+ * @param {*} variable - 要检查的对象
+ * @param {PropertyPath} path - 属性路径，如 `"db.hosts[0].port"` 或 `["db", "hosts", 0, "port"]`
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {GuardKeyError} 当路径中某一层缺少键，或中途遇到 null、undefined 时抛出错误，`variableName` 为最深的存在的路径
+ * @throws {GuardUsageError} 当路径格式不正确时抛出
+ * @example
+ * throwIfPathMissing({ db: { hosts: [{}] } }, "db.hosts[0].port", "config")
+ * // => GuardKeyError: Expected config to have path config.db.hosts[0].port, but config.db.hosts[0] has no key "port".
+ * throwIfPathMissing({ db: null }, "db.port", "config")
+ * // => GuardKeyError: Expected config to have path config.db.port, but config.db is null.
+ */
+export function throwIfPathMissing(variable, path, name = "variable") {
+    let keys;
+    try {
+        keys = parsePath(path);
+    } catch (err) {
+        throw new GuardUsageError(err);
+    }
+    let current = variable;
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        const isNullish = current === null || current === undefined;
+        if (isNullish || !(key in Object(current))) {
+            const error = createGuardError(GuardKeyError, {
+                code: GUARD_CODES.MISSING_PATH, variableName: formatPath(keys.slice(0, i), name), key, ...(isNullish ? { received: String(current) } : {})
+            }, { root: name, path: formatPath(keys, name), key: stringify(key) });
+            return raise(error, throwIfPathMissing);
         }
+        current = current[key];
     }
-    if (error) throw error;
 }
 // ------------------------------------------------
 // 正则类型守卫函数
@@ -632,8 +1591,7 @@ export function throwIfSomeOwnPropertiesMissing(variable, properties, name = "va
 export function throwIfIsNotRegExp(variable, name = "variable") {
     if (!(variable instanceof RegExp)) {
         const error = genTypeErrorGiveType(variable, name, "a regexp");
-        Error?.captureStackTrace?.(error, throwIfIsNotRegExp);
-        throw error;
+        raise(error, throwIfIsNotRegExp);
     }
 }
 // ------------------------------------------------
@@ -649,11 +1607,18 @@ export function throwIfIsNotRegExp(variable, name = "variable") {
 export function throwIfIsNotDate(variable, name = "variable") {
     if (!(variable instanceof Date)) {
         const error = genTypeErrorGiveType(variable, name, "a date");
-        Error?.captureStackTrace?.(error, throwIfIsNotDate);
-        throw error;
+        raise(error, throwIfIsNotDate);
     }
 }
 
+const genInvalidDateError = (variable, name) => {
+    if (!(variable instanceof Date)) return genTypeErrorGiveType(variable, name, "a valid date");
+    if (Number.isNaN(variable.getTime())) {
+        return createGuardError(GuardTypeError, {
+            code: GUARD_CODES.INVALID_VALUE, variableName: name, expected: "a valid date", received: "an invalid date"
+        });
+    }
+}
 /**
  * 检查传入的变量是否为有效的日期类型，如果不是或无效则抛出类型错误
  * 
@@ -662,19 +1627,8 @@ export function throwIfIsNotDate(variable, name = "variable") {
  * @throws {Error} 如果variable不是日期类型或不是一个有效日期，则会抛出错误
  */
 export function throwIfIsInvalidDate(variable, name = "variable") {
-    let error;
-    switch (true) {
-        case (!(variable instanceof Date)):
-            error = genTypeErrorGiveType(variable, name, "a valid date");
-            break;
-        case (Number.isNaN(variable.getTime())):
-            error = genTypeErrorForUnexpectedValue(variable, name, "a valid date");
-            break;
-        default:
-            return;
-    }
-    Error?.captureStackTrace?.(error, throwIfIsInvalidDate);
-    throw error;
+    const error = genInvalidDateError(variable, name);
+    if (error) raise(error, throwIfIsInvalidDate);
 }
 // ------------------------------------------------
 // 函数类型守卫函数
@@ -688,8 +1642,7 @@ export function throwIfIsInvalidDate(variable, name = "variable") {
 export function throwIfIsNotFunction(variable, name = "variable") {
     if (typeof variable !== "function") {
         const error = genTypeErrorGiveType(variable, name, "a function")
-        Error?.captureStackTrace?.(error, throwIfIsNotFunction);
-        throw error;
+        raise(error, throwIfIsNotFunction);
     }
 }
 // ------------------------------------------------
@@ -704,8 +1657,7 @@ export function throwIfIsNotFunction(variable, name = "variable") {
 export function throwIfIsNotIterable(variable, name = "variable") {
     if (variable == null || typeof variable[Symbol.iterator] !== "function") {
         const error = genTypeErrorGiveType(variable, name, "an iterable");
-        Error?.captureStackTrace?.(error, throwIfIsNotIterable);
-        throw error;
+        raise(error, throwIfIsNotIterable);
     }
 }
 /**
@@ -717,8 +1669,19 @@ export function throwIfIsNotIterable(variable, name = "variable") {
 export function throwIfIsNotIterableObject(variable, name = "") {
     if (typeof variable !== 'object' || variable === null || typeof variable[Symbol.iterator] !== 'function') {
         const error = genTypeErrorGiveType(variable, name, "an iterable object");
-        Error?.captureStackTrace?.(error, throwIfIsNotIterableObject);
-        throw error;
+        raise(error, throwIfIsNotIterableObject);
+    }
+}
+/**
+ * 检查变量是否为异步可迭代值（带有 `Symbol.asyncIterator` 方法），如异步生成器、Node.js 的可读流
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是异步可迭代值时抛出类型错误
+ */
+export function throwIfIsNotAsyncIterable(variable, name = "variable") {
+    if (variable == null || typeof variable[Symbol.asyncIterator] !== "function") {
+        const error = genTypeErrorGiveType(variable, name, "an async iterable");
+        raise(error, throwIfIsNotAsyncIterable);
     }
 }
 
@@ -734,8 +1697,7 @@ export function throwIfIsNotIterableObject(variable, name = "") {
 export function throwIfIsNotArray(variable, name = "variable") {
     if (!Array.isArray(variable)) {
         const error = genTypeErrorGiveType(variable, name, "an array");
-        Error?.captureStackTrace?.(error, throwIfIsNotArray);
-        throw error;
+        raise(error, throwIfIsNotArray);
     }
 }
 
@@ -751,7 +1713,7 @@ export function throwIfIsNotNonEmptyArray(variable, name = "variable") {
     if (!Array.isArray(variable)) {
         error = genTypeErrorGiveType(variable, name, "an array");
     } else if (variable.length === 0) {
-        error = new Error(`Expected ${name} to have at least one item, but got zero.`)
+        error = createGuardError(GuardError, { code: GUARD_CODES.EMPTY, variableName: name, expected: "at least one item", received: "zero" });
     }
     if (error) {
         Error?.captureStackTrace?.(error, throwIfIsNotNonEmptyArray);
@@ -772,71 +1734,156 @@ export function throwIfIsNotStringArray(variable, name = "variable", generalTerm
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "strings";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "string") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-string value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-string value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotStringArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotStringArray);
-        throw error;
+        raise(error, throwIfIsNotStringArray);
     }
 }
 /**
- * 检查变量是否为仅包含BigInt值的数组，如果不是则抛出类型错误
- * @param {*} variable - 需要检查的变量
- * @param {string} [name="variable"] - 变量名称，用于错误消息显示
- * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 通用术语，用于错误消息显示
- * @throws {TypeError} 当变量不是数组或包含非BigInt元素时抛出类型错误
+ * 逐个检查字符串数组的元素，`describeInvalid` 返回不合格元素的描述，合格时返回 undefined
  */
-export function throwIfIsNotBigIntArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
-    let error;
+const checkStringArray = (variable, name, generalTerm, acceptType, describeInvalid, callee) => {
     if (!Array.isArray(variable)) {
-        error = genTypeErrorGiveType(variable, name, "an array");
-    } else {
-        // 数组类型正确，现在检查每个元素
-        const acceptType = "bigints";
-        for (const e of variable) {
-            if (typeof e !== "bigint") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-bigint value of type ${getType(e)}`);
-                break;
-            }
-        }
+        raise(genTypeErrorGiveType(variable, name, "an array"), callee);
+        return;
     }
-
-    if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotBigIntArray);
-        throw error;
+    for (const [index, e] of variable.entries()) {
+        if (typeof e !== "string") {
+            raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-string value of type {type}", { type: receivedType(e) }), name, index), callee);
+            continue;
+        }
+        const desc = describeInvalid(e);
+        if (desc !== undefined) raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), callee);
     }
 }
 /**
- * 检查变量是否为仅包含Symbol值的数组，如果不是则抛出类型错误
- * @param {*} variable - 需要检查的变量
- * @param {string} [name="variable"] - 变量名称，用于错误消息显示
- * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 通用术语，用于错误消息显示
- * @throws {TypeError} 当变量不是数组或包含非Symbol元素时抛出类型错误
+ * 检查变量是否为仅包含非空字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、空字符串时抛出类型错误
  */
-export function throwIfIsNotSymbolArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+export function throwIfIsNotNonEmptyStringArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkStringArray(variable, name, generalTerm, "non-empty strings", (e) => e.length === 0 ? "an empty string" : undefined, throwIfIsNotNonEmptyStringArray);
+}
+/**
+ * 检查变量是否为仅包含非空白字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、空白字符串时抛出类型错误
+ */
+export function throwIfIsNotNonBlankStringArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkStringArray(variable, name, generalTerm, "non-blank strings", (e) => e.trim() === "" ? stringify(e) : undefined, throwIfIsNotNonBlankStringArray);
+}
+/**
+ * 检查变量是否为仅包含匹配指定正则表达式的字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {RegExp} pattern - 正则表达式
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、不匹配 pattern 的字符串时抛出类型错误
+ * @throws {GuardUsageError} 当 pattern 不是正则表达式时抛出
+ */
+export function throwIfIsNotStringMatchingArray(variable, pattern, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    safeGuardExecute(throwIfIsNotRegExp, pattern, "pattern");
+    const acceptType = term("strings matching {pattern}", { pattern: String(pattern) });
+    checkStringArray(variable, name, generalTerm, acceptType, (e) => e.search(pattern) === -1 ? stringify(e) : undefined, throwIfIsNotStringMatchingArray);
+}
+/**
+ * 检查变量是否为仅包含整数字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、非整数字符串时抛出类型错误
+ */
+export function throwIfIsNotIntegerStringArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkStringArray(variable, name, generalTerm, "integer strings", (e) => isIntegerString(e) ? undefined : stringify(e), throwIfIsNotIntegerStringArray);
+}
+/**
+ * 检查变量是否为仅包含无符号整数字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、非无符号整数字符串时抛出类型错误
+ */
+export function throwIfIsNotUnsignedIntegerStringArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkStringArray(variable, name, generalTerm, "unsigned integer strings", (e) => isUnsignedIntegerString(e) ? undefined : stringify(e), throwIfIsNotUnsignedIntegerStringArray);
+}
+/**
+ * 检查变量是否为仅包含中文姓名字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、非中文姓名字符串时抛出类型错误
+ */
+export function throwIfIsNotCnNameStringArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkStringArray(variable, name, generalTerm, "Chinese name strings", (e) => isCnNameString(e) ? undefined : stringify(e), throwIfIsNotCnNameStringArray);
+}
+/**
+ * 检查变量是否为仅包含时长字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、非时长字符串时抛出类型错误
+ */
+export function throwIfIsNotDurationStringArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkStringArray(variable, name, generalTerm, "duration strings", (e) => isDurationString(e) ? undefined : stringify(e), throwIfIsNotDurationStringArray);
+}
+/**
+ * 检查变量是否为仅包含BigInt值的数组，如果不是则抛出类型错误
+ * @param {*} variable - 需要检查的变量
+ * @param {string} [name="variable"] - 变量名称，用于错误消息显示
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 通用术语，用于错误消息显示
+ * @throws {TypeError} 当变量不是数组或包含非BigInt元素时抛出类型错误
+ */
+export function throwIfIsNotBigIntArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    let error;
+    if (!Array.isArray(variable)) {
+        error = genTypeErrorGiveType(variable, name, "an array");
+    } else {
+        // 数组类型正确，现在检查每个元素
+        const acceptType = "bigints";
+        for (const [index, e] of variable.entries()) {
+            if (typeof e !== "bigint") {
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-bigint value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotBigIntArray);
+            }
+        }
+    }
+
+    if (error) {
+        raise(error, throwIfIsNotBigIntArray);
+    }
+}
+/**
+ * 检查变量是否为仅包含Symbol值的数组，如果不是则抛出类型错误
+ * @param {*} variable - 需要检查的变量
+ * @param {string} [name="variable"] - 变量名称，用于错误消息显示
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 通用术语，用于错误消息显示
+ * @throws {TypeError} 当变量不是数组或包含非Symbol元素时抛出类型错误
+ */
+export function throwIfIsNotSymbolArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
     let error;
     if (!Array.isArray(variable)) {
         error = genTypeErrorGiveType(variable, name, "an array");
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "symbols";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "symbol") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-symbol value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-symbol value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotSymbolArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotSymbolArray);
-        throw error;
+        raise(error, throwIfIsNotSymbolArray);
     }
 }
 /**
@@ -853,17 +1900,15 @@ export function throwIfIsNotPlainObjectArray(variable, name = "variable", genera
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "plain objects";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (!isPlainObject(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-plain object value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-plain object value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotPlainObjectArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotPlainObjectArray);
-        throw error;
+        raise(error, throwIfIsNotPlainObjectArray);
     }
 }
 export function throwIfIsNotNumberArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
@@ -873,17 +1918,15 @@ export function throwIfIsNotNumberArray(variable, name = "variable", generalTerm
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "numbers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotNumberArray);
-        throw error;
+        raise(error, throwIfIsNotNumberArray);
     }
 }
 /**
@@ -902,21 +1945,19 @@ export function throwIfIsNotComparableNumberArray(variable, name = "variable", g
         // 数组类型正确，现在检查每个元素
         const acceptType = "comparable numbers(not NaN)";
         // 验证数组中的每个元素都是非NaN的数字
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotComparableNumberArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotComparableNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotComparableNumberArray);
-        throw error;
+        raise(error, throwIfIsNotComparableNumberArray);
     }
 }
 export const throwIfIsNumberArrayWithoutNaN = throwIfIsNotComparableNumberArray;
@@ -935,26 +1976,24 @@ export function throwIfIsNotFiniteNumberArray(variable, name = "variable", gener
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "finite numbers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotFiniteNumberArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotFiniteNumberArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotFiniteNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotFiniteNumberArray);
-        throw error;
+        raise(error, throwIfIsNotFiniteNumberArray);
     }
 }
 export function throwIfIsNotDivisibleNumberArray(variable, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
@@ -963,31 +2002,29 @@ export function throwIfIsNotDivisibleNumberArray(variable, name = "variable", ge
         error = genTypeErrorGiveType(variable, name, "an array");
     } else {
         // 数组类型正确，现在检查每个元素
-        const acceptType = "disvisible numbers";
-        for (const e of variable) {
+        const acceptType = "divisible numbers";
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotDivisibleNumberArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotDivisibleNumberArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotDivisibleNumberArray);
+                continue;
             }
             if (e === 0) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "zero");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "zero", name, index), throwIfIsNotDivisibleNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotDivisibleNumberArray);
-        throw error;
+        raise(error, throwIfIsNotDivisibleNumberArray);
     }
 }
 
@@ -1005,31 +2042,29 @@ export function throwIfIsNotPositiveFiniteNumberArray(variable, name = "variable
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "positive finite numbers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotPositiveFiniteNumberArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotPositiveFiniteNumberArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotPositiveFiniteNumberArray);
+                continue;
             }
             if (e <= 0) {
-                const desc = e === 0 ? "zero" : `a negative number (${e})`;
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                const desc = e === 0 ? "zero" : term("a negative number ({value})", { value: e });
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotPositiveFiniteNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotPositiveFiniteNumberArray);
-        throw error;
+        raise(error, throwIfIsNotPositiveFiniteNumberArray);
     }
 }
 
@@ -1047,31 +2082,29 @@ export function throwIfIsNotNonNegativeFiniteNumberArray(variable, name = "varia
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "non-negative finite numbers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotNonNegativeFiniteNumberArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotNonNegativeFiniteNumberArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNonNegativeFiniteNumberArray);
+                continue;
             }
             if (e < 0) {
-                const desc = `a negative number (${e})`;
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                const desc = term("a negative number ({value})", { value: e });
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNonNegativeFiniteNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotNonNegativeFiniteNumberArray);
-        throw error;
+        raise(error, throwIfIsNotNonNegativeFiniteNumberArray);
     }
 }
 
@@ -1089,31 +2122,29 @@ export function throwIfIsNotNegativeFiniteNumberArray(variable, name = "variable
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "negative finite numbers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotNegativeFiniteNumberArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotNegativeFiniteNumberArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNegativeFiniteNumberArray);
+                continue;
             }
             if (e >= 0) {
-                const desc = e === 0 ? "zero" : `a positive number (${e})`;
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                const desc = e === 0 ? "zero" : term("a positive number ({value})", { value: e });
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNegativeFiniteNumberArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotNegativeFiniteNumberArray);
-        throw error;
+        raise(error, throwIfIsNotNegativeFiniteNumberArray);
     }
 }
 
@@ -1131,30 +2162,28 @@ export function throwIfIsNotIntegerArray(variable, name = "variable", generalTer
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "integers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotIntegerArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotIntegerArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotIntegerArray);
+                continue;
             }
             if (!Number.isInteger(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-integer value (${e})`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-integer value ({value})", { value: e }), name, index), throwIfIsNotIntegerArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotIntegerArray);
-        throw error;
+        raise(error, throwIfIsNotIntegerArray);
     }
 }
 
@@ -1172,35 +2201,33 @@ export function throwIfIsNotPositiveIntegerArray(variable, name = "variable", ge
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "positive integers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotPositiveIntegerArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotPositiveIntegerArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotPositiveIntegerArray);
+                continue;
             }
             if (!Number.isInteger(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-integer value (${e})`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-integer value ({value})", { value: e }), name, index), throwIfIsNotPositiveIntegerArray);
+                continue;
             }
             if (e <= 0) {
-                const desc = e === 0 ? "zero" : `a negative number (${e})`;
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                const desc = e === 0 ? "zero" : term("a negative number ({value})", { value: e });
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotPositiveIntegerArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotPositiveIntegerArray);
-        throw error;
+        raise(error, throwIfIsNotPositiveIntegerArray);
     }
 }
 
@@ -1218,35 +2245,33 @@ export function throwIfIsNotNonNegativeIntegerArray(variable, name = "variable",
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "non-negative integers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotNonNegativeIntegerArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotNonNegativeIntegerArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNonNegativeIntegerArray);
+                continue;
             }
             if (!Number.isInteger(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-integer value (${e})`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-integer value ({value})", { value: e }), name, index), throwIfIsNotNonNegativeIntegerArray);
+                continue;
             }
             if (e < 0) {
-                const desc = `a negative number (${e})`;
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                const desc = term("a negative number ({value})", { value: e });
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNonNegativeIntegerArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotNonNegativeIntegerArray);
-        throw error;
+        raise(error, throwIfIsNotNonNegativeIntegerArray);
     }
 }
 
@@ -1264,34 +2289,1632 @@ export function throwIfIsNotNegativeIntegerArray(variable, name = "variable", ge
     } else {
         // 数组类型正确，现在检查每个元素
         const acceptType = "negative integers";
-        for (const e of variable) {
+        for (const [index, e] of variable.entries()) {
             if (typeof e !== "number") {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-number value of type ${getType(e)}`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotNegativeIntegerArray);
+                continue;
             }
             if (Number.isNaN(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, "NaN");
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotNegativeIntegerArray);
+                continue;
             }
             if (!Number.isFinite(e)) {
                 const desc = e > 0 ? "Infinity" : "-Infinity";
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNegativeIntegerArray);
+                continue;
             }
             if (!Number.isInteger(e)) {
-                error = genTypeErrorForArray(generalTerm, acceptType, `a non-integer value (${e})`);
-                break;
+                raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-integer value ({value})", { value: e }), name, index), throwIfIsNotNegativeIntegerArray);
+                continue;
             }
             if (e >= 0) {
-                const desc = e === 0 ? "zero" : `a positive number (${e})`;
-                error = genTypeErrorForArray(generalTerm, acceptType, desc);
-                break;
+                const desc = e === 0 ? "zero" : term("a positive number ({value})", { value: e });
+                raise(genTypeErrorForArray(generalTerm, acceptType, desc, name, index), throwIfIsNotNegativeIntegerArray);
             }
         }
     }
 
     if (error) {
-        Error?.captureStackTrace?.(error, throwIfIsNotNegativeIntegerArray);
-        throw error;
+        raise(error, throwIfIsNotNegativeIntegerArray);
+    }
+}
+// ------------------------------------------------
+// 容器类型守卫函数
+// ------------------------------------------------
+const TYPED_ARRAY_NAMES = [
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array", "Uint32Array",
+    "Float16Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"
+].filter(kind => typeof globalThis[kind] === "function");
+const getTag = (variable) => Object.prototype.toString.call(variable).slice(8, -1);
+const isTypedArray = (variable) => ArrayBuffer.isView(variable) && !(variable instanceof DataView);
+/**
+ * 检查变量是否为 Map，如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 Map 时抛出类型错误
+ */
+export function throwIfIsNotMap(variable, name = "variable") {
+    if (!(variable instanceof Map)) {
+        const error = genTypeErrorGiveType(variable, name, "a map");
+        raise(error, throwIfIsNotMap);
+    }
+}
+/**
+ * 检查变量是否为 Set，如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 Set 时抛出类型错误
+ */
+export function throwIfIsNotSet(variable, name = "variable") {
+    if (!(variable instanceof Set)) {
+        const error = genTypeErrorGiveType(variable, name, "a set");
+        raise(error, throwIfIsNotSet);
+    }
+}
+/**
+ * 检查变量是否为 WeakMap，如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 WeakMap 时抛出类型错误
+ */
+export function throwIfIsNotWeakMap(variable, name = "variable") {
+    if (!(variable instanceof WeakMap)) {
+        const error = genTypeErrorGiveType(variable, name, "a weak map");
+        raise(error, throwIfIsNotWeakMap);
+    }
+}
+/**
+ * 检查变量是否为 TypedArray（如 Uint8Array、Float64Array），如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 TypedArray 时抛出类型错误，DataView 不视为 TypedArray
+ */
+export function throwIfIsNotTypedArray(variable, name = "variable") {
+    if (!isTypedArray(variable)) {
+        const error = genTypeErrorGiveType(variable, name, "a typed array");
+        raise(error, throwIfIsNotTypedArray);
+    }
+}
+/**
+ * 检查变量是否为 ArrayBuffer，如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 ArrayBuffer 时抛出类型错误
+ */
+export function throwIfIsNotArrayBuffer(variable, name = "variable") {
+    if (getTag(variable) !== "ArrayBuffer") {
+        const error = genTypeErrorGiveType(variable, name, "an array buffer");
+        raise(error, throwIfIsNotArrayBuffer);
+    }
+}
+/**
+ * 检查变量是否为 Promise，如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 Promise 时抛出类型错误
+ */
+export function throwIfIsNotPromise(variable, name = "variable") {
+    if (!(variable instanceof Promise)) {
+        const error = genTypeErrorGiveType(variable, name, "a promise");
+        raise(error, throwIfIsNotPromise);
+    }
+}
+/**
+ * 检查变量是否为类 Promise 值（thenable），即带有 `then` 方法的对象或函数，如果不是则抛出类型错误
+ * @param {*} variable - 要检查的变量
+ * @param {string} name - 变量名称（用于错误消息），默认值为"variable"
+ * @throws {TypeError} 当变量不是 thenable 时抛出类型错误
+ */
+export function throwIfIsNotPromiseLike(variable, name = "variable") {
+    if ((typeof variable !== "object" && typeof variable !== "function") || variable === null || typeof variable.then !== "function") {
+        const error = genTypeErrorGiveType(variable, name, "a promise-like value");
+        raise(error, throwIfIsNotPromiseLike);
+    }
+}
+/**
+ * 检查变量是否为指定种类、指定长度的 TypedArray
+ * @param {*} variable - 要检查的变量
+ * @param {{ kind?: string | Function, length?: number | Range<number> }} [options]
+ * @param options.kind - TypedArray 的种类，可以是构造函数或其名称，如 `Float64Array`、`"Uint8Array"`
+ * @param options.length - 长度范围，传入非负整数表示长度恰好为该值
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是 TypedArray 或种类不符时抛出类型错误
+ * @throws {RangeError} 当长度超出范围时抛出范围错误
+ * @throws {GuardUsageError} 当 kind 不是已知的 TypedArray 种类时抛出
+ * @example
+ * throwIfIsNotTypedArrayOf(new Float32Array(3), { kind: Float64Array, length: 3 }, "samples")
+ * // => TypeError: Expected samples to be a Float64Array, but got Float32Array.
+ */
+export function throwIfIsNotTypedArrayOf(variable, { kind, length } = {}, name = "variable") {
+    const kindName = typeof kind === "function" ? kind.name : kind;
+    if (kind !== undefined && (!TYPED_ARRAY_NAMES.includes(kindName) || (typeof kind === "function" && kind !== globalThis[kindName]))) {
+        throw new GuardUsageError(`Expected kind to be one of ${TYPED_ARRAY_NAMES.join(", ")}, but got ${stringify(kindName)}.`);
+    }
+    const bounds = length === undefined ? undefined : normalizeLengthRange(length);
+    let error;
+    if (!isTypedArray(variable)) {
+        error = genTypeErrorGiveType(variable, name, "a typed array");
+    } else if (kind !== undefined && getTag(variable) !== kindName) {
+        error = createGuardError(GuardTypeError, {
+            code: GUARD_CODES.INVALID_TYPE, variableName: name, expected: term("a {kind}", { kind: kindName }), received: getTag(variable)
+        });
+    } else if (bounds) {
+        error = genLengthError(LENGTH_KINDS.typedArray, variable, bounds, name);
+    }
+    if (error) raise(error, throwIfIsNotTypedArrayOf);
+}
+// ------------------------------------------------
+// 范围守卫函数
+// ------------------------------------------------
+/**
+ * 取值范围，未给出的边界表示不限，边界默认包含在范围内
+ * @template T
+ * @typedef {{ min?: T, max?: T, minExclusive?: boolean, maxExclusive?: boolean }} Range
+ */
+const RANGE_BOUND_TERMS = {
+    value: { min: ["at least {min}", "greater than {min}"], max: ["at most {max}", "less than {max}"] },
+    date: { min: ["on or after {min}", "after {min}"], max: ["on or before {max}", "before {max}"] }
+};
+/**
+ * 校验并规范化范围
+ * @param {Range<*>} range
+ * @param {(variable: *, name: string) => void} throwIfIsNotBound - 边界值的守卫
+ * @returns {Required<Pick<Range<*>, "minExclusive" | "maxExclusive">> & Range<*>}
+ * @throws {GuardUsageError} 当范围不合法时抛出
+ */
+const normalizeRange = (range, throwIfIsNotBound) => {
+    safeGuardExecute(throwIfIsNotPlainObject, range, "range");
+    const { min, max, minExclusive = false, maxExclusive = false } = range;
+    if (min !== undefined) safeGuardExecute(throwIfIsNotBound, min, "range.min");
+    if (max !== undefined) safeGuardExecute(throwIfIsNotBound, max, "range.max");
+    if (min !== undefined && max !== undefined && min > max) {
+        throw new GuardUsageError(`Expected range.min to be at most range.max, but got ${stringify(min)} > ${stringify(max)}.`);
+    }
+    return { min, max, minExclusive: Boolean(minExclusive), maxExclusive: Boolean(maxExclusive) };
+}
+/**
+ * 长度范围可以直接给出一个非负整数，表示长度恰好为该值
+ * @param {number|Range<number>} range
+ */
+const normalizeLengthRange = (range) => normalizeRange(typeof range === "number" ? { min: range, max: range } : range, throwIfIsNotNonNegativeInteger);
+const boundTerm = (side, bound, exclusive, format, terms) => term(terms[side][exclusive ? 1 : 0], { [side]: format(bound) });
+/**
+ * 描述范围，如 "at least 0 and less than 1"
+ */
+const describeBounds = ({ min, max, minExclusive, maxExclusive }, format = stringify, terms = RANGE_BOUND_TERMS.value) => {
+    if (min !== undefined && max !== undefined && !minExclusive && !maxExclusive && min.valueOf() === max.valueOf()) {
+        return term("exactly {value}", { value: format(min) });
+    }
+    const lower = min === undefined ? undefined : boundTerm("min", min, minExclusive, format, terms);
+    const upper = max === undefined ? undefined : boundTerm("max", max, maxExclusive, format, terms);
+    return lower && upper ? term("{lower} and {upper}", { lower, upper }) : lower ?? upper;
+}
+/**
+ * 返回值违反的边界描述，值在范围内时返回 undefined
+ */
+const findViolatedBound = (value, { min, max, minExclusive, maxExclusive }, format = stringify, terms = RANGE_BOUND_TERMS.value) => {
+    if (min !== undefined && (minExclusive ? value <= min : value < min)) return boundTerm("min", min, minExclusive, format, terms);
+    if (max !== undefined && (maxExclusive ? value >= max : value > max)) return boundTerm("max", max, maxExclusive, format, terms);
+}
+const violationTerm = (value, bound) => term("{value}, which is not {bound}", { value, bound });
+const formatDate = (date) => date.toISOString();
+/**
+ * 检查变量是否为指定范围内的数字（不接受 NaN）
+ * @param {*} variable - 要检查的变量
+ * @param {Range<number>} range - 取值范围，如 `{ min: 0, max: 1 }`、`{ min: 0, maxExclusive: true, max: 1 }`
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是数字或为 NaN 时抛出类型错误
+ * @throws {RangeError} 当变量超出范围时抛出范围错误，错误消息指出违反的边界
+ * @example
+ * throwIfIsNotNumberInRange(256, { min: 0, max: 255 }, "red")
+ * // => RangeError: Expected red to be a number at least 0 and at most 255, but got 256, which is not at most 255.
+ */
+export function throwIfIsNotNumberInRange(variable, range, name = "variable") {
+    const bounds = normalizeRange(range, throwIfIsNotComparableNumber);
+    let error;
+    if (typeof variable !== "number") {
+        error = genTypeErrorGiveType(variable, name, "a number");
+    } else if (Number.isNaN(variable)) {
+        error = genTypeErrorGiveValue(variable, name, "a comparable number");
+    } else {
+        const violated = findViolatedBound(variable, bounds);
+        if (!violated) return;
+        error = createGuardError(GuardRangeError, {
+            code: GUARD_CODES.OUT_OF_RANGE, variableName: name,
+            expected: term("a number {bounds}", { bounds: describeBounds(bounds) }), received: violationTerm(stringify(variable), violated)
+        });
+    }
+    raise(error, throwIfIsNotNumberInRange);
+}
+/**
+ * 检查变量是否为仅包含指定范围内数字的数组
+ * @param {*} variable - 要检查的变量
+ * @param {Range<number>} range - 取值范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非数字、NaN、超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotNumberInRangeArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    const bounds = normalizeRange(range, throwIfIsNotComparableNumber);
+    if (!Array.isArray(variable)) {
+        raise(genTypeErrorGiveType(variable, name, "an array"), throwIfIsNotNumberInRangeArray);
+        return;
+    }
+    const acceptType = term("numbers {bounds}", { bounds: describeBounds(bounds) });
+    for (const [index, e] of variable.entries()) {
+        if (typeof e !== "number") {
+            raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-number value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotNumberInRangeArray);
+            continue;
+        }
+        if (Number.isNaN(e)) {
+            raise(genTypeErrorForArray(generalTerm, acceptType, "NaN", name, index), throwIfIsNotNumberInRangeArray);
+            continue;
+        }
+        const violated = findViolatedBound(e, bounds);
+        if (violated) raise(genTypeErrorForArray(generalTerm, acceptType, violationTerm(stringify(e), violated), name, index), throwIfIsNotNumberInRangeArray);
+    }
+}
+/**
+ * 检查变量是否为指定范围内的 bigint
+ * @param {*} variable - 要检查的变量
+ * @param {Range<bigint>} range - 取值范围，边界须为 bigint，如 `{ min: 0n }`
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是 bigint 时抛出类型错误
+ * @throws {RangeError} 当变量超出范围时抛出范围错误，错误消息指出违反的边界
+ */
+export function throwIfIsNotBigIntInRange(variable, range, name = "variable") {
+    const bounds = normalizeRange(range, throwIfIsNotBigInt);
+    let error;
+    if (typeof variable !== "bigint") {
+        error = genTypeErrorGiveType(variable, name, "a bigint");
+    } else {
+        const violated = findViolatedBound(variable, bounds);
+        if (!violated) return;
+        error = createGuardError(GuardRangeError, {
+            code: GUARD_CODES.OUT_OF_RANGE, variableName: name,
+            expected: term("a bigint {bounds}", { bounds: describeBounds(bounds) }), received: violationTerm(stringify(variable), violated)
+        });
+    }
+    raise(error, throwIfIsNotBigIntInRange);
+}
+/**
+ * 检查变量是否为仅包含指定范围内 bigint 的数组
+ * @param {*} variable - 要检查的变量
+ * @param {Range<bigint>} range - 取值范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非 bigint、超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotBigIntInRangeArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    const bounds = normalizeRange(range, throwIfIsNotBigInt);
+    if (!Array.isArray(variable)) {
+        raise(genTypeErrorGiveType(variable, name, "an array"), throwIfIsNotBigIntInRangeArray);
+        return;
+    }
+    const acceptType = term("bigints {bounds}", { bounds: describeBounds(bounds) });
+    for (const [index, e] of variable.entries()) {
+        if (typeof e !== "bigint") {
+            raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-bigint value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotBigIntInRangeArray);
+            continue;
+        }
+        const violated = findViolatedBound(e, bounds);
+        if (violated) raise(genTypeErrorForArray(generalTerm, acceptType, violationTerm(stringify(e), violated), name, index), throwIfIsNotBigIntInRangeArray);
+    }
+}
+/**
+ * 检查变量是否为指定范围内的有效日期，无效日期的处理与 `throwIfIsInvalidDate` 相同
+ * @param {*} variable - 要检查的变量
+ * @param {Range<Date>} range - 取值范围，边界须为有效日期，如 `{ min: new Date("2024-01-01"), minExclusive: true }`
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是日期或为无效日期时抛出类型错误
+ * @throws {RangeError} 当变量超出范围时抛出范围错误，错误消息指出违反的边界
+ * @example
+ * throwIfIsNotDateInRange(new Date("2023-12-31"), { min: new Date("2024-01-01") }, "start")
+ * // => RangeError: Expected start to be a date on or after 2024-01-01T00:00:00.000Z, but got 2023-12-31T00:00:00.000Z, which is not on or after 2024-01-01T00:00:00.000Z.
+ */
+export function throwIfIsNotDateInRange(variable, range, name = "variable") {
+    const bounds = normalizeRange(range, throwIfIsInvalidDate);
+    const invalidDateError = genInvalidDateError(variable, name);
+    if (invalidDateError) {
+        raise(invalidDateError, throwIfIsNotDateInRange);
+        return;
+    }
+    const violated = findViolatedBound(variable, bounds, formatDate, RANGE_BOUND_TERMS.date);
+    if (!violated) return;
+    raise(createGuardError(GuardRangeError, {
+        code: GUARD_CODES.OUT_OF_RANGE, variableName: name,
+        expected: term("a date {bounds}", { bounds: describeBounds(bounds, formatDate, RANGE_BOUND_TERMS.date) }),
+        received: violationTerm(formatDate(variable), violated)
+    }), throwIfIsNotDateInRange);
+}
+/**
+ * 检查变量是否为仅包含指定范围内有效日期的数组
+ * @param {*} variable - 要检查的变量
+ * @param {Range<Date>} range - 取值范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非日期、无效日期、超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotDateInRangeArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    const bounds = normalizeRange(range, throwIfIsInvalidDate);
+    if (!Array.isArray(variable)) {
+        raise(genTypeErrorGiveType(variable, name, "an array"), throwIfIsNotDateInRangeArray);
+        return;
+    }
+    const acceptType = term("dates {bounds}", { bounds: describeBounds(bounds, formatDate, RANGE_BOUND_TERMS.date) });
+    for (const [index, e] of variable.entries()) {
+        if (!(e instanceof Date)) {
+            raise(genTypeErrorForArray(generalTerm, acceptType, term("a non-date value of type {type}", { type: receivedType(e) }), name, index), throwIfIsNotDateInRangeArray);
+            continue;
+        }
+        if (Number.isNaN(e.getTime())) {
+            raise(genTypeErrorForArray(generalTerm, acceptType, "an invalid date", name, index), throwIfIsNotDateInRangeArray);
+            continue;
+        }
+        const violated = findViolatedBound(e, bounds, formatDate, RANGE_BOUND_TERMS.date);
+        if (violated) raise(genTypeErrorForArray(generalTerm, acceptType, violationTerm(formatDate(e), violated), name, index), throwIfIsNotDateInRangeArray);
+    }
+}
+/**
+ * 长度守卫支持的类型：`type` 为类型描述，`measure` 为长度的称呼，`size` 取出长度
+ */
+const LENGTH_KINDS = {
+    string: { type: "a string", types: "strings", is: (v) => typeof v === "string", measure: "length", size: (v) => v.length },
+    array: { type: "an array", types: "arrays", is: (v) => Array.isArray(v), measure: "length", size: (v) => v.length },
+    set: { type: "a set", types: "sets", is: (v) => v instanceof Set, measure: "size", size: (v) => v.size },
+    map: { type: "a map", types: "maps", is: (v) => v instanceof Map, measure: "size", size: (v) => v.size },
+    typedArray: { type: "a typed array", types: "typed arrays", is: isTypedArray, measure: "length", size: (v) => v.length }
+};
+const genLengthError = (kind, variable, bounds, name) => {
+    if (!kind.is(variable)) return genTypeErrorGiveType(variable, name, kind.type);
+    const size = kind.size(variable);
+    const violated = findViolatedBound(size, bounds);
+    if (!violated) return;
+    return createGuardError(GuardRangeError, {
+        code: GUARD_CODES.INVALID_LENGTH, variableName: name,
+        expected: term(`a ${kind.measure} {bounds}`, { bounds: describeBounds(bounds) }),
+        received: violationTerm(term(`a ${kind.measure} of {value}`, { value: size }), violated)
+    });
+}
+const checkLengthArray = (kind, variable, bounds, name, generalTerm, callee) => {
+    if (!Array.isArray(variable)) {
+        raise(genTypeErrorGiveType(variable, name, "an array"), callee);
+        return;
+    }
+    const acceptType = term(`${kind.types} with a ${kind.measure} {bounds}`, { bounds: describeBounds(bounds) });
+    for (const [index, e] of variable.entries()) {
+        if (!kind.is(e)) {
+            raise(genTypeErrorForArray(generalTerm, acceptType, term("a value of type {type}", { type: receivedType(e) }), name, index), callee);
+            continue;
+        }
+        const size = kind.size(e);
+        const violated = findViolatedBound(size, bounds);
+        if (violated) raise(genTypeErrorForArray(generalTerm, acceptType, violationTerm(term(`a ${kind.measure} of {value}`, { value: size }), violated), name, index), callee);
     }
-}
\ No newline at end of file
+}
+/**
+ * 检查变量是否为长度在指定范围内的字符串
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 长度范围，传入非负整数表示长度恰好为该值
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是字符串时抛出类型错误
+ * @throws {RangeError} 当长度超出范围时抛出范围错误，错误消息指出违反的边界
+ * @example
+ * throwIfIsNotStringOfLength("abcdef", { min: 1, max: 5 }, "code")
+ * // => RangeError: Expected code to have a length at least 1 and at most 5, but got a length of 6, which is not at most 5.
+ */
+export function throwIfIsNotStringOfLength(variable, range, name = "variable") {
+    const error = genLengthError(LENGTH_KINDS.string, variable, normalizeLengthRange(range), name);
+    if (error) raise(error, throwIfIsNotStringOfLength);
+}
+/**
+ * 检查变量是否为长度在指定范围内的数组
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 长度范围，传入非负整数表示长度恰好为该值
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组时抛出类型错误
+ * @throws {RangeError} 当长度超出范围时抛出范围错误
+ */
+export function throwIfIsNotArrayOfLength(variable, range, name = "variable") {
+    const error = genLengthError(LENGTH_KINDS.array, variable, normalizeLengthRange(range), name);
+    if (error) raise(error, throwIfIsNotArrayOfLength);
+}
+/**
+ * 检查变量是否为大小在指定范围内的 Set
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 大小范围，传入非负整数表示大小恰好为该值
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是 Set 时抛出类型错误
+ * @throws {RangeError} 当大小超出范围时抛出范围错误
+ */
+export function throwIfIsNotSetOfSize(variable, range, name = "variable") {
+    const error = genLengthError(LENGTH_KINDS.set, variable, normalizeLengthRange(range), name);
+    if (error) raise(error, throwIfIsNotSetOfSize);
+}
+/**
+ * 检查变量是否为大小在指定范围内的 Map
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 大小范围，传入非负整数表示大小恰好为该值
+ * @param {string} name - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是 Map 时抛出类型错误
+ * @throws {RangeError} 当大小超出范围时抛出范围错误
+ */
+export function throwIfIsNotMapOfSize(variable, range, name = "variable") {
+    const error = genLengthError(LENGTH_KINDS.map, variable, normalizeLengthRange(range), name);
+    if (error) raise(error, throwIfIsNotMapOfSize);
+}
+/**
+ * 检查变量是否为仅包含长度在指定范围内的字符串的数组
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 长度范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非字符串、长度超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotStringOfLengthArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkLengthArray(LENGTH_KINDS.string, variable, normalizeLengthRange(range), name, generalTerm, throwIfIsNotStringOfLengthArray);
+}
+/**
+ * 检查变量是否为仅包含长度在指定范围内的数组的数组
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 长度范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非数组、长度超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotArrayOfLengthArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkLengthArray(LENGTH_KINDS.array, variable, normalizeLengthRange(range), name, generalTerm, throwIfIsNotArrayOfLengthArray);
+}
+/**
+ * 检查变量是否为仅包含大小在指定范围内的 Set 的数组
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 大小范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非 Set、大小超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotSetOfSizeArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkLengthArray(LENGTH_KINDS.set, variable, normalizeLengthRange(range), name, generalTerm, throwIfIsNotSetOfSizeArray);
+}
+/**
+ * 检查变量是否为仅包含大小在指定范围内的 Map 的数组
+ * @param {*} variable - 要检查的变量
+ * @param {number|Range<number>} range - 大小范围
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {string} [generalTerm=`all elements of ${name || "array"}`] - 元素合称（用于错误消息）
+ * @throws {TypeError} 当变量不是数组，或包含非 Map、大小超出范围的元素时抛出类型错误
+ */
+export function throwIfIsNotMapOfSizeArray(variable, range, name = "variable", generalTerm = `all elements of ${name || "array"}`) {
+    checkLengthArray(LENGTH_KINDS.map, variable, normalizeLengthRange(range), name, generalTerm, throwIfIsNotMapOfSizeArray);
+}
+// ------------------------------------------------
+// 结构（schema）守卫函数
+// ------------------------------------------------
+/**
+ * 结构描述：
+ * - 守卫函数 `(variable, name) => void`，如 `throwIfIsNotFiniteNumber`，校验失败时抛出错误
+ * - 判断函数 `(variable) => boolean`，如 `isIntegerString`，返回 `false`、`0`、`null` 等假值表示校验失败，错误消息中的期望描述由函数名推断。
+ *   守卫函数通过时返回 `undefined`，因此只有名为 `is*`、`has*` 的判断函数返回 `undefined` 时才视为失败；
+ *   其他判断函数（如匿名箭头函数）请用 `predicate(fn, description)` 包装，同时可以给出错误消息中的期望描述
+ * - 普通对象 `{ key: Schema }`，要求变量为对象，并逐个键递归校验
+ * - 由 `arrayOf`、`tupleOf`、`optional`、`nullable`、`anyOf`、`allOf`、`not`、`literal` 等构造的结构节点
+ * @typedef {((variable: any, name?: string) => void | boolean) | { [key: string]: Schema }} Schema
+ */
+const SCHEMA_NODE = Symbol("schemaNode");
+const IDENTIFIER_REGEXP = /^[A-Za-z_$][\w$]*$/;
+/**
+ * 拼接属性路径，用于错误消息，如 `config.items[3].weight`
+ * @param {string} base - 父级路径
+ * @param {string|number|symbol} key - 键名或数组下标
+ * @returns {string}
+ */
+const joinPath = (base, key) => {
+    if (typeof key === "number") return `${base}[${key}]`;
+    if (typeof key === "string" && IDENTIFIER_REGEXP.test(key)) return `${base}.${key}`;
+    return `${base}[${stringify(key)}]`;
+}
+const LEAF_SCHEMA_KINDS = ["not", "predicate", "literal", "unknown", "value"];
+/**
+ * 以描述作为路径的起点，如 `member 1 of ids`；结构可能在其后拼接键时加上括号，
+ * 得到 `(member {"a": 1} of ids).a`，而不是有歧义的 `member {"a": 1} of ids.a`
+ * @param {string} description
+ * @param {Schema} schema
+ * @returns {string}
+ */
+const describedPath = (description, schema) => {
+    const kind = typeof schema === "function" ? schema[SCHEMA_NODE]?.kind : "object";
+    return kind === undefined || LEAF_SCHEMA_KINDS.includes(kind) ? description : `(${description})`;
+}
+const isSchema = (schema) => typeof schema === "function" || isPlainObject(schema);
+const isOptionalSchema = (schema) => schema?.[SCHEMA_NODE]?.kind === "optional";
+const assertSchemas = (schemas, builderName) => {
+    schemas.forEach((schema, i) => {
+        if (!isSchema(schema)) {
+            throw new GuardUsageError(`Expected argument ${i} of ${builderName} to be a guard function or a plain object, but got ${describeType(schema).summary}.`);
+        }
+    });
+}
+/**
+ * 按结构递归校验变量，失败时抛出带有完整路径的错误
+ * @param {*} variable - 要检查的变量
+ * @param {Schema} schema - 结构描述
+ * @param {string} path - 变量当前所在的路径
+ */
+const matchSchema = (variable, schema, path) => {
+    if (typeof schema === "function") return callGuard(schema, variable, path);
+    if (!isPlainObject(schema)) {
+        throw new GuardUsageError(`Expected schema of ${path} to be a guard function or a plain object, but got ${describeType(schema).summary}.`);
+    }
+    if (variable === null || typeof variable !== "object" || Array.isArray(variable)) {
+        return raise(genTypeErrorGiveType(variable, path, "an object"), matchSchema);
+    }
+    for (const key of Reflect.ownKeys(schema)) {
+        const subSchema = schema[key];
+        if (!(key in variable)) {
+            if (isOptionalSchema(subSchema)) continue;
+            raise(createGuardError(GuardKeyError, { code: GUARD_CODES.MISSING_KEY, variableName: path, key }, { key: stringify(key) }), matchSchema);
+            continue;
+        }
+        matchSchema(variable[key], subSchema, joinPath(path, key));
+    }
+}
+/**
+ * 由函数名推断期望描述，如 `isIntegerString` => "an integer string"，`throwIfIsNotNonNegativeInteger` => "a non-negative integer"；
+ * 无法推断时返回 undefined
+ * @param {Function} fn
+ * @returns {string|undefined}
+ */
+const inferDescription = (fn) => {
+    const match = /^(?:throwIfIsNot|is)([A-Z]\w*)$/.exec(fn.name);
+    if (!match) return;
+    const words = match[1]
+        .replace(/RegExp/g, "Regexp").replace(/BigInt/g, "Bigint").replace(/^Cn/, "Chinese")
+        .match(/[A-Z][a-z]*|\d+/g)
+        .map(word => word.toLowerCase());
+    const phrase = words.join(" ").replace(/\bnon /g, "non-");
+    return `${/^[aeiou]/.test(phrase) ? "an" : "a"} ${phrase}`;
+}
+const PREDICATE_NAME_REGEXP = /^(?:is|has)[A-Z$_]/;
+/**
+ * 描述结构期望的值：优先使用 `predicate`、`not` 等给出的描述，其次由函数名推断；无法推断时返回 undefined
+ * @param {Schema} schema
+ * @returns {string|undefined}
+ */
+const describeSchema = (schema) => {
+    if (typeof schema !== "function") return;
+    return schema[SCHEMA_NODE]?.description ?? inferDescription(schema);
+}
+/**
+ * 描述判断函数期望的值，无法由函数名推断时引用函数名或源码，如 "a value satisfying (v) => v > 0"
+ * @param {Function} fn
+ * @returns {string | { template: string, params: Record<string, *> }}
+ */
+const describePredicate = (fn) => {
+    const described = describeSchema(fn);
+    if (described !== undefined) return described;
+    const source = Function.prototype.toString.call(fn).replace(/\s+/g, " ");
+    // 箭头函数的 name 可能只是所在属性的键名，如 `{ a: v => v > 0 }` 中的 "a"，因此只引用 function 声明的函数名
+    const name = /^(?:async )?function\b/.test(source) ? fn.name : "";
+    return term("a value satisfying {predicate}", { predicate: name || (source.length > 40 ? `${source.slice(0, 39)}…` : source) });
+}
+/**
+ * 调用守卫函数；判断函数返回假值时视为校验失败，返回 `undefined` 时只有名为 `is*`、`has*` 的函数视为失败；
+ * 处于收集模式时，将自定义守卫直接抛出的错误也记录为问题
+ * @param {(variable: any, name?: string) => void | boolean} guard
+ * @param {*} variable
+ * @param {string} path
+ */
+const callGuard = (guard, variable, path) => {
+    const collector = issueCollectors[issueCollectors.length - 1];
+    let result;
+    if (!collector) {
+        result = guard(variable, path);
+    } else {
+        try {
+            result = guard(variable, path);
+        } catch (error) {
+            if (error instanceof GuardUsageError) throw error;
+            collector.push(...toIssues(error, path));
+        }
+    }
+    const failed = result === undefined ? PREDICATE_NAME_REGEXP.test(guard.name) : !result;
+    if (failed) {
+        raise(genTypeErrorGiveValue(variable, path, describePredicate(guard)), callGuard);
+    }
+}
+/**
+ * 在新的收集器中执行函数，返回期间记录的全部问题
+ * @param {() => void} fn
+ * @returns {GuardIssue[]}
+ */
+const runCollecting = (fn) => {
+    const issues = [];
+    issueCollectors.push(issues);
+    try {
+        fn();
+    } catch (error) {
+        if (error !== COLLECTION_ABORTED) throw error;
+    } finally {
+        issueCollectors.pop();
+    }
+    return issues;
+}
+/**
+ * 生成结构节点，结构节点本身也是一个守卫函数，可以单独调用
+ * @param {string} kind - 节点种类
+ * @param {(variable: any, path: string) => void} check - 校验逻辑
+ * @returns {(variable: any, name?: string) => void}
+ */
+const createSchemaNode = (kind, check, description) => {
+    const guard = (variable, name = "variable") => {
+        try {
+            check(variable, name);
+        } catch (error) {
+            raise(error, guard);
+        }
+    }
+    Object.defineProperty(guard, SCHEMA_NODE, { value: { kind, description } });
+    return guard;
+}
+/**
+ * 构造数组结构：变量须为数组，且每个元素都满足给定结构
+ * @param {Schema} schema - 元素结构
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * arrayOf(throwIfIsNotFiniteNumber)
+ */
+export function arrayOf(schema) {
+    assertSchemas([schema], "arrayOf");
+    return createSchemaNode("arrayOf", (variable, path) => {
+        if (!Array.isArray(variable)) return raise(genTypeErrorGiveType(variable, path, "an array"), matchSchema);
+        variable.forEach((e, i) => matchSchema(e, schema, joinPath(path, i)));
+    });
+}
+/**
+ * 构造元组结构：变量须为数组，且各位置的元素满足对应结构；末尾的可选元素可以省略
+ * @param {...Schema} schemas - 各位置的元素结构
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * tupleOf(throwIfIsNotString, optional(throwIfIsNotInteger))
+ */
+export function tupleOf(...schemas) {
+    assertSchemas(schemas, "tupleOf");
+    let minLength = schemas.length;
+    while (minLength > 0 && isOptionalSchema(schemas[minLength - 1])) minLength--;
+    return createSchemaNode("tupleOf", (variable, path) => {
+        if (!Array.isArray(variable)) return raise(genTypeErrorGiveType(variable, path, "an array"), matchSchema);
+        if (variable.length < minLength || variable.length > schemas.length) {
+            const expected = minLength === schemas.length ?
+                term("{count} items", { count: minLength }) :
+                term("{min} to {max} items", { min: minLength, max: schemas.length });
+            return raise(createGuardError(GuardRangeError, {
+                code: GUARD_CODES.INVALID_LENGTH, variableName: path, expected, received: String(variable.length)
+            }), matchSchema);
+        }
+        variable.forEach((e, i) => matchSchema(e, schemas[i], joinPath(path, i)));
+    });
+}
+/**
+ * 构造可选结构：允许变量为 `undefined`；作为对象结构的值时，允许该键缺失
+ * @param {Schema} schema - 变量存在时须满足的结构
+ * @returns {(variable: any, name?: string) => void}
+ */
+export function optional(schema) {
+    assertSchemas([schema], "optional");
+    return createSchemaNode("optional", (variable, path) => {
+        if (variable === undefined) return;
+        matchSchema(variable, schema, path);
+    });
+}
+/**
+ * 构造可空结构：允许变量为 `null`
+ * @param {Schema} schema - 变量不为 `null` 时须满足的结构
+ * @returns {(variable: any, name?: string) => void}
+ */
+export function nullable(schema) {
+    assertSchemas([schema], "nullable");
+    return createSchemaNode("nullable", (variable, path) => {
+        if (variable === null) return;
+        matchSchema(variable, schema, path);
+    });
+}
+/**
+ * 构造联合结构：变量满足任意一个结构即可，候选结构可以是守卫函数、判断函数或结构描述。
+ * 各候选在变量本身处失败时，错误消息合并为一句，如 "Expected x to be a finite number or an integer string, but got boolean."；
+ * 否则列出每个候选的失败原因
+ * @param {...Schema} schemas - 候选结构
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * anyOf(throwIfIsNotFiniteNumber, isIntegerString)(true, "x")
+ * // => TypeError: Expected x to be a finite number or an integer string, but got boolean.
+ * anyOf(throwIfIsNotString, arrayOf(throwIfIsNotString))
+ */
+export function anyOf(...schemas) {
+    assertSchemas(schemas, "anyOf");
+    return createSchemaNode("anyOf", (variable, path) => {
+        const expected = [];
+        const messages = [];
+        let merged = true;
+        for (const schema of schemas) {
+            const issues = runCollecting(() => matchSchema(variable, schema, path));
+            if (issues.length === 0) return;
+            messages.push(`(${messages.length + 1}) ${issues.map(issue => issue.message).join(" ")}`);
+            // 只有在变量本身处失败的候选才能合并为一句描述
+            const desc = issues.length === 1 && issues[0].path === path ?
+                describeSchema(schema) ?? issues[0].expected :
+                undefined;
+            if (desc === undefined) merged = false;
+            else if (!expected.includes(desc)) expected.push(desc);
+        }
+        raise(createGuardError(GuardTypeError, {
+            code: GUARD_CODES.NO_MATCHING_ALTERNATIVE,
+            variableName: path,
+            expected: merged ? expected : term("one of {count} alternatives", { count: schemas.length }),
+            received: receivedType(variable)
+        }, merged ? {} : { details: messages.join(" ") }), matchSchema);
+    });
+}
+/**
+ * `anyOf` 的别名
+ */
+export const unionOf = anyOf;
+/**
+ * 构造交集结构：变量须同时满足全部结构，按顺序检查，抛出第一个失败结构的错误
+ * @param {...Schema} schemas - 须同时满足的结构，可以是守卫函数、判断函数或结构描述
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * allOf(throwIfIsNotString, isUnsignedIntegerString)
+ */
+export function allOf(...schemas) {
+    assertSchemas(schemas, "allOf");
+    return createSchemaNode("allOf", (variable, path) => {
+        for (const schema of schemas) matchSchema(variable, schema, path);
+    });
+}
+/**
+ * 构造取反结构：变量不满足给定结构时通过，满足时抛出错误
+ * @param {Schema} schema - 不允许满足的结构，可以是守卫函数、判断函数或结构描述
+ * @param {string} [description] - 该结构的描述，用于错误消息，默认由函数名推断
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * not(isIntegerString)("12", "id")
+ * // => TypeError: Expected id not to be an integer string, but got "12".
+ */
+export function not(schema, description) {
+    assertSchemas([schema], "not");
+    const expected = description ?? describeSchema(schema) ?? "a matching value";
+    return createSchemaNode("not", (variable, path) => {
+        const issues = runCollecting(() => matchSchema(variable, schema, path));
+        if (issues.length > 0) return;
+        raise(createGuardError(GuardTypeError, {
+            code: GUARD_CODES.UNEXPECTED_VALUE, variableName: path, expected, received: stringify(variable)
+        }), matchSchema);
+    });
+}
+/**
+ * 构造判断结构：fn 返回假值（包括 `undefined`）时校验失败。
+ * 用于匿名或不以 `is`、`has` 开头的判断函数，使其返回 `undefined` 时也视为失败，并给出错误消息中的期望描述
+ * @param {(variable: any) => unknown} fn - 判断函数
+ * @param {string} [description] - 期望的值的描述，如 "an even number"；默认由函数名推断，无法推断时引用函数名或源码
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * predicate(v => v % 2 === 0, "an even number")(3, "count")
+ * // => TypeError: Expected count to be an even number, but got 3.
+ * predicate(v => v > 0)(-1, "x")
+ * // => TypeError: Expected x to be a value satisfying v => v > 0, but got -1.
+ */
+export function predicate(fn, description) {
+    safeGuardExecute(throwIfIsNotFunction, fn, "fn");
+    if (description !== undefined) safeGuardExecute(throwIfIsNotNonBlankString, description, "description");
+    const expected = description ?? describePredicate(fn);
+    return createSchemaNode("predicate", (variable, path) => {
+        if (!fn(variable)) raise(genTypeErrorGiveValue(variable, path, expected), matchSchema);
+    }, typeof expected === "string" ? expected : undefined);
+}
+/**
+ * 构造字面量结构：变量须为给定值之一
+ * @param {...*} values - 允许的值
+ * @returns {(variable: any, name?: string) => void}
+ * @example
+ * literal("asc", "desc")
+ */
+export function literal(...values) {
+    if (values.length < 1) throw new GuardUsageError("Expected literal to receive at least one value.");
+    return createSchemaNode("literal", (variable, path) => {
+        if (!values.includes(variable)) {
+            raise(genTypeErrorGiveValue(variable, path, ...values.map(v => stringify(v))), matchSchema);
+        }
+    });
+}
+/**
+ * 检查变量是否符合给定的结构，如果不符合则抛出错误，错误消息中包含出错位置的完整路径
+ * @param {*} variable - 要检查的变量
+ * @param {Schema} schema - 结构描述
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当某个位置的值类型不符合结构时抛出类型错误
+ * @throws {RangeError} 当某个位置的值超出范围或元组长度不符时抛出范围错误
+ * @throws {GuardKeyError} 当对象缺少结构中要求的键时抛出错误
+ * @throws {GuardUsageError} 当结构本身不合法时抛出守卫错误
+ * @example
+ * throwIfNotMatchesSchema(config, {
+ *     name: throwIfIsNotString,
+ *     items: arrayOf({ weight: throwIfIsNotNonNegativeFiniteNumber, tag: optional(throwIfIsNotString) }),
+ *     mode: literal("fast", "slow")
+ * }, "config");
+ * // => TypeError: Expected config.items[3].weight to be a number, but got string.
+ */
+export function throwIfNotMatchesSchema(variable, schema, name = "variable") {
+    try {
+        matchSchema(variable, schema, name);
+    } catch (error) {
+        raise(error, throwIfNotMatchesSchema);
+    }
+}
+/**
+ * 检查变量是否为 Map，且其键、值分别符合给定结构；错误消息以 `stringify` 指出出错的键
+ * @param {*} variable - 要检查的变量
+ * @param {{ key?: Schema, value?: Schema }} [schemas]
+ * @param schemas.key - 键的结构，省略时不检查键
+ * @param schemas.value - 值的结构，省略时不检查值
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是 Map 或键、值类型不符时抛出类型错误
+ * @throws {GuardUsageError} 当结构本身不合法时抛出守卫错误
+ * @example
+ * throwIfIsNotMapOf(new Map([["a", 1], ["b", -1]]), { key: throwIfIsNotString, value: throwIfIsNotNonNegativeInteger }, "weights")
+ * // => RangeError: Expected weights.get("b") to be a non-negative integer, but got -1.
+ */
+export function throwIfIsNotMapOf(variable, { key, value } = {}, name = "variable") {
+    assertSchemas([key, value].filter(schema => schema !== undefined), "throwIfIsNotMapOf");
+    if (!(variable instanceof Map)) {
+        raise(genTypeErrorGiveType(variable, name, "a map"), throwIfIsNotMapOf);
+        return;
+    }
+    try {
+        for (const [k, v] of variable) {
+            if (key !== undefined) matchSchema(k, key, describedPath(`key ${stringify(k)} of ${name}`, key));
+            if (value !== undefined) matchSchema(v, value, `${name}.get(${stringify(k)})`);
+        }
+    } catch (error) {
+        raise(error, throwIfIsNotMapOf);
+    }
+}
+/**
+ * 检查变量是否为 Set，且其成员均符合给定结构；错误消息以 `stringify` 指出出错的成员，
+ * 成员的结构为对象等嵌套结构时加上括号，如 `(member {"a": "x"} of ids).a`
+ * @param {*} variable - 要检查的变量
+ * @param {Schema} member - 成员的结构
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是 Set 或成员类型不符时抛出类型错误
+ * @throws {GuardUsageError} 当结构本身不合法时抛出守卫错误
+ * @example
+ * throwIfIsNotSetOf(new Set([1, "2"]), throwIfIsNotInteger, "ids")
+ * // => TypeError: Expected member "2" of ids to be a number, but got string.
+ */
+export function throwIfIsNotSetOf(variable, member, name = "variable") {
+    assertSchemas([member], "throwIfIsNotSetOf");
+    if (!(variable instanceof Set)) {
+        raise(genTypeErrorGiveType(variable, name, "a set"), throwIfIsNotSetOf);
+        return;
+    }
+    try {
+        for (const m of variable) {
+            matchSchema(m, member, describedPath(`member ${stringify(m)} of ${name}`, member));
+        }
+    } catch (error) {
+        raise(error, throwIfIsNotSetOf);
+    }
+}
+const VALUE_SHAPE_GUARDS = {
+    string: throwIfIsNotString,
+    number: throwIfIsNotNumber,
+    boolean: throwIfIsNotBoolean,
+    bigint: throwIfIsNotBigInt,
+    symbol: throwIfIsNotSymbol,
+    date: throwIfIsNotDate,
+    regexp: throwIfIsNotRegExp,
+    function: throwIfIsNotFunction
+};
+const isNullishShape = (shape) => shape.kind === "value" && (shape.type === "null" || shape.type === "undefined");
+/**
+ * 将 type.js 的 `inferShape` 推断出的结构转换为校验函数。
+ * 可选键转换为 `optional`，含 `null`、`undefined` 的联合类型转换为 `nullable`、`optional`，其余联合类型转换为 `anyOf`；
+ * 无法推断的位置（如空数组的元素）不做检查，对象不检查样本中未出现的多余键
+ * @param {import("./type.js").Shape} shape - 结构描述
+ * @returns {(variable: any, name?: string) => void} 校验函数，也可以作为结构嵌套在其他结构中
+ * @throws {GuardUsageError} 当结构描述不合法时抛出
+ * @example
+ * const throwIfIsNotOrder = shapeToGuard(inferShape([{ id: 1, items: [{ sku: "a" }] }, { id: 2, items: [], note: null }]));
+ * throwIfIsNotOrder({ id: 3, items: [{ sku: 1 }] }, "order")
+ * // => TypeError: Expected order.items[0].sku to be string, but got number.
+ */
+export function shapeToGuard(shape) {
+    switch (shape?.kind) {
+        case "unknown":
+            return createSchemaNode("unknown", () => { });
+        case "value":
+            if (isNullishShape(shape)) return literal(shape.type === "null" ? null : undefined);
+            return VALUE_SHAPE_GUARDS[shape.type] ?? createSchemaNode("value", (variable, path) => {
+                if (describeType(variable).type !== shape.type) {
+                    raise(genTypeErrorGiveType(variable, path, term("a value of type {type}", { type: shape.name })), matchSchema);
+                }
+            });
+        case "array":
+            return shape.element.kind === "unknown" ? throwIfIsNotArray : arrayOf(shapeToGuard(shape.element));
+        case "set": {
+            if (shape.element.kind === "unknown") return throwIfIsNotSet;
+            const member = shapeToGuard(shape.element);
+            return createSchemaNode("setOf", (variable, path) => throwIfIsNotSetOf(variable, member, path));
+        }
+        case "map": {
+            const schemas = {
+                key: shape.key.kind === "unknown" ? undefined : shapeToGuard(shape.key),
+                value: shape.value.kind === "unknown" ? undefined : shapeToGuard(shape.value)
+            };
+            return createSchemaNode("mapOf", (variable, path) => throwIfIsNotMapOf(variable, schemas, path));
+        }
+        case "object": {
+            const schema = Object.fromEntries(Object.entries(shape.properties).map(([key, { shape: property, optional: isOptional }]) => {
+                const guard = shapeToGuard(property);
+                return [key, isOptional && !isOptionalSchema(guard) ? optional(guard) : guard];
+            }));
+            return createSchemaNode("object", (variable, path) => matchSchema(variable, schema, path));
+        }
+        case "union": {
+            const rest = shape.options.filter(option => !isNullishShape(option));
+            const allowsNull = rest.length < shape.options.length && shape.options.some(option => option.type === "null");
+            const allowsUndefined = rest.length < shape.options.length && shape.options.some(option => option.type === "undefined");
+            if (rest.length === 0) return literal(null, undefined);
+            let guard = rest.length === 1 ? shapeToGuard(rest[0]) : anyOf(...rest.map(shapeToGuard));
+            if (allowsNull) guard = nullable(guard);
+            if (allowsUndefined) guard = optional(guard);
+            return guard;
+        }
+        default:
+            throw new GuardUsageError(`Expected shape to be a shape descriptor from inferShape, but got ${stringify(shape)}.`);
+    }
+}
+// ------------------------------------------------
+// 形状守卫函数
+// ------------------------------------------------
+/**
+ * 维度描述：非负整数表示长度恰好为该值，`Range` 表示长度范围，`null` 或 `undefined` 表示不限长度。
+ * 无论是否限定长度，同一维度上的各个数组长度都必须一致，否则视为参差（ragged）数组
+ * @typedef {number | Range<number> | null | undefined} Dimension
+ */
+const normalizeDimensions = (dims) => dims.map(dim => dim == null ? undefined : normalizeLengthRange(dim));
+/**
+ * 逐层检查多维数组的形状，`seen` 记录每个维度上第一个数组的长度与路径，用于发现参差数组
+ */
+const walkTensor = (node, dims, element, path, depth, seen) => {
+    if (depth === dims.length) {
+        if (Array.isArray(node)) return raise(genTypeErrorGiveType(node, path, "a non-array element"), walkTensor);
+        if (element !== undefined) matchSchema(node, element, path);
+        return;
+    }
+    if (!Array.isArray(node)) return raise(genTypeErrorGiveType(node, path, "an array"), walkTensor);
+    const bounds = dims[depth];
+    const lengthError = bounds && genLengthError(LENGTH_KINDS.array, node, bounds, path);
+    if (lengthError) return raise(lengthError, walkTensor);
+    if (seen[depth] === undefined) {
+        seen[depth] = { length: node.length, path };
+    } else if (seen[depth].length !== node.length) {
+        return raise(createGuardError(GuardRangeError, {
+            code: GUARD_CODES.INVALID_LENGTH, variableName: path,
+            expected: term("a length of {value}, same as {path}", { value: seen[depth].length, path: seen[depth].path }),
+            received: term("a length of {value}", { value: node.length })
+        }), walkTensor);
+    }
+    node.forEach((child, i) => walkTensor(child, dims, element, joinPath(path, i), depth + 1, seen));
+}
+/**
+ * 检查变量是否为矩阵（二维数组）：各行须为长度一致的数组，可限定行数、列数以及元素的结构；
+ * 错误消息指出第一个出错的位置，如 `m[1]`（参差的行）或 `m[1][2]`（不合格的元素）
+ * @param {*} variable - 要检查的变量
+ * @param {{ rows?: number | Range<number>, cols?: number | Range<number>, element?: Schema }} [options]
+ * @param options.rows - 行数，传入非负整数表示行数恰好为该值
+ * @param options.cols - 列数，传入非负整数表示列数恰好为该值
+ * @param options.element - 元素的结构，如 `throwIfIsNotFiniteNumber`，省略时不检查元素
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量或某一行不是数组、元素本身是数组或元素不符合结构时抛出类型错误
+ * @throws {RangeError} 当行数、列数超出范围或各行长度不一致时抛出范围错误
+ * @example
+ * throwIfIsNotMatrix([[1, 2], [3]], { element: throwIfIsNotFiniteNumber }, "m")
+ * // => RangeError: Expected m[1] to have a length of 2, same as m[0], but got a length of 1.
+ * throwIfIsNotMatrix([[1, 2], [3, "4"]], { rows: 2, cols: 2, element: throwIfIsNotFiniteNumber }, "m")
+ * // => TypeError: Expected m[1][1] to be a number, but got string.
+ */
+export function throwIfIsNotMatrix(variable, { rows, cols, element } = {}, name = "variable") {
+    if (element !== undefined) assertSchemas([element], "throwIfIsNotMatrix");
+    const dims = normalizeDimensions([rows, cols]);
+    try {
+        walkTensor(variable, dims, element, name, 0, []);
+    } catch (error) {
+        raise(error, throwIfIsNotMatrix);
+    }
+}
+/**
+ * 检查变量是否为指定形状的多维数组（张量），各维度上的数组长度须一致，叶子元素不能是数组
+ * @param {*} variable - 要检查的变量
+ * @param {Dimension[] | { shape: Dimension[], element?: Schema }} shape - 各维度的长度，如 `[2, 3, 4]`、`[null, 3]`；
+ * 也可以传入 `{ shape, element }` 同时指定元素的结构
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当某一层不是数组、维度过多或元素不符合结构时抛出类型错误
+ * @throws {RangeError} 当某一维度的长度不符或参差不齐时抛出范围错误
+ * @throws {GuardUsageError} 当形状描述不合法时抛出
+ * @example
+ * throwIfIsNotTensor(randomMatrices(2, 3, 4), [2, 3, 4], "batch") // 通过
+ * throwIfIsNotTensor([[[1], [2]], [[3]]], [null, null, 1], "t")
+ * // => RangeError: Expected t[1] to have a length of 2, same as t[0], but got a length of 1.
+ */
+export function throwIfIsNotTensor(variable, shape, name = "variable") {
+    const { shape: dims, element } = isPlainObject(shape) ? shape : { shape };
+    safeGuardExecute(throwIfIsNotArray, dims, "shape");
+    if (element !== undefined) assertSchemas([element], "throwIfIsNotTensor");
+    try {
+        walkTensor(variable, normalizeDimensions(dims), element, name, 0, []);
+    } catch (error) {
+        raise(error, throwIfIsNotTensor);
+    }
+}
+// ------------------------------------------------
+// 深度相等守卫函数
+// ------------------------------------------------
+const DIFFERENCE_ABSENT_TERMS = {
+    missing: { property: "a missing property", entry: "a missing entry", member: "no such member" },
+    extra: { property: "no such property", entry: "no such entry", member: "no such member" }
+};
+const describePrototype = (value) => {
+    const prototype = Object.getPrototypeOf(value);
+    const constructor = prototype === null ? undefined : Object.getOwnPropertyDescriptor(prototype, "constructor")?.value;
+    const name = prototype === null ? "null" : (typeof constructor === "function" && constructor.name) || "(anonymous)";
+    return term("an object with prototype {name}", { name });
+}
+const describeDescriptorField = (value) => typeof value === "function" ? receivedType(value) : stringify(value);
+/**
+ * 将 findDeepDifference 得到的差异转换为期望与实际的描述
+ * @param {import("./type.js").DeepDifference} difference
+ * @returns {{ expected: *, received: * }}
+ */
+const describeDifference = ({ kind, of, attribute, index, actual, expected }) => {
+    const describeValue = (value) => of === "member" ? term("member {value}", { value: stringify(value) }) : stringify(value);
+    switch (kind) {
+        case "type": return { expected: receivedType(expected), received: receivedType(actual) };
+        case "prototype": return { expected: describePrototype(expected), received: describePrototype(actual) };
+        case "descriptor": return {
+            expected: `${attribute}: ${localizeTerm(activeCatalogs(), describeDescriptorField(expected))}`,
+            received: `${attribute}: ${localizeTerm(activeCatalogs(), describeDescriptorField(actual))}`
+        };
+        case "missing": return { expected: describeValue(expected), received: DIFFERENCE_ABSENT_TERMS.missing[of] };
+        case "extra": return { expected: DIFFERENCE_ABSENT_TERMS.extra[of], received: describeValue(actual) };
+        case "order": return {
+            expected: term("{value} at position {index}", { value: stringify(expected), index }),
+            received: term("{value} at position {index}", { value: stringify(actual), index })
+        };
+        default: return { expected: stringify(expected), received: stringify(actual) };
+    }
+}
+/**
+ * 检查变量是否与期望值深度相等，比较规则与 `isDeepEqual` 相同，错误消息指出第一处差异的路径
+ * @param {*} variable - 要检查的变量
+ * @param {*} expected - 期望值
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @param {import("./type.js").DeepEqualOptions} [options] - 比较选项，`strict` 为严格模式，`orderedCollections` 要求 Map、Set 顺序相同
+ * @throws {GuardError} 当两者不深度相等时抛出，`variableName` 为第一处差异的完整路径
+ * @throws {GuardUsageError} 当比较选项不合法时抛出
+ * @example
+ * throwIfIsNotDeepEqual({ a: [1, 2] }, { a: [1, 3] }, "result")
+ * // => GuardError: Expected result to deeply equal the expected value, but result.a[1] differs: expected 3, got 2.
+ * throwIfIsNotDeepEqual(new Set([1, 3]), new Set([1, 2]), "ids")
+ * // => GuardError: Expected ids to deeply equal the expected value, but it differs: expected member 2, got no such member.
+ */
+export function throwIfIsNotDeepEqual(variable, expected, name = "variable", options = {}) {
+    let difference;
+    try {
+        difference = findDeepDifference(variable, expected, options);
+    } catch (err) {
+        throw new GuardUsageError(err);
+    }
+    if (difference === null) return;
+    raise(createGuardError(GuardError, {
+        code: GUARD_CODES.NOT_DEEP_EQUAL,
+        variableName: name + difference.path,
+        ...describeDifference(difference)
+    }, { root: name }), throwIfIsNotDeepEqual);
+}
+// ------------------------------------------------
+// 选项对象守卫函数
+// ------------------------------------------------
+/**
+ * 计算两个字符串的编辑距离（相邻字符交换计为一次编辑）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+    const d = Array.from({ length: a.length + 1 }, (_v, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+    }
+    return d[a.length][b.length];
+}
+/**
+ * 在候选键中找出与给定键最接近的一个，编辑距离超过较长者一半长度时视为没有相近的键
+ * @param {string|symbol} key
+ * @param {(string|symbol)[]} candidates
+ * @returns {string|undefined}
+ */
+const suggestKey = (key, candidates) => {
+    if (typeof key !== "string") return;
+    let best, bestDistance = Infinity;
+    for (const candidate of candidates) {
+        if (typeof candidate !== "string") continue;
+        const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance && distance <= Math.ceil(Math.max(key.length, candidate.length) / 2)) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+/**
+ * 检查对象是否只含有允许的自有键，发现未知键时抛出错误，并按编辑距离给出最接近的允许键作为建议
+ * @param {Object} variable - 要检查的对象
+ * @param {(string|symbol)[]} allowedKeys - 允许的键
+ * @param {string} [name="variable"] - 变量名称（用于错误消息）
+ * @throws {GuardKeyError} 当对象含有未知键时抛出错误
+ * @throws {GuardUsageError} 当 variable 不是对象或 allowedKeys 不是数组时抛出
+ * @example
+ * throwIfHasUnknownKeys({ lenght: 5 }, ["len", "defaultValue"], "options")
+ * // => GuardKeyError: Unknown key "lenght" in options, did you mean "len"?
+ */
+export function throwIfHasUnknownKeys(variable, allowedKeys, name = "variable") {
+    safeGuardExecute(throwIfIsNotArray, allowedKeys, "allowedKeys");
+    if (variable === null || typeof variable !== "object") {
+        throw new GuardUsageError(`Expected ${name} to be an object, but got ${describeType(variable).summary}.`);
+    }
+    for (const key of Reflect.ownKeys(variable)) {
+        if (allowedKeys.includes(key)) continue;
+        const suggestion = suggestKey(key, allowedKeys);
+        raise(createGuardError(GuardKeyError, { code: GUARD_CODES.UNKNOWN_KEY, variableName: name, key, keys: allowedKeys }, {
+            key: stringify(key), keys: stringify(allowedKeys), suggestion: suggestion === undefined ? undefined : stringify(suggestion)
+        }), throwIfHasUnknownKeys);
+    }
+}
+/**
+ * 选项对象的结构：键为允许的选项名，值为该选项的结构；值为 `null` 表示允许该选项但不检查其值
+ * @typedef {{ [key: string]: Schema | null }} OptionsSchema
+ */
+const assertOptionsSchema = (schema) => {
+    safeGuardExecute(throwIfIsNotPlainObject, schema, "schema");
+    for (const key of Reflect.ownKeys(schema)) {
+        if (schema[key] !== null && !isSchema(schema[key])) {
+            throw new GuardUsageError(`Expected schema${joinPath("", key)} to be a guard function, a plain object or null, but got ${describeType(schema[key]).summary}.`);
+        }
+    }
+}
+const matchOptions = (variable, schema, name) => {
+    if (!isPlainObject(variable)) return raise(genTypeErrorGiveType(variable, name, "a plain object"), matchOptions);
+    throwIfHasUnknownKeys(variable, Reflect.ownKeys(schema), name);
+    for (const key of Reflect.ownKeys(variable)) {
+        if (schema[key] != null) matchSchema(variable[key], schema[key], joinPath(name, key));
+    }
+}
+/**
+ * 检查选项对象：须为普通对象，不能含有结构之外的键（拼写错误的键会给出建议），给出的选项须符合对应结构；
+ * 未给出的选项不做检查
+ * @param {*} variable - 要检查的选项对象
+ * @param {OptionsSchema} schema - 选项结构
+ * @param {string} [name="options"] - 变量名称（用于错误消息）
+ * @throws {TypeError} 当变量不是普通对象或某个选项的值不符合结构时抛出类型错误
+ * @throws {GuardKeyError} 当含有未知选项时抛出错误
+ * @throws {GuardUsageError} 当结构本身不合法时抛出
+ * @example
+ * throwIfIsNotOptions({ len: -1 }, { len: throwIfIsNotNonNegativeInteger, defaultValue: null })
+ * // => RangeError: Expected options.len to be a non-negative integer, but got -1.
+ */
+export function throwIfIsNotOptions(variable, schema, name = "options") {
+    assertOptionsSchema(schema);
+    try {
+        matchOptions(variable, schema, name);
+    } catch (error) {
+        raise(error, throwIfIsNotOptions);
+    }
+}
+/**
+ * 检查选项对象并补全默认值，返回新的选项对象，原对象不会被修改
+ *
+ * - 检查规则与 `throwIfIsNotOptions` 相同，守卫模式为 `"off"` 时跳过检查
+ * - 选项未给出或为 `undefined` 且有默认值时使用默认值；没有默认值的选项保持原样（包括显式给出的 `undefined`）
+ * - 传入 `undefined` 或 `null` 视为空选项对象
+ * @template {Object} T
+ * @param {Partial<T> | null | undefined} variable - 选项对象
+ * @param {OptionsSchema} schema - 选项结构
+ * @param {Partial<T>} [defaults] - 默认值
+ * @param {string} [name="options"] - 变量名称（用于错误消息）
+ * @returns {T} 补全默认值后的选项对象
+ * @throws {TypeError} 当变量不是普通对象或某个选项的值不符合结构时抛出类型错误
+ * @throws {GuardKeyError} 当含有未知选项时抛出错误
+ * @example
+ * resolveOptions({ len: 2 }, { len: throwIfIsNotNonNegativeInteger, checkDefaultValue: throwIfIsNotBoolean }, { checkDefaultValue: true })
+ * // => { checkDefaultValue: true, len: 2 }
+ * resolveOptions({ lenght: 2 }, { len: throwIfIsNotNonNegativeInteger })
+ * // => GuardKeyError: Unknown key "lenght" in options, did you mean "len"?
+ */
+export function resolveOptions(variable, schema, defaults = {}, name = "options") {
+    const options = variable ?? {};
+    runGuards(() => {
+        assertOptionsSchema(schema);
+        try {
+            matchOptions(options, schema, name);
+        } catch (error) {
+            raise(error, resolveOptions);
+        }
+    });
+    const resolved = { ...defaults };
+    for (const key of Reflect.ownKeys(options)) {
+        if (options[key] !== undefined || !(key in defaults)) resolved[key] = options[key];
+    }
+    return resolved;
+}
+// ------------------------------------------------
+// 问题收集（非抛出）校验函数
+// ------------------------------------------------
+/**
+ * 在收集模式下执行函数：期间调用的守卫函数不再在第一个问题处抛出，而是记录全部问题并继续检查，
+ * 例如数组守卫会报告每一个不合格的元素，缺键守卫会报告每一个缺少的键
+ *
+ * - 仅收集同步执行期间产生的问题
+ * - 库函数（如 `deepMerge`、`clamp`）的参数校验失败时，记录其全部问题后中止 fn，库函数不会带着不合法的参数继续执行
+ * - 守卫自身的使用错误（GuardUsageError）以及非守卫代码抛出的错误不会被收集，仍会直接抛出
+ * @param {() => void} fn - 要执行的函数，其中可以调用任意守卫函数
+ * @returns {{ ok: boolean, issues: GuardIssue[] }} 收集结果，`ok` 为 `true` 表示没有发现问题
+ * @example
+ * collectGuardIssues(() => {
+ *     throwIfIsNotPositiveIntegerArray([1, -2, "3"], "ids");
+ *     throwIfSomeKeysMissing({}, ["a", "b"], "options");
+ * })
+ * // => { ok: false, issues: [
+ * //   { path: "ids[1]", code: "INVALID_ELEMENT", ... },
+ * //   { path: "ids[2]", code: "INVALID_ELEMENT", ... },
+ * //   { path: "options.a", code: "MISSING_KEY", ... },
+ * //   { path: "options.b", code: "MISSING_KEY", ... }
+ * // ] }
+ */
+export function collectGuardIssues(fn) {
+    safeGuardExecute(throwIfIsNotFunction, fn, "fn");
+    const issues = runCollecting(fn);
+    return { ok: issues.length === 0, issues };
+}
+/**
+ * 检查变量是否符合给定的结构，不抛出错误，而是返回发现的全部问题
+ * @param {*} variable - 要检查的变量
+ * @param {Schema} schema - 结构描述，也可以直接传入单个守卫函数
+ * @param {string} [name="variable"] - 变量名称（用于问题路径）
+ * @returns {{ ok: boolean, issues: GuardIssue[] }} 检查结果，`ok` 为 `true` 表示没有发现问题
+ * @throws {GuardUsageError} 当结构本身不合法时抛出守卫错误
+ * @example
+ * checkMatchesSchema({ items: [{ weight: "1" }, {}] }, { items: arrayOf({ weight: throwIfIsNotFiniteNumber }) }, "config")
+ * // => { ok: false, issues: [
+ * //   { path: "config.items[0].weight", code: "INVALID_TYPE", expected: "a number", received: "string", ... },
+ * //   { path: "config.items[1].weight", code: "MISSING_KEY", key: "weight", ... }
+ * // ] }
+ */
+export function checkMatchesSchema(variable, schema, name = "variable") {
+    const issues = runCollecting(() => matchSchema(variable, schema, name));
+    return { ok: issues.length === 0, issues };
+}
+// ------------------------------------------------
+// 守卫工厂
+// ------------------------------------------------
+/**
+ * 由一个判断函数生成一组行为一致的守卫函数，错误消息格式、调用栈裁剪与问题收集模式均与内置守卫相同
+ * @template T
+ * @param {{
+ *   predicate: (value: any) => boolean,
+ *   describe: string,
+ *   describeFailure?: (value: any) => string
+ * }} options
+ * @param options.predicate - 判断函数，返回 `true` 表示值合格
+ * @param options.describe - 合格值的描述，用于错误消息，如 `"a positive integer"`
+ * @param options.describeFailure - 不合格值的描述，用于错误消息（默认使用 `stringify`）
+ * @returns {{
+ *   is: (value: any) => value is T,
+ *   throwIfIsNot: (variable: any, name?: string) => void,
+ *   throwIfIsNotArrayOf: (variable: any, name?: string) => void,
+ *   throwIfIsNotIterableOf: (variable: any, name?: string) => void,
+ *   throwIfIsNotMapOf: (variable: any, name?: string) => void
+ * }}
+ * - `is`：判断值是否合格
+ * - `throwIfIsNot`：值不合格时抛出类型错误
+ * - `throwIfIsNotArrayOf`：不是数组或存在不合格元素时抛出类型错误
+ * - `throwIfIsNotIterableOf`：不可迭代或迭代出不合格元素时抛出类型错误
+ * - `throwIfIsNotMapOf`：不是 Map 或存在不合格的值时抛出类型错误
+ * @throws {GuardUsageError} 当 options 不合法时抛出
+ * @example
+ * const weight = defineGuard({
+ *     predicate: v => typeof v === "number" && v >= 0 && v <= 1,
+ *     describe: "a weight between 0 and 1"
+ * });
+ * weight.throwIfIsNot(2, "w") // => TypeError: Expected w to be a weight between 0 and 1, but got 2.
+ * weight.throwIfIsNotArrayOf([0.5, 2], "ws") // => TypeError: Expected each element of ws to be a weight between 0 and 1, but found 2 at index 1.
+ */
+export function defineGuard(options) {
+    safeGuardExecute(throwIfIsNotPlainObject, options, "options");
+    const { predicate, describe, describeFailure = (value) => stringify(value) } = options;
+    safeGuardExecute(throwIfIsNotFunction, predicate, "options.predicate");
+    safeGuardExecute(throwIfIsNotString, describe, "options.describe");
+    safeGuardExecute(throwIfIsNotFunction, describeFailure, "options.describeFailure");
+    const is = (value) => Boolean(predicate(value));
+    const genElementError = (value, name, position) => createGuardError(GuardTypeError, {
+        code: GUARD_CODES.INVALID_ELEMENT,
+        variableName: name,
+        expected: describe,
+        received: "index" in position ?
+            term("{value} at index {index}", { value: describeFailure(value), index: position.index }) :
+            term("{value} at key {key}", { value: describeFailure(value), key: stringify(position.key) }),
+        ...position
+    }, { elements: term("index" in position ? "each element of {name}" : "each value of {name}", { name }) });
+    const throwIfIsNot = (variable, name = "variable") => {
+        if (is(variable)) return;
+        raise(createGuardError(GuardTypeError, {
+            code: GUARD_CODES.INVALID_VALUE, variableName: name, expected: describe, received: describeFailure(variable)
+        }), throwIfIsNot);
+    }
+    const throwIfIsNotArrayOf = (variable, name = "variable") => {
+        if (!Array.isArray(variable)) return raise(genTypeErrorGiveType(variable, name, "an array"), throwIfIsNotArrayOf);
+        for (const [index, e] of variable.entries()) {
+            if (!is(e)) raise(genElementError(e, name, { index }), throwIfIsNotArrayOf);
+        }
+    }
+    const throwIfIsNotIterableOf = (variable, name = "variable") => {
+        if (variable == null || typeof variable[Symbol.iterator] !== "function") {
+            return raise(genTypeErrorGiveType(variable, name, "an iterable"), throwIfIsNotIterableOf);
+        }
+        let index = 0;
+        for (const e of variable) {
+            if (!is(e)) raise(genElementError(e, name, { index }), throwIfIsNotIterableOf);
+            index++;
+        }
+    }
+    const throwIfIsNotMapOf = (variable, name = "variable") => {
+        if (!(variable instanceof Map)) return raise(genTypeErrorGiveType(variable, name, "a map"), throwIfIsNotMapOf);
+        for (const [key, value] of variable) {
+            if (!is(value)) raise(genElementError(value, name, { key }), throwIfIsNotMapOf);
+        }
+    }
+    return { is, throwIfIsNot, throwIfIsNotArrayOf, throwIfIsNotIterableOf, throwIfIsNotMapOf };
+}
+// ------------------------------------------------
+// 函数契约
+// ------------------------------------------------
+/**
+ * 从 start 处的左括号开始，按顶层逗号切分到与之匹配的右括号为止的参数列表；
+ * 跳过字符串、模板字符串（包括其中的 `${}`）与注释，括号不匹配时返回 undefined
+ * @param {string} source
+ * @param {number} start - 左括号的位置
+ * @returns {string[] | undefined}
+ */
+const splitParameterList = (source, start) => {
+    const parts = [];
+    /** @type {string[]} 尚未闭合的括号与模板字符串，`${` 记为 "{" */
+    const stack = [];
+    let part = "";
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        const inTemplate = stack[stack.length - 1] === "`";
+        if (inTemplate) {
+            if (char === "\\") {
+                part += source.slice(i, i + 2);
+                i++;
+            } else if (char === "`") {
+                stack.pop();
+                part += char;
+            } else if (char === "$" && source[i + 1] === "{") {
+                stack.push("{");
+                part += "${";
+                i++;
+            } else {
+                part += char;
+            }
+            continue;
+        }
+        if (char === "\"" || char === "'") {
+            let end = i + 1;
+            while (end < source.length && source[end] !== char) end += source[end] === "\\" ? 2 : 1;
+            part += source.slice(i, end + 1);
+            i = end;
+        } else if (char === "/" && (source[i + 1] === "/" || source[i + 1] === "*")) {
+            const end = source[i + 1] === "/" ? source.indexOf("\n", i) : source.indexOf("*/", i + 2) + 1;
+            if (end <= 0) return undefined;
+            i = end;
+        } else if (char === "`" || "([{".includes(char)) {
+            stack.push(char);
+            if (stack.length > 1) part += char;
+        } else if (")]}".includes(char)) {
+            stack.pop();
+            if (stack.length === 0) {
+                parts.push(part);
+                return parts.map(item => item.trim()).filter(Boolean);
+            }
+            part += char;
+        } else if (char === "," && stack.length === 1) {
+            parts.push(part);
+            part = "";
+        } else {
+            part += char;
+        }
+    }
+    return undefined;
+}
+/**
+ * 从函数源码中尽量解析形参名；解构形参或无法解析的位置为 undefined。
+ * 源码解析只是未提供 `paramNames` 时的后备方案，如经过压缩的代码中形参名已经失去意义
+ * @param {Function} fn
+ * @returns {{ names: (string|undefined)[], rest: boolean }}
+ */
+const getParamNames = (fn) => {
+    const source = Function.prototype.toString.call(fn);
+    const single = source.match(/^(?:async\s+)?([A-Za-z_$][\w$]*)\s*=>/);
+    if (single) return { names: [single[1]], rest: false };
+    const open = source.indexOf("(");
+    const params = open < 0 ? undefined : splitParameterList(source, open);
+    if (!params) return { names: [], rest: false };
+    const rest = params.length > 0 && params[params.length - 1].startsWith("...");
+    const names = params.map(param => {
+        const name = param.replace(/^\.\.\./, "").split("=")[0].trim();
+        return IDENTIFIER_REGEXP.test(name) ? name : undefined;
+    });
+    return { names, rest };
+}
+/**
+ * 为函数添加参数与返回值校验：调用时按 `params` 逐个校验实参，返回后按 `returns` 校验返回值，
+ * 返回 Promise 时校验其兑现值。错误消息使用形参名，守卫模式为 `"off"` 时跳过校验
+ * @template {Function} F
+ * @param {F} fn - 要包装的函数
+ *
+ * - 异步函数（`async function`）的实参不合法时返回被拒绝的 Promise，而不是同步抛出
+ * - 结构本身不合法导致的 `GuardUsageError` 总是抛出，不受守卫模式影响
+ * @param {{ params?: (Schema | null | undefined)[], paramNames?: string[], returns?: Schema, name?: string }} [options]
+ * @param options.params - 各位置实参的结构，可以是守卫函数或结构描述，为 `null` 或 `undefined` 的位置不校验
+ * @param options.paramNames - 各位置形参的名称（用于错误消息），剩余参数以 `...` 开头，如 `["value", "...rest"]`；
+ *   省略时尽量从 fn 的源码中解析，无法解析的位置记为 `arguments[i]`
+ * @param options.returns - 返回值的结构，省略时不校验返回值
+ * @param options.name - 包装后函数的名称，同时用于返回值的错误消息（默认为 `fn.name`）
+ * @returns {F} 包装后的函数，保留原函数的 `length`、`name` 与 `this` 绑定
+ * @throws {GuardUsageError} 当 fn 或 options 不合法时抛出
+ * @example
+ * const scale = guarded(function scale(value, factor) { return value * factor; }, {
+ *     params: [throwIfIsNotFiniteNumber, throwIfIsNotPositiveFiniteNumber],
+ *     returns: throwIfIsNotFiniteNumber
+ * });
+ * scale(2, 0) // => RangeError: Expected factor to be a positive finite number, but got 0.
+ * scale(1e308, 10) // => TypeError: Expected return value of scale to be a finite number, but got Infinity.
+ */
+export function guarded(fn, options = {}) {
+    safeGuardExecute(throwIfIsNotFunction, fn, "fn");
+    safeGuardExecute(throwIfIsNotPlainObject, options, "options");
+    const { params = [], paramNames, returns, name = fn.name } = options;
+    safeGuardExecute(throwIfIsNotArray, params, "options.params");
+    if (paramNames !== undefined) safeGuardExecute(throwIfIsNotStringArray, paramNames, "options.paramNames");
+    params.forEach((schema, i) => {
+        if (schema != null && !isSchema(schema)) {
+            throw new GuardUsageError(`Expected options.params[${i}] to be a guard function or a plain object, but got ${describeType(schema).summary}.`);
+        }
+    });
+    if (returns !== undefined && !isSchema(returns)) {
+        throw new GuardUsageError(`Expected options.returns to be a guard function or a plain object, but got ${describeType(returns).summary}.`);
+    }
+    safeGuardExecute(throwIfIsNotString, name, "options.name");
+    const { names, rest } = paramNames === undefined ? getParamNames(fn) : {
+        names: paramNames.map(paramName => paramName.replace(/^\.\.\./, "")),
+        rest: paramNames.length > 0 && paramNames[paramNames.length - 1].startsWith("...")
+    };
+    const isAsync = Object.prototype.toString.call(fn) === "[object AsyncFunction]";
+    const paramName = (i) => {
+        if (rest && i >= names.length - 1) return `${names[names.length - 1] ?? "args"}[${i - names.length + 1}]`;
+        return names[i] ?? `arguments[${i}]`;
+    }
+    const returnName = `return value of ${name || "anonymous function"}`;
+    const checkReturn = (value, callee) => runGuards(() => {
+        try {
+            matchSchema(value, returns, returnName);
+        } catch (error) {
+            if (error instanceof GuardUsageError) throw error;
+            raise(error, callee);
+        }
+    });
+    const checkParams = (args) => runGuards(() => {
+        try {
+            params.forEach((schema, i) => {
+                if (schema != null) matchSchema(args[i], schema, paramName(i));
+            });
+        } catch (error) {
+            if (error instanceof GuardUsageError) throw error;
+            raise(error, wrapper);
+        }
+    });
+    const wrapper = function (...args) {
+        try {
+            checkParams(args);
+        } catch (error) {
+            // 收集模式的中止信号须同步抛出，才能被 collectGuardIssues 捕获
+            if (isAsync && error !== COLLECTION_ABORTED) return Promise.reject(error);
+            throw error;
+        }
+        const result = fn.apply(this, args);
+        if (returns === undefined || !isGuardEnabled()) return result;
+        if (typeof result?.then === "function") {
+            return result.then(function checkResolved(value) {
+                checkReturn(value, checkResolved);
+                return value;
+            });
+        }
+        checkReturn(result, wrapper);
+        return result;
+    }
+    Object.defineProperty(wrapper, "length", { value: fn.length });
+    Object.defineProperty(wrapper, "name", { value: name });
+    return wrapper;
+}
+// ------------------------------------------------
+// 异步校验
+// ------------------------------------------------
+/**
+ * setTimeout 可以接受的最大延迟（2^31 - 1 毫秒，约 24.8 天），超出时计时器会立即触发
+ */
+const MAX_TIMEOUT = 2147483647;
+/**
+ * 等待 Promise 兑现并校验兑现值，返回一个新的 Promise：
+ * - 兑现值符合结构时，以该值兑现
+ * - 兑现值不符合结构时，以守卫错误拒绝（守卫模式为 `"warn"` 时记录日志后照常兑现，为 `"off"` 时跳过校验）
+ * - 原 Promise 被拒绝时，以原因拒绝
+ * - 设置了 `timeout` 且超时仍未敲定时，以 `GuardTimeoutError` 拒绝
+ * @template T
+ * @param {PromiseLike<T>} promise - 要等待的 Promise 或 thenable
+ * @param {Schema} schema - 兑现值的结构，可以是守卫函数、判断函数或结构描述
+ * @param {{ timeout?: number | `${number}${"ms"|"s"|"min"|"h"|"d"}`, name?: string }} [options]
+ * @param options.timeout - 超时时间，毫秒数或时长字符串（与 time.js 相同），如 `"5s"`，不能超过 2147483647 毫秒（约 24.8 天）；省略时不限时
+ * @param options.name - 兑现值的名称（用于错误消息），默认为 `"resolved value"`
+ * @returns {Promise<T>}
+ * @example
+ * await awaitAndGuard(fetchCount(), throwIfIsNotNonNegativeInteger, { timeout: "5s", name: "count" })
+ * // => RangeError: Expected count to be a non-negative integer, but got -1.
+ * // => GuardTimeoutError: Expected count to settle within 5s, but it did not.
+ */
+export async function awaitAndGuard(promise, schema, options = {}) {
+    assertSchemas([schema], "awaitAndGuard");
+    safeGuardExecute(throwIfIsNotPlainObject, options, "options");
+    const { timeout, name = "resolved value" } = options;
+    if (timeout !== undefined) {
+        safeGuardExecute(anyOf(throwIfIsNotNonNegativeFiniteNumber, throwIfIsNotDurationString), timeout, "options.timeout");
+        safeGuardExecute(throwIfIsNotNumberInRange, typeof timeout === "number" ? timeout : parseDurationString(timeout), { max: MAX_TIMEOUT }, "options.timeout");
+    }
+    safeGuardExecute(throwIfIsNotString, name, "options.name");
+    throwIfIsNotPromiseLike(promise, "promise");
+    let timer;
+    const timeoutPromise = timeout === undefined ? undefined : new Promise((_resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(createGuardError(GuardTimeoutError, { code: GUARD_CODES.TIMEOUT, variableName: name, expected: typeof timeout === "number" ? `${timeout}ms` : timeout }));
+        }, typeof timeout === "number" ? timeout : parseDurationString(timeout));
+    });
+    let value;
+    try {
+        value = await (timeoutPromise ? Promise.race([promise, timeoutPromise]) : promise);
+    } finally {
+        clearTimeout(timer);
+    }
+    runGuards(() => {
+        try {
+            matchSchema(value, schema, name);
+        } catch (error) {
+            if (error instanceof GuardUsageError) throw error;
+            raise(error, awaitAndGuard);
+        }
+    });
+    return value;
+}
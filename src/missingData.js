@@ -1,4 +1,12 @@
-import { throwIfIsNotNonNegativeInteger } from "./guard.js";
+import { resolveOptions, throwIfIsNotBoolean, throwIfIsNotNonNegativeInteger } from "./guard.js";
+import { isPlainObject } from "./type.js";
+
+const FORWARD_FILL_OPTIONS = {
+    len: throwIfIsNotNonNegativeInteger,
+    invalidityChecker: null,
+    defaultValue: null,
+    checkDefaultValue: throwIfIsNotBoolean
+};
 
 /**
  * 前向填充（forward-fill）输入数据，向前填充无效值。
@@ -20,8 +28,11 @@ import { throwIfIsNotNonNegativeInteger } from "./guard.js";
  * @param options.len - 期望输出的元素总数，当 `len` 未提供时，输出长度 = 从第一个有效值开始到输入结束的长度，且不会自动扩展。
  * @param options.invalidityChecker - 用于判断无效值的标准(默认: `undefined`)
  * @param options.defaultValue - 若提供，则用以填充前导无效值，默认开启有效性检查。
- * @param options.checkDefaultValue - 是否对 defaultValue 进行有效性检查（默认: `true`）
+ * @param options.checkDefaultValue - 是否对 defaultValue 进行有效性检查（省略 options 时为 `true`；传入 options 而未指定时为 `false`，
+ *   即 defaultValue 总是被视为有效值）
  * @returns {T[]} 填充后的结果数组，长度不超过 `len`
+ * @throws {GuardKeyError} 当 options 为普通对象且含有未知选项时抛出，如将 `len` 误写为 `lenght`；
+ *   类实例等非普通对象只读取上述选项（包括继承的属性），不检查未知选项
  *
  * @example
  * forwardFill("abc",{len:2}) //=> ["abc", "abc"]
@@ -31,11 +42,13 @@ import { throwIfIsNotNonNegativeInteger } from "./guard.js";
  * forwardFill(new Map([[1,2],['a',2]])) // => [[1,2],['a',2]]
  * const obj = {};forwardFill(obj,{len:2}) // => [obj, obj]
  */
-export function forwardFill(inputData, options = { checkDefaultValue: true }) {
-    if ("len" in options) {
-        throwIfIsNotNonNegativeInteger(options.len, "options.len");
-        if (options.len === 0) return [];
+export function forwardFill(inputData, options) {
+    if ((typeof options === "object" && options !== null && !isPlainObject(options)) || typeof options === "function") {
+        const source = options;
+        options = Object.fromEntries(Object.keys(FORWARD_FILL_OPTIONS).filter(key => key in source).map(key => [key, source[key]]));
     }
+    options = resolveOptions(options, FORWARD_FILL_OPTIONS, options === undefined ? { checkDefaultValue: true } : {});
+    if (options.len === 0) return [];
     const result = []
     const dataList = typeof inputData === "object"
         && typeof inputData?.[Symbol.iterator] === 'function' ?
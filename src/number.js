@@ -1,7 +1,9 @@
-import { throwIfIsNotComparableNumber } from "./guard.js"
+import { runGuards, throwIfIsNotComparableNumber } from "./guard.js"
 export function clamp(value, min, max) {
-    throwIfIsNotComparableNumber(value, "value");
-    throwIfIsNotComparableNumber(min, "min");
-    throwIfIsNotComparableNumber(max, "max");
+    runGuards(() => {
+        throwIfIsNotComparableNumber(value, "value");
+        throwIfIsNotComparableNumber(min, "min");
+        throwIfIsNotComparableNumber(max, "max");
+    });
     return Math.max(Math.min(value, max), min);
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
-import { throwIfIsNotPlainObject, throwIfIsNotPlainObjectArray, throwIfKeyMissing } from "./guard.js";
+import { describeType, isDeepEqual, isPlainObject, stringify } from "./type.js";
+import { anyOf, formatPath, literal, parsePath, resolveOptions, runGuards, throwIfIsNotArray, throwIfIsNotArrayOfLength, throwIfIsNotBoolean, throwIfIsNotFunction, throwIfIsNotNonBlankString, throwIfIsNotObject, throwIfIsNotPlainObject, throwIfIsNotPositiveInteger, throwIfIsNotPlainObjectArray, throwIfIsNotString, throwIfKeyMissing, throwIfNotMatchesSchema } from "./guard.js";
 /**
  * 将对象的指定属性设置为只读
  * @param {Object} obj - 需要修改的对象
@@ -7,8 +8,10 @@ import { throwIfIsNotPlainObject, throwIfIsNotPlainObjectArray, throwIfKeyMissin
  * @throws {Error} 当对象中找不到指定属性时会抛出错误
  */
 export function makePropertyReadOnly(obj, name) {
-    throwIfIsNotPlainObject(obj);
-    throwIfKeyMissing(obj, name, "obj");
+    runGuards(() => {
+        throwIfIsNotPlainObject(obj);
+        throwIfKeyMissing(obj, name, "obj");
+    });
     const descriptor = Object.getOwnPropertyDescriptor(obj, name);
     if ('value' in descriptor) {
         Object.defineProperty(obj, name, {
@@ -36,10 +39,1515 @@ export function makePropertyReadOnly(obj, name) {
  * @returns {void}
  */
 export function assignWithDescriptors(target, ...sources) {
-    throwIfIsNotPlainObject(target);
-    throwIfIsNotPlainObjectArray(sources);
+    runGuards(() => {
+        throwIfIsNotPlainObject(target);
+        throwIfIsNotPlainObjectArray(sources);
+    });
     for (const obj of sources) {
         Object.defineProperties(target, Object.getOwnPropertyDescriptors(obj))
     }
     return target;
-}
\ No newline at end of file
+}
+/**
+ * 自定义克隆函数注册表，键为构造函数
+ * @type {Map<Function, DeepCloner>}
+ */
+const cloners = new Map();
+
+/**
+ * @callback DeepCloner
+ * @param {*} value - 要克隆的对象
+ * @param {(child: *) => *} clone - 以相同选项深度克隆子值，共享循环引用记录
+ * @returns {*} 克隆结果
+ */
+
+/**
+ * 为某个类注册 {@link deepClone} 使用的克隆函数，子类实例同样适用（按原型链从近到远匹配），重复注册会覆盖旧值。
+ * 克隆函数返回前对象本身尚未登记，因此子值中指回该对象的循环引用需要由克隆函数自行处理
+ * @param {Function} constructor - 类或构造函数
+ * @param {DeepCloner} cloner - 克隆函数
+ * @throws {TypeError} 当constructor或cloner不是函数时抛出类型错误
+ * @example
+ * registerCloner(Point, (p, clone) => new Point(p.x, clone(p.meta)));
+ */
+export function registerCloner(constructor, cloner) {
+    runGuards(() => {
+        throwIfIsNotFunction(constructor, "constructor");
+        throwIfIsNotFunction(cloner, "cloner");
+    });
+    cloners.set(constructor, cloner);
+}
+
+/**
+ * 移除通过 {@link registerCloner} 注册的克隆函数
+ * @param {Function} constructor - 注册时使用的类或构造函数
+ * @returns {boolean} 是否存在并被移除
+ */
+export function unregisterCloner(constructor) {
+    return cloners.delete(constructor);
+}
+
+function findCloner(value) {
+    if (cloners.size === 0) return undefined;
+    for (let proto = Object.getPrototypeOf(value); proto !== null; proto = Object.getPrototypeOf(proto)) {
+        if (Object.hasOwn(proto, "constructor") && cloners.has(proto.constructor)) return cloners.get(proto.constructor);
+    }
+    return undefined;
+}
+
+const ARRAY_INDEX_REGEXP = /^(0|[1-9]\d*)$/;
+
+/**
+ * 深度克隆一个值
+ *
+ * - 支持循环引用与共享引用，克隆结果保持相同的引用结构
+ * - 支持 Array、Map、Set、Date、RegExp、Error、包装对象、ArrayBuffer、TypedArray、DataView 与无原型对象；
+ *   共享同一 ArrayBuffer 的视图在克隆后仍共享同一个克隆的 ArrayBuffer
+ * - 函数、WeakMap、WeakSet、Promise 等无法克隆的对象按引用保留
+ * - 类实例通过原型保留类型，但私有字段和内部槽不会被复制，这类对象请用 {@link registerCloner} 注册克隆函数
+ * @param {*} value - 要克隆的值
+ * @param {Object} [options] - 克隆选项
+ * @param {boolean} [options.descriptors=false] - 为 true 时按属性描述符复制全部自有属性（含不可枚举属性与 Symbol 键），
+ * 保留访问器（不会调用）、`writable`/`configurable` 标志以及对象的不可扩展状态；为 false 时只复制可枚举自有属性的当前值
+ * @param {boolean} [options.keepPrototype=true] - 是否保留原型，为 false 时类实例与无原型对象克隆为普通对象，内置类型的子类实例克隆为对应的内置类型
+ * @returns {*} 克隆结果
+ * @throws {TypeError} 当选项不是布尔值时抛出类型错误
+ * @example
+ * const source = { date: new Date(0), tags: new Set(["a"]) };
+ * source.self = source;
+ * const copy = deepClone(source);
+ * copy.self === copy; // true
+ * copy.tags !== source.tags; // true
+ *
+ * const config = { port: 80 };
+ * makePropertyReadOnly(config, "port");
+ * Object.getOwnPropertyDescriptor(deepClone(config, { descriptors: true }), "port").writable; // false
+ */
+export function deepClone(value, options) {
+    options = resolveOptions(options, {
+        descriptors: throwIfIsNotBoolean,
+        keepPrototype: throwIfIsNotBoolean
+    }, { descriptors: false, keepPrototype: true });
+    const copies = new Map();
+    const clone = (v) => {
+        if (v === null || typeof v !== "object") return v;
+        if (copies.has(v)) return copies.get(v);
+        const cloner = findCloner(v);
+        if (cloner) {
+            const copy = cloner(v, clone);
+            copies.set(v, copy);
+            return copy;
+        }
+        const copy = createClone(v, clone, options.keepPrototype);
+        copies.set(v, copy);
+        if (copy === v) return copy;
+        fillClone(v, copy, clone, options);
+        return copy;
+    };
+    return clone(value);
+}
+
+/**
+ * 创建与原对象同类型的空壳（或已包含内部数据的对象），属性由 fillClone 复制
+ */
+function createClone(v, clone, keepPrototype) {
+    const tag = Object.prototype.toString.call(v).slice(8, -1);
+    let copy;
+    if (Array.isArray(v)) copy = new Array(v.length);
+    else if (v instanceof Map) copy = new Map();
+    else if (v instanceof Set) copy = new Set();
+    else if (v instanceof Date) copy = new Date(v.getTime());
+    else if (v instanceof RegExp) {
+        copy = new RegExp(v.source, v.flags);
+        copy.lastIndex = v.lastIndex;
+    } else if (tag === "ArrayBuffer" || tag === "SharedArrayBuffer") copy = v.slice(0);
+    else if (ArrayBuffer.isView(v)) {
+        const buffer = clone(v.buffer);
+        copy = v instanceof DataView ? new DataView(buffer, v.byteOffset, v.byteLength) : new globalThis[tag](buffer, v.byteOffset, v.length);
+    } else if (describeType(v).isBoxedPrimitive) copy = Object(v.valueOf());
+    else if (v instanceof Error) copy = new Error();
+    else if (["WeakMap", "WeakSet", "WeakRef", "FinalizationRegistry", "Promise"].includes(tag)) return v;
+    else copy = {};
+    const prototype = Object.getPrototypeOf(v);
+    if (keepPrototype) {
+        if (Object.getPrototypeOf(copy) !== prototype) Object.setPrototypeOf(copy, prototype);
+    } else if (v instanceof Error) {
+        Object.setPrototypeOf(copy, Error.prototype);
+    }
+    return copy;
+}
+
+/**
+ * 复制内部条目与自有属性
+ */
+function fillClone(v, copy, clone, { descriptors }) {
+    if (v instanceof Map) {
+        for (const [key, value] of v) copy.set(clone(key), clone(value));
+    } else if (v instanceof Set) {
+        for (const member of v) copy.add(clone(member));
+    }
+    const isTypedArray = ArrayBuffer.isView(v) && !(v instanceof DataView);
+    const keys = Reflect.ownKeys(v).filter(key => !(isTypedArray && typeof key === "string" && ARRAY_INDEX_REGEXP.test(key)));
+    for (const key of keys) {
+        const descriptor = Object.getOwnPropertyDescriptor(v, key);
+        // Error 的 message、stack 等属性不可枚举，但属于错误对象的内容
+        const isErrorField = v instanceof Error && ["name", "message", "stack", "cause"].includes(key);
+        if (!descriptors && !descriptor.enumerable && !isErrorField) continue;
+        if (descriptors || isErrorField) {
+            if ("value" in descriptor) descriptor.value = clone(descriptor.value);
+            Object.defineProperty(copy, key, descriptor);
+        } else {
+            Object.defineProperty(copy, key, { value: clone(v[key]), writable: true, enumerable: true, configurable: true });
+        }
+    }
+    if (descriptors && !Object.isExtensible(v)) Object.preventExtensions(copy);
+}
+
+/**
+ * 各内置类型会修改自身内部状态的方法，这些状态无法通过 Object.freeze 锁定
+ */
+const MUTATORS = {
+    map: ["set", "delete", "clear"],
+    set: ["add", "delete", "clear"],
+    weakmap: ["set", "delete"],
+    weakset: ["add", "delete"],
+    date: Object.getOwnPropertyNames(Date.prototype).filter(key => key.startsWith("set")),
+    typedArray: ["fill", "set", "copyWithin", "reverse", "sort"]
+};
+const mutatorsOf = (value) => ArrayBuffer.isView(value) && !(value instanceof DataView) ? MUTATORS.typedArray : MUTATORS[describeType(value).type];
+
+/**
+ * 深度冻结对象：递归冻结嵌套的对象、数组以及 Map 的键和值、Set 的成员，返回原对象。
+ *
+ * - Map、Set、Date 的内部数据无法被 Object.freeze 锁定，因此在实例上以抛出 TypeError 的同名方法覆盖其修改方法（如 `set`、`add`、`clear`、`setTime`）后再冻结
+ * - 访问器属性不会被调用，其返回值也不会被冻结
+ * - 函数按原样保留；类型化数组与 ArrayBuffer 无法冻结，会被跳过
+ * - 支持循环引用
+ * @template T
+ * @param {T} obj - 要冻结的值，原始值原样返回
+ * @returns {T} 冻结后的原对象
+ * @example
+ * const config = deepFreeze({ db: { hosts: ["a"] }, flags: new Set(["x"]) });
+ * config.db.hosts.push("b"); // TypeError: Cannot add property 1, object is not extensible
+ * config.flags.add("y"); // TypeError: Cannot call add() on a frozen Set.
+ */
+export function deepFreeze(obj) {
+    const visited = new WeakSet();
+    const freeze = (value) => {
+        if (value === null || typeof value !== "object" || visited.has(value)) return;
+        visited.add(value);
+        if (ArrayBuffer.isView(value) || describeType(value).tag.endsWith("ArrayBuffer")) return;
+        const mutators = mutatorsOf(value);
+        if (value instanceof Map) {
+            value.forEach((item, key) => {
+                freeze(key);
+                freeze(item);
+            });
+        } else if (value instanceof Set) {
+            value.forEach(freeze);
+        }
+        const typeName = describeType(value).tag;
+        // 已不可扩展的对象无法再添加方法，只能保持原样
+        for (const method of Object.isExtensible(value) ? mutators ?? [] : []) {
+            Object.defineProperty(value, method, {
+                value: function () {
+                    throw new TypeError(`Cannot call ${method}() on a frozen ${typeName}.`);
+                },
+                writable: false,
+                enumerable: false,
+                configurable: false
+            });
+        }
+        for (const key of Reflect.ownKeys(value)) {
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+            if ("value" in descriptor) freeze(descriptor.value);
+        }
+        Object.freeze(value);
+    };
+    freeze(obj);
+    return obj;
+}
+
+const IDENTIFIER_REGEXP = /^[A-Za-z_$][\w$]*$/;
+const appendPath = (path, key) => {
+    if (typeof key === "string" && IDENTIFIER_REGEXP.test(key)) return `${path}.${key}`;
+    if (typeof key === "string" && ARRAY_INDEX_REGEXP.test(key)) return `${path}[${key}]`;
+    return `${path}[${stringify(key)}]`;
+};
+
+/**
+ * 创建对象的只读视图：返回一个 Proxy，通过它进行的任何写入、删除、定义属性、修改原型等操作都会抛出 TypeError，
+ * 错误消息包含完整的属性路径；读取到的嵌套对象同样是只读视图。原对象不受影响，持有者仍可修改，修改会反映到视图中。
+ *
+ * - Map、Set、Date、类型化数组的读取方法正常可用，修改方法（如 `set`、`add`、`setTime`、`fill`）会抛出错误
+ * - Map、WeakMap 的 `get` 与迭代得到的值（及对象键）同样是只读视图；`get`、`has` 接受从视图中取得的键或成员，按原对象查找
+ * - 类型化数组的 `subarray`、`slice` 等方法返回的新数组同样是只读视图，回调函数收到的数组参数也是视图本身
+ * - 原对象中不可配置且不可写的属性（如已冻结的对象）按 Proxy 的规则原样返回，不再包装
+ * @template {Object} T
+ * @param {T} obj - 原对象
+ * @param {string} [name="object"] - 视图名称（用于错误消息）
+ * @returns {T} 只读视图
+ * @throws {TypeError} 当obj不是对象时抛出类型错误
+ * @example
+ * const config = { db: { hosts: ["a"] } };
+ * const view = readonlyView(config, "config");
+ * view.db.hosts[0] = "b"; // TypeError: Cannot assign to config.db.hosts[0]: config is a read-only view.
+ * config.db.hosts[0] = "b"; // 原对象仍可修改
+ * view.db.hosts[0]; // "b"
+ */
+export function readonlyView(obj, name = "object") {
+    runGuards(() => {
+        throwIfIsNotObject(obj, "obj");
+        throwIfIsNotNonBlankString(name, "name");
+    });
+    /** @type {WeakMap<object, Map<string, object>>} */
+    const views = new WeakMap();
+    /** @type {WeakMap<object, object>} 视图 → 原对象 */
+    const targets = new WeakMap();
+    const unwrap = (value) => targets.get(value) ?? value;
+    const deny = (action, path) => {
+        throw new TypeError(`Cannot ${action} ${path}: ${name} is a read-only view.`);
+    };
+    const wrap = (value, path) => {
+        if (value === null || typeof value !== "object") return value;
+        let byPath = views.get(value);
+        if (!byPath) views.set(value, byPath = new Map());
+        if (!byPath.has(path)) {
+            const view = createView(value, path);
+            byPath.set(path, view);
+            targets.set(view, value);
+        }
+        return byPath.get(path);
+    };
+    const createView = (target, path) => {
+        const mutators = mutatorsOf(target);
+        // Map、Set 等对象的方法依赖内部槽，须以原对象为 this 调用
+        const hasInternalSlots = mutators !== undefined;
+        const collectionMethod = (key) => {
+            const isMap = target instanceof Map || target instanceof WeakMap;
+            if (key === "get") return isMap ? (k) => wrap(target.get(unwrap(k)), `${path}.get(${stringify(unwrap(k))})`) : undefined;
+            if (key === "has") return (k) => target.has(unwrap(k));
+            if (target instanceof WeakMap || target instanceof WeakSet) return undefined;
+            const wrapEntry = ([key, value]) => isMap ?
+                [wrap(key, `${path}.keys()`), wrap(value, `${path}.get(${stringify(key)})`)] :
+                [wrap(key, `${path}.values()`), wrap(value, `${path}.values()`)];
+            switch (key) {
+                case "forEach": return (callback, thisArg) => {
+                    for (const [k, v] of target.entries()) {
+                        const [wrappedKey, wrappedValue] = wrapEntry([k, v]);
+                        callback.call(thisArg, wrappedValue, wrappedKey, proxy);
+                    }
+                };
+                case "entries": return function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry);
+                };
+                case "keys": return function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry)[0];
+                };
+                case Symbol.iterator: return isMap ? function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry);
+                } : function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry)[1];
+                };
+                case "values": return function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry)[1];
+                };
+                default: return undefined;
+            }
+        };
+        const proxy = new Proxy(target, {
+            get(target, key, receiver) {
+                if (hasInternalSlots) {
+                    if (mutators.includes(key)) {
+                        return () => deny(`call ${typeof key === "string" ? key : String(key)}() on`, path);
+                    }
+                    const isCollection = target instanceof Map || target instanceof Set || target instanceof WeakMap || target instanceof WeakSet;
+                    const method = isCollection && collectionMethod(key);
+                    if (method) return method;
+                    const value = Reflect.get(target, key, target);
+                    if (typeof value !== "function") return wrap(value, appendPath(path, key));
+                    if (key === "constructor") return value;
+                    // 回调收到的原对象替换为视图，返回的类型化数组（如 subarray 与原数组共享内存）同样包装为视图
+                    const exposeView = (callback) => function (...params) {
+                        return callback.apply(this, params.map(param => param === target ? proxy : param));
+                    };
+                    return (...args) => {
+                        const result = value.apply(target, args.map(arg => typeof arg === "function" ? exposeView(arg) : arg));
+                        if (result === target) return proxy;
+                        return ArrayBuffer.isView(result) ? wrap(result, `${path}.${String(key)}()`) : result;
+                    };
+                }
+                const descriptor = Object.getOwnPropertyDescriptor(target, key);
+                const value = Reflect.get(target, key, receiver);
+                if (descriptor && !descriptor.configurable && descriptor.writable === false) return value;
+                return wrap(value, appendPath(path, key));
+            },
+            getOwnPropertyDescriptor(target, key) {
+                const descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+                if (descriptor?.configurable && "value" in descriptor) descriptor.value = wrap(descriptor.value, appendPath(path, key));
+                return descriptor;
+            },
+            set(target, key) {
+                return deny("assign to", appendPath(path, key));
+            },
+            deleteProperty(target, key) {
+                return deny("delete", appendPath(path, key));
+            },
+            defineProperty(target, key) {
+                return deny("define", appendPath(path, key));
+            },
+            setPrototypeOf() {
+                return deny("set the prototype of", path);
+            },
+            preventExtensions() {
+                return deny("prevent extensions of", path);
+            }
+        });
+        return proxy;
+    };
+    return wrap(obj, name);
+}
+
+/**
+ * 读取嵌套路径上的值，路径中途不存在或遇到 null、undefined 时返回默认值
+ * @param {*} obj - 要读取的对象
+ * @param {import("./guard.js").PropertyPath} path - 属性路径，如 `"a.b[0].c"` 或 `["a", "b", 0, Symbol.for("c")]`
+ * @param {*} [defaultValue] - 路径不存在时的返回值
+ * @returns {*} 路径上的值
+ * @throws {SyntaxError} 当路径字符串格式不正确时抛出语法错误
+ * @example
+ * getPath({ a: { b: [{ c: 1 }] } }, "a.b[0].c") // => 1
+ * getPath({ a: null }, "a.b", "none") // => "none"
+ */
+export function getPath(obj, path, defaultValue) {
+    let current = obj;
+    for (const key of parsePath(path)) {
+        if (current === null || current === undefined || !(key in Object(current))) return defaultValue;
+        current = current[key];
+    }
+    return current;
+}
+
+/**
+ * 判断嵌套路径是否存在（按 `in` 运算符判断，包括继承的属性）
+ * @param {*} obj - 要检查的对象
+ * @param {import("./guard.js").PropertyPath} path - 属性路径
+ * @returns {boolean} 路径是否存在
+ * @throws {SyntaxError} 当路径字符串格式不正确时抛出语法错误
+ * @example
+ * hasPath({ a: { b: undefined } }, "a.b") // => true
+ * hasPath({ a: { b: undefined } }, "a.b.c") // => false
+ */
+export function hasPath(obj, path) {
+    let current = obj;
+    for (const key of parsePath(path)) {
+        if (current === null || current === undefined || !(key in Object(current))) return false;
+        current = current[key];
+    }
+    return true;
+}
+
+/**
+ * 写入嵌套路径上的值，返回原对象。
+ * 中间层不存在（或为 null、undefined）时自动创建：下一个键为数字（如 `a[0]`）时创建数组，否则创建普通对象；
+ * 中间层只会沿自有属性前进，继承的属性（如 `constructor`）会被新建的自有属性遮蔽，键 `__proto__` 作为普通属性写入，因此不会修改原型
+ * @template {Object} T
+ * @param {T} obj - 要写入的对象
+ * @param {import("./guard.js").PropertyPath} path - 属性路径，不能为空
+ * @param {*} value - 要写入的值
+ * @returns {T} 原对象
+ * @throws {TypeError} 当obj不是对象，或中间层是无法添加属性的原始值时抛出类型错误
+ * @throws {SyntaxError} 当路径字符串格式不正确时抛出语法错误
+ * @example
+ * setPath({}, "a.list[1].name", "x") // => { a: { list: [ <1 empty item>, { name: "x" } ] } }
+ */
+export function setPath(obj, path, value) {
+    const keys = parsePath(path);
+    runGuards(() => {
+        throwIfIsNotObject(obj, "obj");
+        throwIfIsNotArrayOfLength(keys, { min: 1 }, "path");
+    });
+    const assign = (target, key, item) => {
+        if (key === "__proto__") Object.defineProperty(target, key, { value: item, writable: true, enumerable: true, configurable: true });
+        else target[key] = item;
+    };
+    let current = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+        const key = keys[i];
+        let next = Object.hasOwn(current, key) ? current[key] : undefined;
+        if (next === null || next === undefined) {
+            next = typeof keys[i + 1] === "number" ? [] : {};
+            assign(current, key, next);
+        } else if (typeof next !== "object" && typeof next !== "function") {
+            throw new TypeError(`Cannot set ${formatPath(keys, "obj")}: ${formatPath(keys.slice(0, i + 1), "obj")} is ${stringify(next)}.`);
+        }
+        current = next;
+    }
+    assign(current, keys[keys.length - 1], value);
+    return obj;
+}
+
+/**
+ * 删除嵌套路径上的自有属性；数组元素被删除后留下空位，不会移动后面的元素
+ * @param {*} obj - 要修改的对象
+ * @param {import("./guard.js").PropertyPath} path - 属性路径，不能为空
+ * @returns {boolean} 属性存在并被删除时返回 true，路径不存在时返回 false
+ * @throws {TypeError} 当属性不可配置而无法删除时抛出类型错误
+ * @throws {SyntaxError} 当路径字符串格式不正确时抛出语法错误
+ * @example
+ * const config = { db: { port: 80 } };
+ * unsetPath(config, "db.port") // => true，config 变为 { db: {} }
+ */
+export function unsetPath(obj, path) {
+    const keys = parsePath(path);
+    runGuards(() => {
+        throwIfIsNotArrayOfLength(keys, { min: 1 }, "path");
+    });
+    const parent = getPath(obj, keys.slice(0, -1));
+    const key = keys[keys.length - 1];
+    if (parent === null || (typeof parent !== "object" && typeof parent !== "function") || !Object.hasOwn(parent, key)) return false;
+    delete parent[key];
+    return true;
+}
+
+const MERGE_OPTIONS = Symbol("mergeOptions");
+const arrayStrategySchema = anyOf(literal("replace", "concat", "union"), { mergeBy: anyOf(throwIfIsNotString, throwIfIsNotFunction) });
+const throwIfIsNotPathRules = (variable, name = "variable") => {
+    throwIfIsNotPlainObject(variable, name);
+    for (const key of Object.keys(variable)) {
+        throwIfNotMatchesSchema(variable[key], anyOf(throwIfIsNotFunction, arrayStrategySchema), `${name}[${stringify(key)}]`);
+    }
+};
+
+/**
+ * @typedef {"replace" | "concat" | "union" | { mergeBy: string | ((item: *) => *) }} ArrayMergeStrategy
+ * - `replace`：用来源数组替换目标数组
+ * - `concat`：将来源数组接在目标数组之后
+ * - `union`：只追加目标数组中不存在（按 `isDeepEqual` 判断）的元素
+ * - `{ mergeBy }`：按键名或取键函数得到的标识合并元素，标识相同的元素深度合并，其余元素追加到末尾
+ */
+
+/**
+ * @callback PathMerger
+ * @param {*} targetValue - 目标中的当前值，不存在时为 undefined
+ * @param {*} sourceValue - 来源中的值
+ * @param {{ path: string, keys: (string | number | symbol)[] }} context - 当前位置的路径
+ * @returns {*} 合并结果，返回 undefined 时按默认规则合并
+ */
+
+/**
+ * 创建 {@link deepMerge} 的选项。选项须通过本函数创建后放在参数末尾，以免与普通的来源对象混淆
+ * @param {Object} [options] - 合并选项
+ * @param {ArrayMergeStrategy} [options.arrays="replace"] - 数组合并策略
+ * @param {"skip" | "overwrite" | "delete"} [options.undefinedValues="skip"] - 来源中值为 undefined 的属性：跳过、覆盖目标，或删除目标中的该属性
+ * @param {boolean} [options.descriptors=false] - 为 true 时复制全部自有属性（含不可枚举属性）并保留属性描述符，访问器原样复制而不会被调用
+ * @param {Object<string, PathMerger | ArrayMergeStrategy>} [options.paths={}] - 按路径指定的合并函数或数组策略，
+ * 键为属性路径，`*` 匹配任意一层，如 `"plugins"`、`"services.*.ports"`
+ * @param {import("./guard.js").Schema} [options.guard] - 合并结果须满足的结构，不满足时抛出守卫错误
+ * @param {string} [options.name="merged"] - 校验合并结果时使用的变量名称
+ * @returns {Object} 合并选项
+ * @throws {TypeError} 当选项不合法时抛出类型错误
+ * @throws {GuardKeyError} 当含有未知选项时抛出错误
+ */
+export function mergeOptions(options) {
+    const resolved = resolveOptions(options, {
+        arrays: arrayStrategySchema,
+        undefinedValues: literal("skip", "overwrite", "delete"),
+        descriptors: throwIfIsNotBoolean,
+        paths: throwIfIsNotPathRules,
+        guard: null,
+        name: throwIfIsNotNonBlankString
+    }, { arrays: "replace", undefinedValues: "skip", descriptors: false, paths: {}, name: "merged" });
+    Object.defineProperty(resolved, MERGE_OPTIONS, { value: true });
+    return Object.freeze(resolved);
+}
+
+/**
+ * 将一个或多个来源对象深度合并到目标对象中，返回目标对象，适用于默认配置、环境配置、用户配置的逐层覆盖。
+ *
+ * - 普通对象（含无原型对象）逐键递归合并，来源中的嵌套对象与数组会被复制，不会与来源共享引用；其他对象（如 Date、Map、类实例）按引用赋值
+ * - 数组按 `arrays` 策略合并，也可以按路径指定
+ * - 来源中的 `__proto__` 键会被忽略；只会沿目标的自有属性向下合并，因此 `constructor`、`prototype` 等继承属性不会被修改
+ * - 来源为 null 或 undefined 时跳过；支持来源中的循环引用
+ * - 指定 `guard` 时先合并到目标的副本上并校验，校验通过后才写回目标，校验失败时目标保持不变
+ * - 只有 {@link mergeOptions} 创建的对象才会被当作选项；普通对象即使键名与选项相同（如 `{ arrays: "concat" }`），也总是作为来源合并
+ * @template {Object} T
+ * @param {T} target - 目标对象，会被修改
+ * @param {...(Object | null | undefined)} sources - 来源对象，按顺序合并，最后一个参数可以是 {@link mergeOptions} 创建的选项
+ * @returns {T} 目标对象
+ * @throws {TypeError} 当target或来源不是对象，或合并结果不满足 `guard` 时抛出类型错误
+ * @example
+ * deepMerge(
+ *     { server: { port: 80, plugins: [{ name: "log", level: 1 }] } },
+ *     { server: { host: "0.0.0.0", plugins: [{ name: "log", level: 2 }, { name: "gzip" }] } },
+ *     mergeOptions({ paths: { "server.plugins": { mergeBy: "name" } } })
+ * );
+ * // => { server: { port: 80, plugins: [{ name: "log", level: 2 }, { name: "gzip" }], host: "0.0.0.0" } }
+ */
+export function deepMerge(target, ...sources) {
+    const options = sources.length > 0 && sources[sources.length - 1]?.[MERGE_OPTIONS] === true ? sources.pop() : mergeOptions();
+    runGuards(() => {
+        throwIfIsNotObject(target, "target");
+        sources.forEach((source, i) => {
+            if (source !== null && source !== undefined) throwIfIsNotObject(source, `sources[${i}]`);
+        });
+    });
+    const context = {
+        ...options,
+        rules: Object.entries(options.paths).map(([pattern, rule]) => ({ keys: parsePath(pattern), rule })),
+        inProgress: new Map()
+    };
+    const mergeSources = (into) => {
+        for (const source of sources) {
+            if (source !== null && source !== undefined) mergeInto(into, source, [], context);
+        }
+    };
+    if (options.guard === undefined || options.guard === null) {
+        mergeSources(target);
+        return target;
+    }
+    const copies = new Map();
+    const staged = stageMergeTarget(target, copies);
+    mergeSources(staged);
+    throwIfNotMatchesSchema(staged, options.guard, options.name);
+    commitStaged(staged, copies);
+    return target;
+}
+
+/**
+ * 复制目标中会被就地合并的部分（目标本身及嵌套的普通对象），保留属性描述符；copies 记录原对象 → 副本
+ */
+function stageMergeTarget(value, copies) {
+    if (copies.has(value)) return copies.get(value);
+    const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+    copies.set(value, copy);
+    for (const key of Reflect.ownKeys(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        if ("value" in descriptor && isPlainObject(descriptor.value)) descriptor.value = stageMergeTarget(descriptor.value, copies);
+        Object.defineProperty(copy, key, descriptor);
+    }
+    if (!Object.isExtensible(value)) Object.preventExtensions(copy);
+    return copy;
+}
+
+/**
+ * 将校验通过的副本写回原对象：合并中新建的对象里指向副本的引用（来自来源中的循环引用）改为指向原对象
+ */
+function commitStaged(staged, copies) {
+    const originals = new Map([...copies].map(([original, copy]) => [copy, original]));
+    const visited = new Set();
+    const relink = (node) => {
+        if (visited.has(node)) return;
+        visited.add(node);
+        for (const key of Reflect.ownKeys(node)) {
+            const descriptor = Object.getOwnPropertyDescriptor(node, key);
+            if (!("value" in descriptor) || descriptor.value === null || typeof descriptor.value !== "object") continue;
+            if (originals.has(descriptor.value)) {
+                if (!originals.has(node)) Object.defineProperty(node, key, { ...descriptor, value: originals.get(descriptor.value) });
+                relink(descriptor.value);
+            } else if (isPlainObject(descriptor.value) || Array.isArray(descriptor.value)) {
+                relink(descriptor.value);
+            }
+        }
+    };
+    relink(staged);
+    for (const [original, copy] of copies) {
+        for (const key of Reflect.ownKeys(original)) {
+            if (!Object.hasOwn(copy, key)) delete original[key];
+        }
+        for (const key of Reflect.ownKeys(copy)) {
+            const descriptor = Object.getOwnPropertyDescriptor(copy, key);
+            if ("value" in descriptor && originals.has(descriptor.value)) descriptor.value = originals.get(descriptor.value);
+            Object.defineProperty(original, key, descriptor);
+        }
+    }
+}
+
+function findPathRule(keys, rules) {
+    const matches = ({ keys: pattern }) => pattern.length === keys.length &&
+        pattern.every((key, i) => key === "*" || key === keys[i] || (typeof key !== "symbol" && typeof keys[i] !== "symbol" && String(key) === String(keys[i])));
+    return rules.find(matches)?.rule;
+}
+
+function mergeInto(target, source, keys, context) {
+    context.inProgress.set(source, target);
+    const sourceKeys = context.descriptors ?
+        Reflect.ownKeys(source) :
+        Reflect.ownKeys(source).filter(key => Object.prototype.propertyIsEnumerable.call(source, key));
+    for (const key of sourceKeys) {
+        if (key === "__proto__") continue;
+        const descriptor = Object.getOwnPropertyDescriptor(source, key);
+        if (context.descriptors && !("value" in descriptor)) {
+            Object.defineProperty(target, key, descriptor);
+            continue;
+        }
+        const sourceValue = context.descriptors ? descriptor.value : source[key];
+        const hasTarget = Object.hasOwn(target, key);
+        if (sourceValue === undefined && context.undefinedValues !== "overwrite") {
+            if (context.undefinedValues === "delete" && hasTarget) delete target[key];
+            continue;
+        }
+        const merged = mergeValue(hasTarget ? target[key] : undefined, sourceValue, [...keys, key], context);
+        if (context.descriptors) {
+            Object.defineProperty(target, key, { ...descriptor, value: merged });
+        } else if (hasTarget) {
+            target[key] = merged;
+        } else {
+            Object.defineProperty(target, key, { value: merged, writable: true, enumerable: true, configurable: true });
+        }
+    }
+    context.inProgress.delete(source);
+}
+
+function mergeValue(targetValue, sourceValue, keys, context) {
+    const rule = findPathRule(keys, context.rules);
+    if (typeof rule === "function") {
+        const merged = rule(targetValue, sourceValue, { path: formatPath(keys), keys });
+        if (merged !== undefined) return merged;
+    }
+    if (Array.isArray(sourceValue)) {
+        if (context.inProgress.has(sourceValue)) return context.inProgress.get(sourceValue);
+        const strategy = rule !== undefined && typeof rule !== "function" ? rule : context.arrays;
+        return mergeArrays(Array.isArray(targetValue) ? targetValue : [], sourceValue, strategy, keys, context);
+    }
+    if (isPlainObject(sourceValue)) {
+        if (context.inProgress.has(sourceValue)) return context.inProgress.get(sourceValue);
+        const base = isPlainObject(targetValue) ? targetValue : Object.getPrototypeOf(sourceValue) === null ? Object.create(null) : {};
+        mergeInto(base, sourceValue, keys, context);
+        return base;
+    }
+    return sourceValue;
+}
+
+function mergeArrays(targetArray, sourceArray, strategy, keys, context) {
+    const result = strategy === "replace" ? [] : [...targetArray];
+    context.inProgress.set(sourceArray, result);
+    const append = (item) => result.push(mergeValue(undefined, item, [...keys, result.length], context));
+    if (strategy === "replace" || strategy === "concat") {
+        sourceArray.forEach(append);
+    } else if (strategy === "union") {
+        for (const item of sourceArray) {
+            if (!result.some(existing => isDeepEqual(existing, item))) append(item);
+        }
+    } else {
+        const { mergeBy } = strategy;
+        const identify = (item) => typeof mergeBy === "function" ? mergeBy(item) : item?.[mergeBy];
+        for (const item of sourceArray) {
+            const id = identify(item);
+            const index = id === undefined ? -1 : result.findIndex(existing => Object.is(identify(existing), id));
+            if (index === -1) append(item);
+            else result[index] = mergeValue(result[index], item, [...keys, index], context);
+        }
+    }
+    context.inProgress.delete(sourceArray);
+    return result;
+}
+
+/**
+ * @typedef {{ op: "add" | "replace" | "test", path: string, value: * }
+ *   | { op: "remove", path: string }
+ *   | { op: "move" | "copy", from: string, path: string }} PatchOperation
+ * RFC 6902 JSON Patch 操作，`path`、`from` 为 RFC 6901 JSON Pointer，如 `"/users/0/name"`
+ */
+
+const toPointer = (keys) => keys.map(key => `/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+
+/**
+ * 生成把 a 变为 b 的 RFC 6902 JSON Patch 操作列表，可用 {@link applyPatch} 应用。
+ *
+ * - 普通对象逐键比较：删除的键生成 `remove`，新增的键生成 `add`，值为对象或数组且被改名的键生成 `move`
+ * - 数组以最长公共子序列（Myers 算法）对齐，只为插入、删除的元素生成操作；位置改变的元素生成 `move`，同一位置被修改的对象继续逐层比较。
+ *   差异极大的长数组超出计算预算时，中间部分按位置整体替换
+ * - 其他值（原始值、Date 等）不相等时生成 `replace`，相等按 `isDeepEqual` 判断
+ * - 操作中的值是 b 中对应值的深拷贝
+ * @param {*} a - 原值
+ * @param {*} b - 新值
+ * @param {Object} [options] - 生成选项
+ * @param {boolean} [options.moves=true] - 是否为位置改变的元素与改名的键生成 `move`，为 false 时生成 `remove` 与 `add`
+ * @param {boolean} [options.test=false] - 是否在每个 `remove`、`replace`、`move` 之前生成校验原值的 `test` 操作，使补丁只能应用于相同的原值
+ * @returns {PatchOperation[]} 操作列表，a 与 b 相等时为空数组
+ * @example
+ * diff({ list: [1, 2, 3], name: "a" }, { list: [3, 1, 2], name: "b", tag: "x" })
+ * // => [
+ * //   { op: "move", from: "/list/2", path: "/list/0" },
+ * //   { op: "replace", path: "/name", value: "b" },
+ * //   { op: "add", path: "/tag", value: "x" }
+ * // ]
+ */
+export function diff(a, b, options) {
+    options = resolveOptions(options, { moves: throwIfIsNotBoolean, test: throwIfIsNotBoolean }, { moves: true, test: false });
+    const operations = [];
+    diffInto(operations, a, b, [], options);
+    return operations;
+}
+
+function diffInto(operations, a, b, keys, options) {
+    if (isDeepEqual(a, b)) return;
+    if (Array.isArray(a) && Array.isArray(b)) return diffArrays(operations, a, b, keys, options);
+    if (isPlainObject(a) && isPlainObject(b)) return diffObjects(operations, a, b, keys, options);
+    const path = toPointer(keys);
+    if (options.test) operations.push({ op: "test", path, value: deepClone(a) });
+    operations.push({ op: "replace", path, value: deepClone(b) });
+}
+
+const isContainer = (value) => value !== null && typeof value === "object";
+
+function diffObjects(operations, a, b, keys, options) {
+    const removed = Object.keys(a).filter(key => !Object.hasOwn(b, key));
+    const added = Object.keys(b).filter(key => !Object.hasOwn(a, key));
+    const renamed = new Map();
+    if (options.moves) {
+        for (const from of removed) {
+            const to = added.find(key => !renamed.has(key) && isContainer(a[from]) && isDeepEqual(a[from], b[key]));
+            if (to !== undefined) renamed.set(to, from);
+        }
+    }
+    const movedFrom = new Set(renamed.values());
+    for (const [to, from] of renamed) {
+        if (options.test) operations.push({ op: "test", path: toPointer([...keys, from]), value: deepClone(a[from]) });
+        operations.push({ op: "move", from: toPointer([...keys, from]), path: toPointer([...keys, to]) });
+    }
+    for (const key of removed) {
+        if (movedFrom.has(key)) continue;
+        const path = toPointer([...keys, key]);
+        if (options.test) operations.push({ op: "test", path, value: deepClone(a[key]) });
+        operations.push({ op: "remove", path });
+    }
+    for (const key of Object.keys(b)) {
+        if (Object.hasOwn(a, key)) diffInto(operations, a[key], b[key], [...keys, key], options);
+        else if (!renamed.has(key)) operations.push({ op: "add", path: toPointer([...keys, key]), value: deepClone(b[key]) });
+    }
+}
+
+/**
+ * 编辑距离上限，超出后放弃对齐中间部分，避免在差异极大的长数组上耗费过多时间与内存
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * 使用 Myers 算法求两个序列的最长公共子序列，返回按顺序排列的匹配下标对；编辑距离超过上限时返回 undefined
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {[number, number][] | undefined}
+ */
+function longestCommonSubsequence(a, b) {
+    const n = a.length, m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && isDeepEqual(a[x], b[y])) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) return backtrack(trace, n, m);
+        }
+    }
+    return undefined;
+}
+
+function backtrack(trace, n, m) {
+    const matches = [];
+    let x = n, y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        // trace[d] 保存第 d 步开始前 k ∈ [-d-1, d+1] 的 v 值
+        const at = (k) => trace[d][k + d + 1];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const previousX = d === 0 ? 0 : at(previousK);
+        const previousY = previousX - previousK;
+        while (x > previousX && y > previousY) {
+            x--;
+            y--;
+            matches.push([x, y]);
+        }
+        x = previousX;
+        y = previousY;
+    }
+    return matches.reverse();
+}
+
+/**
+ * 数组元素的分桶键：按 isDeepEqual 相等的值必然得到相同的键，不相等的值也可能相同，取出后仍须逐一比较
+ */
+function bucketKeyOf(value) {
+    if (value === null || typeof value !== "object") return value;
+    const ancestors = new Set();
+    const hash = (v) => {
+        if (v === null || typeof v !== "object") return typeof v === "string" ? JSON.stringify(v) : `${typeof v}:${Object.is(v, -0) ? "-0" : String(v)}`;
+        const tag = Object.prototype.toString.call(v).slice(8, -1);
+        if (!Array.isArray(v) && tag !== "Object") return `[${tag}]`;
+        if (ancestors.has(v)) throw CIRCULAR;
+        ancestors.add(v);
+        const result = Array.isArray(v) ?
+            `[${Array.from(v, hash).join(",")}]` :
+            `{${Object.keys(v).sort().map(key => `${JSON.stringify(key)}:${hash(v[key])}`).join(",")}}`;
+        ancestors.delete(v);
+        return result;
+    };
+    try {
+        return `object:${hash(value)}`;
+    } catch (error) {
+        if (error === CIRCULAR) return "object:[Circular]";
+        throw error;
+    }
+}
+const CIRCULAR = Symbol("circular");
+
+/**
+ * 按升序下标计算各元素所在的空隙，即排在它之前的保留元素个数
+ */
+function gapsOf(indices, kept) {
+    let gap = 0;
+    return indices.map(index => {
+        while (gap < kept.length && kept[gap] < index) gap++;
+        return gap;
+    });
+}
+
+function diffArrays(operations, a, b, keys, options) {
+    let start = 0;
+    while (start < a.length && start < b.length && isDeepEqual(a[start], b[start])) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && isDeepEqual(a[endA - 1], b[endB - 1])) {
+        endA--;
+        endB--;
+    }
+    const middle = longestCommonSubsequence(a.slice(start, endA), b.slice(start, endB));
+    /** @type {Map<number, { kind: "keep" | "move" | "modify", from: number }>} b 的下标 => 对应 a 中的元素 */
+    const sourceOf = new Map();
+    for (let i = 0; i < start; i++) sourceOf.set(i, { kind: "keep", from: i });
+    for (const [i, j] of middle ?? []) sourceOf.set(j + start, { kind: "keep", from: i + start });
+    for (let i = 0; i < a.length - endA; i++) sourceOf.set(endB + i, { kind: "keep", from: endA + i });
+    const used = new Set(Array.from(sourceOf.values(), ({ from }) => from));
+    const removed = Array.from(a.keys()).filter(i => !used.has(i));
+    const added = Array.from(b.keys()).filter(j => !sourceOf.has(j));
+    // 超出计算预算时不再查找移动的元素，中间部分按位置整体替换
+    if (options.moves && middle !== undefined) {
+        /** @type {Map<*, number[]>} 分桶键 => 被删除元素的下标（升序） */
+        const candidates = new Map();
+        for (const i of removed) {
+            const key = bucketKeyOf(a[i]);
+            if (!candidates.has(key)) candidates.set(key, []);
+            candidates.get(key).push(i);
+        }
+        for (const j of added) {
+            const bucket = candidates.get(bucketKeyOf(b[j]));
+            const index = bucket ? bucket.findIndex(i => isDeepEqual(a[i], b[j])) : -1;
+            if (index === -1) continue;
+            const [from] = bucket.splice(index, 1);
+            sourceOf.set(j, { kind: "move", from });
+            used.add(from);
+        }
+    }
+    // 同一空隙中剩余的删除与插入按位置配对，视为对原元素的修改
+    const keptA = Array.from(sourceOf.values()).filter(({ kind }) => kind === "keep").map(({ from }) => from).sort((x, y) => x - y);
+    const keptB = Array.from(sourceOf).filter(([, { kind }]) => kind === "keep").map(([j]) => j).sort((x, y) => x - y);
+    const remainingRemoved = removed.filter(i => !used.has(i));
+    /** @type {Map<number, number[]>} 空隙 => 其中剩余的被删除元素的下标（升序） */
+    const removedByGap = new Map();
+    gapsOf(remainingRemoved, keptA).forEach((gap, n) => {
+        if (!removedByGap.has(gap)) removedByGap.set(gap, []);
+        removedByGap.get(gap).push(remainingRemoved[n]);
+    });
+    const addedGaps = gapsOf(added, keptB);
+    added.forEach((j, n) => {
+        if (sourceOf.has(j)) return;
+        const from = removedByGap.get(addedGaps[n])?.shift();
+        if (from === undefined) return;
+        sourceOf.set(j, { kind: "modify", from });
+        used.add(from);
+    });
+    for (const i of removed.filter(i => !used.has(i)).reverse()) {
+        const path = toPointer([...keys, i]);
+        if (options.test) operations.push({ op: "test", path, value: deepClone(a[i]) });
+        operations.push({ op: "remove", path });
+    }
+    // 保留与修改的元素不动，移动与新增的元素依次插到 b 中前一个元素之后。先在带墓碑的链表上模拟，得到所有位置的全局顺序，
+    // 再以树状数组统计排在某位置之前的现存元素个数，即为该操作应用时的下标
+    const next = new Int32Array(1 + used.size + b.length).fill(-1);
+    let nodeCount = 1;
+    const insertAfter = (node) => {
+        const created = nodeCount++;
+        next[created] = next[node];
+        next[node] = created;
+        return created;
+    };
+    /** @type {Map<number, number>} a 的下标 => 其初始位置 */
+    const nodeOfA = new Map();
+    let last = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (used.has(i)) nodeOfA.set(i, last = insertAfter(last));
+    }
+    /** @type {number[]} b 的下标 => 其最终位置 */
+    const nodeOfB = [];
+    for (let j = 0; j < b.length; j++) {
+        const source = sourceOf.get(j);
+        const isPlaced = source === undefined || source.kind === "move";
+        nodeOfB.push(isPlaced ? insertAfter(j === 0 ? 0 : nodeOfB[j - 1]) : nodeOfA.get(source.from));
+    }
+    const rank = new Int32Array(nodeCount);
+    for (let node = next[0], n = 1; node !== -1; node = next[node]) rank[node] = n++;
+    const live = new Int32Array(nodeCount + 1);
+    const update = (node, delta) => {
+        for (let n = rank[node]; n <= nodeCount; n += n & -n) live[n] += delta;
+    };
+    const indexOf = (node) => {
+        let count = 0;
+        for (let n = rank[node] - 1; n > 0; n -= n & -n) count += live[n];
+        return count;
+    };
+    for (const node of nodeOfA.values()) update(node, 1);
+    for (let j = 0; j < b.length; j++) {
+        const source = sourceOf.get(j);
+        const node = nodeOfB[j];
+        if (source === undefined) {
+            operations.push({ op: "add", path: toPointer([...keys, indexOf(node)]), value: deepClone(b[j]) });
+            update(node, 1);
+        } else if (source.kind === "move") {
+            const from = toPointer([...keys, indexOf(nodeOfA.get(source.from))]);
+            if (options.test) operations.push({ op: "test", path: from, value: deepClone(a[source.from]) });
+            update(nodeOfA.get(source.from), -1);
+            operations.push({ op: "move", from, path: toPointer([...keys, indexOf(node)]) });
+            update(node, 1);
+        } else if (source.kind === "modify") {
+            diffInto(operations, a[source.from], b[j], [...keys, indexOf(node)], options);
+        }
+    }
+}
+
+/**
+ * 应用 JSON Patch 失败时抛出的错误
+ */
+export class PatchError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {{ index: number, operation: *, cause?: * }} details - 失败操作的下标与内容
+     */
+    constructor(message, { index, operation, cause }) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = "PatchError";
+        /** 失败操作在操作列表中的下标 */
+        this.index = index;
+        /** 失败的操作 */
+        this.operation = operation;
+    }
+}
+
+const PATCH_OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+
+function parsePointer(pointer, fail) {
+    if (typeof pointer !== "string") fail(`expected a JSON Pointer string, but got ${describeType(pointer).summary}`);
+    if (pointer === "") return [];
+    if (!pointer.startsWith("/")) fail(`invalid JSON Pointer ${JSON.stringify(pointer)}`);
+    return pointer.slice(1).split("/").map(segment => {
+        if (/~[^01]|~$/.test(segment)) fail(`invalid escape in JSON Pointer ${JSON.stringify(pointer)}`);
+        return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+    });
+}
+
+/**
+ * 应用 RFC 6902 JSON Patch，支持 add、remove、replace、move、copy、test 六种操作。
+ * 应用是原子的：任一操作失败（路径不存在、test 不通过、操作格式错误）时撤销已应用的修改，再抛出 {@link PatchError}
+ * @param {*} obj - 要修改的文档
+ * @param {PatchOperation[]} operations - 操作列表
+ * @param {Object} [options] - 应用选项
+ * @param {boolean} [options.mutate=false] - 为 true 时直接修改 obj，否则修改其深拷贝，obj 保持不变
+ * @returns {*} 修改后的文档；替换根路径（`""`）时返回新的根值
+ * @throws {PatchError} 当某个操作失败时抛出，`index` 为失败操作的下标，此时文档保持应用前的状态
+ * @throws {TypeError} 当operations不是数组时抛出类型错误
+ * @example
+ * const state = { todos: [{ done: false }] };
+ * applyPatch(state, [{ op: "replace", path: "/todos/0/done", value: true }], { mutate: true });
+ * state.todos[0].done; // true
+ * applyPatch(state, [{ op: "remove", path: "/todos/0" }, { op: "test", path: "/todos/0", value: {} }], { mutate: true });
+ * // => PatchError: Patch operation 1 (test /todos/0) failed: path does not exist.
+ * state.todos.length; // 1，第一个操作已被撤销
+ */
+export function applyPatch(obj, operations, options) {
+    options = resolveOptions(options, { mutate: throwIfIsNotBoolean }, { mutate: false });
+    runGuards(() => {
+        throwIfIsNotArray(operations, "operations");
+    });
+    let document = options.mutate ? obj : deepClone(obj);
+    const undo = [];
+    const setProperty = (parent, key, value) => {
+        const had = Object.hasOwn(parent, key), previous = parent[key];
+        Object.defineProperty(parent, key, { value, writable: true, enumerable: true, configurable: true });
+        undo.push(() => had ? Object.defineProperty(parent, key, { value: previous, writable: true, enumerable: true, configurable: true }) : delete parent[key]);
+    };
+    const splice = (array, index, deleteCount, ...items) => {
+        const removed = array.splice(index, deleteCount, ...items);
+        undo.push(() => array.splice(index, items.length, ...removed));
+        return removed;
+    };
+    const setRoot = (value) => {
+        const previous = document;
+        document = value;
+        undo.push(() => document = previous);
+    };
+    try {
+        operations.forEach((operation, index) => {
+            const fail = (reason) => {
+                const where = isPlainObject(operation) ? ` (${operation.op} ${operation.path})` : "";
+                throw new PatchError(`Patch operation ${index}${where} failed: ${reason}.`, { index, operation });
+            };
+            if (!isPlainObject(operation)) fail(`expected an object, but got ${describeType(operation).summary}`);
+            if (!PATCH_OPERATIONS.includes(operation.op)) fail(`unknown op ${stringify(operation.op)}`);
+            if (["add", "replace", "test"].includes(operation.op) && !("value" in operation)) fail(`missing "value"`);
+            const keys = parsePointer(operation.path, fail);
+            /** 解析父容器与最后一个键，数组下标转换为数字，`-` 表示数组末尾 */
+            const locate = (pointerKeys, { append = false } = {}) => {
+                let parent = document;
+                for (const key of pointerKeys.slice(0, -1)) {
+                    const child = Array.isArray(parent) ? (ARRAY_INDEX_REGEXP.test(key) ? parent[Number(key)] : undefined) :
+                        isContainer(parent) && Object.hasOwn(parent, key) ? parent[key] : undefined;
+                    if (!isContainer(child)) fail("path does not exist");
+                    parent = child;
+                }
+                if (!isContainer(parent)) fail("path does not exist");
+                const last = pointerKeys[pointerKeys.length - 1];
+                if (!Array.isArray(parent)) return { parent, key: last, exists: Object.hasOwn(parent, last) };
+                if (append && last === "-") return { parent, key: parent.length, exists: false };
+                if (!ARRAY_INDEX_REGEXP.test(last)) fail(`invalid array index ${JSON.stringify(last)}`);
+                const key = Number(last);
+                return { parent, key, exists: key < parent.length };
+            };
+            const read = (pointerKeys) => {
+                if (pointerKeys.length === 0) return document;
+                const { parent, key, exists } = locate(pointerKeys);
+                if (!exists) fail("path does not exist");
+                return parent[key];
+            };
+            const add = (pointerKeys, value) => {
+                if (pointerKeys.length === 0) return setRoot(value);
+                const { parent, key } = locate(pointerKeys, { append: true });
+                if (!Array.isArray(parent)) return setProperty(parent, key, value);
+                if (key > parent.length) fail("array index out of bounds");
+                splice(parent, key, 0, value);
+            };
+            const remove = (pointerKeys) => {
+                if (pointerKeys.length === 0) {
+                    const value = document;
+                    setRoot(undefined);
+                    return value;
+                }
+                const { parent, key, exists } = locate(pointerKeys);
+                if (!exists) fail("path does not exist");
+                if (Array.isArray(parent)) return splice(parent, key, 1)[0];
+                const value = parent[key];
+                const previous = Object.getOwnPropertyDescriptor(parent, key);
+                delete parent[key];
+                undo.push(() => Object.defineProperty(parent, key, previous));
+                return value;
+            };
+            switch (operation.op) {
+                case "add":
+                    return add(keys, deepClone(operation.value));
+                case "remove":
+                    return remove(keys);
+                case "replace":
+                    read(keys);
+                    remove(keys);
+                    return add(keys, deepClone(operation.value));
+                case "test":
+                    if (!isDeepEqual(read(keys), operation.value)) fail(`expected ${stringify(operation.value)}, but got ${stringify(read(keys))}`);
+                    return;
+                case "move":
+                case "copy": {
+                    const from = parsePointer(operation.from, fail);
+                    if (operation.op === "move" && operation.path.startsWith(`${operation.from}/`)) fail("cannot move a value into one of its own children");
+                    const value = operation.op === "move" ? remove(from) : deepClone(read(from));
+                    return add(keys, value);
+                }
+            }
+        });
+    } catch (error) {
+        while (undo.length > 0) undo.pop()();
+        throw error;
+    }
+    return document;
+}
+
+/**
+ * @typedef {Object} ChangeRecord
+ * 可观察对象的修改记录
+ * @property {"add" | "set" | "delete" | "splice" | "clear"} operation - 操作类型：
+ *   `add` 新增属性、Map 键或 Set 成员；`set` 修改已有属性或 Map 键；`delete` 删除属性、Map 键或 Set 成员；
+ *   `splice` 数组变动（`push`、`splice`、`sort`、修改 `length` 等均归为一次替换）；`clear` 清空 Map 或 Set
+ * @property {Array<*>} path - 从根对象出发的键路径：Map 的键与 Set 的成员按原值出现在路径中；
+ *   `splice` 的最后一个键为变动起始下标，`clear` 的路径指向被清空的集合本身
+ * @property {*} oldValue - 修改前的值；`splice` 时为被移除的元素数组，`clear` 时为清空前的 Map 条目数组或 Set 成员数组
+ * @property {*} newValue - 修改后的值；`splice` 时为插入的元素数组，`delete`、`clear` 时为 undefined
+ * @property {string} [method] - 引起 `splice` 的数组方法名，直接修改下标或 `length` 时不存在
+ */
+
+const ARRAY_MUTATORS = ["copyWithin", "fill", "pop", "push", "reverse", "shift", "sort", "splice", "unshift"];
+
+/** 可观察代理 => 原对象 */
+const OBSERVED_TARGETS = new WeakMap();
+/** 可观察对象的根代理 => 订阅者集合 */
+const OBSERVABLES = new WeakMap();
+
+const unwrapObserved = (value) => OBSERVED_TARGETS.get(value) ?? value;
+
+/**
+ * 创建可观察的深度代理，每次修改都同步通知 subscribers 中的全部订阅者
+ * @param {Object} obj - 原对象
+ * @returns {Object} 根代理
+ */
+function createObservable(obj) {
+    const subscribers = new Set();
+    const emit = (record) => subscribers.forEach(subscriber => subscriber(record));
+    // 只包装普通对象、类实例、数组与 Map、Set，Date 等依赖内部槽的对象原样返回
+    const isObservable = (value) => value !== null && typeof value === "object" && !OBSERVED_TARGETS.has(value) &&
+        (Array.isArray(value) || value instanceof Map || value instanceof Set || Object.prototype.toString.call(value) === "[object Object]");
+    const createProxy = (target, path) => {
+        // 数组下标在路径中记为数字
+        const toKey = (key) => Array.isArray(target) && typeof key === "string" && ARRAY_INDEX_REGEXP.test(key) ? Number(key) : key;
+        /** @type {Map<*, { target: object, proxy: object }>} 子对象的代理，键改为指向其他对象时重新创建 */
+        const children = new Map();
+        const wrap = (key, value) => {
+            if (!isObservable(value)) return value;
+            const cached = children.get(key);
+            if (cached?.target === value) return cached.proxy;
+            const proxy = createProxy(value, [...path, toKey(key)]);
+            children.set(key, { target: value, proxy });
+            return proxy;
+        };
+        const spliceRecord = (before, method) => {
+            let start = 0;
+            while (start < before.length && start < target.length && Object.is(before[start], target[start])) start++;
+            let endBefore = before.length, endAfter = target.length;
+            while (endBefore > start && endAfter > start && Object.is(before[endBefore - 1], target[endAfter - 1])) {
+                endBefore--;
+                endAfter--;
+            }
+            if (start === endBefore && start === endAfter) return;
+            const record = { operation: "splice", path: [...path, start], oldValue: before.slice(start, endBefore), newValue: target.slice(start, endAfter) };
+            emit(method ? { ...record, method } : record);
+        };
+        const collectionMethod = (key, proxy) => {
+            const isMap = target instanceof Map;
+            const wrapEntry = ([k, v]) => isMap ? [k, wrap(k, v)] : [wrap(k, k), wrap(k, v)];
+            switch (key) {
+                case "get": return isMap ? (k) => wrap(k, target.get(k)) : undefined;
+                case "set": return isMap ? (k, v) => {
+                    v = unwrapObserved(v);
+                    const had = target.has(k), previous = target.get(k);
+                    if (had && Object.is(previous, v)) return proxy;
+                    target.set(k, v);
+                    emit({ operation: had ? "set" : "add", path: [...path, k], oldValue: previous, newValue: v });
+                    return proxy;
+                } : undefined;
+                case "add": return isMap ? undefined : (v) => {
+                    v = unwrapObserved(v);
+                    if (target.has(v)) return proxy;
+                    target.add(v);
+                    emit({ operation: "add", path: [...path, v], oldValue: undefined, newValue: v });
+                    return proxy;
+                };
+                case "delete": return (k) => {
+                    k = isMap ? k : unwrapObserved(k);
+                    if (!target.has(k)) return false;
+                    const previous = isMap ? target.get(k) : k;
+                    target.delete(k);
+                    emit({ operation: "delete", path: [...path, k], oldValue: previous, newValue: undefined });
+                    return true;
+                };
+                case "clear": return () => {
+                    if (target.size === 0) return;
+                    const previous = isMap ? Array.from(target.entries()) : Array.from(target.values());
+                    target.clear();
+                    emit({ operation: "clear", path, oldValue: previous, newValue: undefined });
+                };
+                case "forEach": return (callback, thisArg) => {
+                    for (const entry of target.entries()) {
+                        const [wrappedKey, wrappedValue] = wrapEntry(entry);
+                        callback.call(thisArg, wrappedValue, wrappedKey, proxy);
+                    }
+                };
+                case "entries": return function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry);
+                };
+                case Symbol.iterator: return isMap ? function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry);
+                } : function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry)[1];
+                };
+                case "values": return function* () {
+                    for (const entry of target.entries()) yield wrapEntry(entry)[1];
+                };
+                default: return undefined;
+            }
+        };
+        const isCollection = target instanceof Map || target instanceof Set;
+        const arrayMethods = new Map();
+        const proxy = new Proxy(target, {
+            get(target, key, receiver) {
+                if (isCollection) {
+                    const method = collectionMethod(key, receiver);
+                    if (method) return method;
+                    const value = Reflect.get(target, key, target);
+                    return typeof value === "function" ? value.bind(target) : value;
+                }
+                if (Array.isArray(target) && ARRAY_MUTATORS.includes(key) && target[key] === Array.prototype[key]) {
+                    if (!arrayMethods.has(key)) {
+                        arrayMethods.set(key, (...args) => {
+                            const before = target.slice();
+                            const result = Array.prototype[key].apply(target, args.map(unwrapObserved));
+                            spliceRecord(before, key);
+                            return result === target ? receiver : result;
+                        });
+                    }
+                    return arrayMethods.get(key);
+                }
+                const descriptor = Object.getOwnPropertyDescriptor(target, key);
+                const value = Reflect.get(target, key, receiver);
+                if (!descriptor || (!descriptor.configurable && descriptor.writable === false)) return value;
+                return wrap(key, value);
+            },
+            set(target, key, value) {
+                value = unwrapObserved(value);
+                const had = Object.hasOwn(target, key), previous = target[key];
+                if (had && Object.is(previous, value)) return true;
+                const isArrayResize = Array.isArray(target) && (key === "length" || (typeof key === "string" && ARRAY_INDEX_REGEXP.test(key) && Number(key) >= target.length));
+                const before = isArrayResize ? target.slice() : undefined;
+                if (!Reflect.set(target, key, value)) return false;
+                if (isArrayResize) spliceRecord(before);
+                else emit({ operation: had ? "set" : "add", path: [...path, toKey(key)], oldValue: previous, newValue: value });
+                return true;
+            },
+            deleteProperty(target, key) {
+                if (!Object.hasOwn(target, key)) return true;
+                const previous = target[key];
+                if (!Reflect.deleteProperty(target, key)) return false;
+                emit({ operation: "delete", path: [...path, toKey(key)], oldValue: previous, newValue: undefined });
+                return true;
+            }
+        });
+        OBSERVED_TARGETS.set(proxy, target);
+        return proxy;
+    };
+    const root = createProxy(obj, []);
+    OBSERVABLES.set(root, subscribers);
+    return root;
+}
+
+/**
+ * 创建可观察对象：返回 obj 的深度代理，通过代理进行的修改会生成 {@link ChangeRecord}，
+ * 同一微任务内的修改合并为一批，在微任务结束时一次性传给 listener。
+ *
+ * - 监听对象与数组的赋值、删除，数组的修改方法（`push`、`splice`、`sort` 等），以及 Map 的 `set`、`delete`、`clear` 与 Set 的 `add`、`delete`、`clear`
+ * - 读取到的嵌套对象、数组、Map 的值与 Set 的成员同样是可观察代理，写入的代理会被还原为原对象后保存
+ * - Date 等依赖内部槽的对象不会被代理，对其内部状态的修改（如 `setTime`）不会被监听；直接修改原对象也不会被监听
+ * - 对已有的可观察对象再次调用时复用同一个代理，只增加监听器
+ * @template {Object} T
+ * @param {T} obj - 原对象或已有的可观察对象
+ * @param {(changes: ChangeRecord[]) => void} listener - 监听器，按修改顺序接收一批修改记录
+ * @returns {T} 可观察代理
+ * @throws {TypeError} 当obj不是对象或listener不是函数时抛出类型错误
+ * @example
+ * const config = observe({ db: { hosts: ["a"] } }, changes => console.log(changes));
+ * config.db.hosts.push("b");
+ * config.db.port = 5432;
+ * // 微任务结束后输出：
+ * // [
+ * //   { operation: "splice", path: ["db", "hosts", 1], oldValue: [], newValue: ["b"], method: "push" },
+ * //   { operation: "add", path: ["db", "port"], oldValue: undefined, newValue: 5432 }
+ * // ]
+ */
+export function observe(obj, listener) {
+    runGuards(() => {
+        throwIfIsNotObject(obj, "obj");
+        throwIfIsNotFunction(listener, "listener");
+    });
+    const root = OBSERVABLES.has(obj) ? obj : createObservable(obj);
+    let pending = [];
+    OBSERVABLES.get(root).add((record) => {
+        if (pending.length === 0) {
+            queueMicrotask(() => {
+                const changes = pending;
+                pending = [];
+                listener(changes);
+            });
+        }
+        pending.push(record);
+    });
+    return root;
+}
+
+/**
+ * 沿键路径读取可观察对象中的容器，Map 按键读取，Set 的成员在路径中记为成员本身
+ * @param {Object} root - 可观察对象
+ * @param {Array<*>} keys - 键路径
+ * @returns {*} 路径上的值
+ */
+const resolveObserved = (root, keys) => keys.reduce((container, key) => {
+    if (container instanceof Map) return container.get(key);
+    if (container instanceof Set) {
+        // 通过集合代理取得成员的代理，使重放的修改同样通知其他监听器
+        for (const member of container) {
+            if (unwrapObserved(member) === key) return member;
+        }
+        return key;
+    }
+    return container[key];
+}, root);
+
+/**
+ * 将修改记录应用到可观察对象上，reverse 为 true 时撤销该修改
+ * @param {Object} root - 可观察对象
+ * @param {ChangeRecord} record - 修改记录
+ * @param {boolean} reverse - 是否撤销
+ */
+function replayChange(root, { operation, path, oldValue, newValue }, reverse) {
+    if (operation === "clear") {
+        const collection = resolveObserved(root, path);
+        if (!reverse) return collection.clear();
+        for (const item of oldValue) {
+            if (collection instanceof Map) collection.set(...item);
+            else collection.add(item);
+        }
+        return;
+    }
+    const container = resolveObserved(root, path.slice(0, -1));
+    const key = path[path.length - 1];
+    if (operation === "splice") {
+        const [removed, inserted] = reverse ? [newValue, oldValue] : [oldValue, newValue];
+        container.splice(key, removed.length, ...inserted);
+        return;
+    }
+    const exists = reverse ? operation !== "add" : operation !== "delete";
+    const value = reverse ? oldValue : newValue;
+    if (container instanceof Set) {
+        // Set 的成员即路径末尾的键，添加记录的 oldValue 与删除记录的 newValue 均为 undefined
+        if (exists) container.add(key);
+        else container.delete(key);
+    } else if (container instanceof Map) {
+        if (exists) container.set(key, value);
+        else container.delete(key);
+    } else if (exists) {
+        container[key] = value;
+    } else {
+        delete container[key];
+    }
+}
+
+/**
+ * 为对象创建撤销历史：返回可观察的 `state`，通过它进行的修改会被记录，可以撤销与重做。
+ *
+ * - 每次修改（如一次赋值或一次 `push`）是一个撤销步骤，`transaction` 中的全部修改合并为一个步骤
+ * - 撤销与重做同样通过 `state` 进行，因此 obj 为 {@link observe} 返回的可观察对象时，其监听器也会收到这些修改
+ * - 产生新的修改后，重做栈被清空；步骤数超过 limit 时丢弃最早的步骤
+ * @template {Object} T
+ * @param {T} obj - 原对象或已有的可观察对象
+ * @param {Object} [options] - 历史选项
+ * @param {number} [options.limit=100] - 最多保留的撤销步骤数
+ * @returns {{
+ *   state: T,
+ *   undo: () => boolean,
+ *   redo: () => boolean,
+ *   transaction: <R>(callback: () => R) => R,
+ *   clear: () => void,
+ *   readonly canUndo: boolean,
+ *   readonly canRedo: boolean
+ * }} 历史对象；`undo`、`redo` 在没有可撤销或重做的步骤时返回 false；
+ *   `transaction` 同步执行 callback 并返回其结果，callback 抛出错误时撤销其中的全部修改后重新抛出；`clear` 清空撤销与重做栈
+ * @throws {TypeError} 当obj不是对象或limit不是整数时抛出类型错误
+ * @throws {RangeError} 当limit不是正整数时抛出范围错误
+ * @example
+ * const { state, undo, redo, transaction } = history({ title: "a", tags: [] });
+ * transaction(() => {
+ *     state.title = "b";
+ *     state.tags.push("x");
+ * });
+ * undo(); // state => { title: "a", tags: [] }
+ * redo(); // state => { title: "b", tags: ["x"] }
+ */
+export function history(obj, options) {
+    runGuards(() => {
+        throwIfIsNotObject(obj, "obj");
+    });
+    const { limit } = resolveOptions(options, { limit: throwIfIsNotPositiveInteger }, { limit: 100 });
+    const state = OBSERVABLES.has(obj) ? obj : createObservable(obj);
+    const undoStack = [], redoStack = [];
+    /** @type {ChangeRecord[] | undefined} 进行中的事务收集到的修改 */
+    let group;
+    let replaying = false;
+    const push = (records) => {
+        undoStack.push(records);
+        if (undoStack.length > limit) undoStack.shift();
+        redoStack.length = 0;
+    };
+    OBSERVABLES.get(state).add((record) => {
+        if (replaying) return;
+        if (group) group.push(record);
+        else push([record]);
+    });
+    const replay = (records, reverse) => {
+        replaying = true;
+        try {
+            const ordered = reverse ? records.slice().reverse() : records;
+            ordered.forEach(record => replayChange(state, record, reverse));
+        } finally {
+            replaying = false;
+        }
+    };
+    return {
+        state,
+        undo() {
+            if (group) throw new Error("Cannot undo during a transaction.");
+            const records = undoStack[undoStack.length - 1];
+            if (!records) return false;
+            // 重放成功后再移动记录，重放出错时该步骤仍留在撤销栈中
+            replay(records, true);
+            redoStack.push(undoStack.pop());
+            return true;
+        },
+        redo() {
+            if (group) throw new Error("Cannot redo during a transaction.");
+            const records = redoStack[redoStack.length - 1];
+            if (!records) return false;
+            replay(records, false);
+            undoStack.push(redoStack.pop());
+            return true;
+        },
+        transaction(callback) {
+            runGuards(() => {
+                throwIfIsNotFunction(callback, "callback");
+            });
+            // 嵌套事务并入最外层事务
+            if (group) return callback();
+            group = [];
+            try {
+                const result = callback();
+                const records = group;
+                group = undefined;
+                if (records.length > 0) push(records);
+                return result;
+            } catch (error) {
+                const records = group;
+                group = undefined;
+                replay(records, true);
+                throw error;
+            }
+        },
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+        },
+        get canUndo() {
+            return undoStack.length > 0;
+        },
+        get canRedo() {
+            return redoStack.length > 0;
+        }
+    };
+}
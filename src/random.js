@@ -1,10 +1,11 @@
 import {
+    runGuards,
     throwIfIsNotIterable,
     throwIfIsNotFiniteNumber,
     throwIfIsNotNonNegativeFiniteNumber,
     throwIfIsNotPositiveFiniteNumber,
     throwIfIsNotNonNegativeInteger,
-    throwIfIsNotNonNegativeIntegerArray,
+    throwIfIsNotMapOf,
     throwIfIsNotFunction,
     throwIfIsNullishValue
 } from "./guard.js";
@@ -17,8 +18,10 @@ import {
  */
 export function randomInt(a, b) {
     a = Number(a), b = Number(b);
-    throwIfIsNotFiniteNumber(a, "a");
-    throwIfIsNotFiniteNumber(b, "b");
+    runGuards(() => {
+        throwIfIsNotFiniteNumber(a, "a");
+        throwIfIsNotFiniteNumber(b, "b");
+    });
     const [l, r] = a > b ? [b, a] : [a, b];
     return Math.floor(Math.random() * (r - l + 1)) + l;
 }
@@ -30,8 +33,10 @@ export function randomInt(a, b) {
  * @returns {number[]} 每个元素属于[min,max]
  */
 export function randomInts(len, range = [0, 100]) {
-    throwIfIsNotNonNegativeInteger(len, "len");
-    throwIfIsNotIterable(range, "range");
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(len, "len");
+        throwIfIsNotIterable(range, "range");
+    });
     const [a, b] = range;
     return Array.from({ length: len }, () => randomInt(a, b));
 }
@@ -43,8 +48,10 @@ export function randomInts(len, range = [0, 100]) {
  */
 export function randomFloat(a, b) {
     a = Number(a), b = Number(b);
-    throwIfIsNotFiniteNumber(a, "a");
-    throwIfIsNotFiniteNumber(b, "b");
+    runGuards(() => {
+        throwIfIsNotFiniteNumber(a, "a");
+        throwIfIsNotFiniteNumber(b, "b");
+    });
     const [l, r] = a > b ? [b, a] : [a, b];
     return Math.random() * (r - l) + l;
 }
@@ -55,8 +62,10 @@ export function randomFloat(a, b) {
  * @returns {number[]} 每个元素属于[min,max)
  */
 export function randomFloats(len, range = [0, 1]) {
-    throwIfIsNotNonNegativeInteger(len, "len");
-    throwIfIsNotIterable(range, "range");
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(len, "len");
+        throwIfIsNotIterable(range, "range");
+    });
     const [a, b] = range;
     return Array.from({ length: len }, () => randomFloat(a, b));
 }
@@ -77,8 +86,10 @@ export function randomGaussian() {
  * @returns 
  */
 export function randomGaussians(len, generator = randomGaussian) {
-    throwIfIsNotNonNegativeInteger(len, "len");
-    throwIfIsNotFunction(generator, "generator");
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(len, "len");
+        throwIfIsNotFunction(generator, "generator");
+    });
     return Array.from({ length: len }, () => generator());
 }
 /**
@@ -89,9 +100,11 @@ export function randomGaussians(len, generator = randomGaussian) {
  * @returns 
  */
 export function randomNormal(mu = 0, sigma = 1, generator = randomGaussian) {
-    throwIfIsNotFiniteNumber(mu, "mu");
-    throwIfIsNotPositiveFiniteNumber(sigma, "sigma");
-    throwIfIsNotFunction(generator, "generator");
+    runGuards(() => {
+        throwIfIsNotFiniteNumber(mu, "mu");
+        throwIfIsNotPositiveFiniteNumber(sigma, "sigma");
+        throwIfIsNotFunction(generator, "generator");
+    });
     return mu + sigma * generator();
 }
 /**
@@ -103,7 +116,7 @@ export function randomNormal(mu = 0, sigma = 1, generator = randomGaussian) {
  * @returns {number[]}
  */
 export function randomNormals(len, mu = 0, sigma = 1, generator = randomGaussian) {
-    throwIfIsNotNonNegativeInteger(len, "len");
+    runGuards(() => throwIfIsNotNonNegativeInteger(len, "len"));
     return Array.from({ length: len }, () => randomNormal(mu, sigma, generator));
 }
 /**
@@ -114,9 +127,11 @@ export function randomNormals(len, mu = 0, sigma = 1, generator = randomGaussian
  * @returns {number[]}
  */
 export function randomVector(dim = 2, mod = 1, generator = randomGaussian) {
-    throwIfIsNotPositiveFiniteNumber(dim, "dim");
-    throwIfIsNotNonNegativeFiniteNumber(mod, "mod");
-    throwIfIsNotFunction(generator, "generator");
+    runGuards(() => {
+        throwIfIsNotPositiveFiniteNumber(dim, "dim");
+        throwIfIsNotNonNegativeFiniteNumber(mod, "mod");
+        throwIfIsNotFunction(generator, "generator");
+    });
     if (mod === 0) return Array.from({ length: dim }, () => 0);
     const MAX_ATTEMPTS = 10, EPSILON_SQ = 1e-24;
     for (let i = 0; i < MAX_ATTEMPTS; i++) {
@@ -140,7 +155,7 @@ export function randomVector(dim = 2, mod = 1, generator = randomGaussian) {
  * @returns {number[][]} 包含len个随机向量的数组，每个向量都是指定维度和模长的数组
  */
 export function randomVectors(len, dim = 2, mod = 1, generator = randomGaussian) {
-    throwIfIsNotNonNegativeInteger(len, "len");
+    runGuards(() => throwIfIsNotNonNegativeInteger(len, "len"));
     return Array.from({ length: len }, () => randomVector(dim, mod, generator));
 }
 
@@ -152,9 +167,11 @@ export function randomVectors(len, dim = 2, mod = 1, generator = randomGaussian)
  * @returns {number[][]} 二维数组表示的矩阵，大小为rows×cols
  */
 export function randomMatrix(rows = 2, cols = rows, generator = () => randomInt(0, 10)) {
-    throwIfIsNotNonNegativeInteger(rows, "rows");
-    throwIfIsNotNonNegativeInteger(cols, "cols");
-    throwIfIsNotFunction(generator, "generator");
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(rows, "rows");
+        throwIfIsNotNonNegativeInteger(cols, "cols");
+        throwIfIsNotFunction(generator, "generator");
+    });
     return Array.from({ length: rows }, (_v, r) => Array.from({ length: cols }, (_w, c) => generator(r, c)));
 }
 
@@ -167,7 +184,7 @@ export function randomMatrix(rows = 2, cols = rows, generator = () => randomInt(
  * @returns {number[][][]} 包含len个矩阵的数组，每个矩阵都是二维数组
  */
 export function randomMatrices(len, rows = 2, cols = rows, generator = () => randomInt(0, 10)) {
-    throwIfIsNotNonNegativeInteger(len, "len");
+    runGuards(() => throwIfIsNotNonNegativeInteger(len, "len"));
     return Array.from({ length: len }, () => randomMatrix(rows, cols, generator))
 }
 
@@ -213,12 +230,12 @@ export function randomColor() {
     return "#" + randomInt(0, 0x100000000 - 1).toString(16).slice(2, 8)
 }
 export function randomColors(len) {
-    throwIfIsNotPositiveFiniteNumber(len, "len")
+    runGuards(() => throwIfIsNotPositiveFiniteNumber(len, "len"));
     return Array.from({ length: len }, randomColor)
 }
 
 export function randomString(count) {
-    throwIfIsNotNonNegativeInteger(count, "count")
+    runGuards(() => throwIfIsNotNonNegativeInteger(count, "count"));
     let result = ""
     while (result.length < count) {
         result += Math.random().toString(36).slice(2);
@@ -226,8 +243,10 @@ export function randomString(count) {
     return result.substring(0, count)
 }
 export function randomStrings(len, count) {
-    throwIfIsNotNonNegativeInteger(len, "len")
-    throwIfIsNotNonNegativeInteger(count, "count")
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(len, "len")
+        throwIfIsNotNonNegativeInteger(count, "count")
+    });
     return Array.from({ length: len }, () => randomString(count))
 }
 /**
@@ -236,7 +255,7 @@ export function randomStrings(len, count) {
  * @returns {T[]}
  */
 export function randomSort(inputFlow) {
-    throwIfIsNotIterable(inputFlow, "inputFlow");
+    runGuards(() => throwIfIsNotIterable(inputFlow, "inputFlow"));
     const result = Array.from(inputFlow);
     let lastIndex = result.length - 1;
     while (lastIndex > 0) {
@@ -258,7 +277,7 @@ export const shuffle = randomSort;
  * @returns {T}
  */
 export function randomPick(inputFlow) {
-    throwIfIsNotIterable(inputFlow, "inputFlow");
+    runGuards(() => throwIfIsNotIterable(inputFlow, "inputFlow"));
     const dataList = Array.from(inputFlow);
     return dataList[randomInt(0, dataList.length - 1)]
 }
@@ -271,7 +290,7 @@ export function randomPick(inputFlow) {
  * @returns {T[]}
  */
 export function randomPicks(inputList, len) {
-    throwIfIsNotNonNegativeInteger(len, "len");
+    runGuards(() => throwIfIsNotNonNegativeInteger(len, "len"));
     if (typeof inputList?.[Symbol.iterator] !== 'function') throw new TypeError("inputList must be an iterable.");
     const dataList = Array.from(inputList);
     return dataList.length ? Array.from({ length: len }, () => dataList[randomInt(0, dataList.length - 1)]) :
@@ -284,17 +303,14 @@ export function randomPicks(inputList, len) {
  * @returns {T}
  */
 export function randomChoice(inputMap) {
-    throwIfIsNullishValue(inputMap, "inputMap");
+    runGuards(() => throwIfIsNullishValue(inputMap, "inputMap"));
     if (!(inputMap instanceof Map)) {
         inputMap = new Map(Object.entries(inputMap));
     }
-    const samples = [];
-    const weights = [];
-    for (const [k, v] of inputMap) {
-        samples.push(k);
-        weights.push(Number(v));
-    }
-    throwIfIsNotNonNegativeIntegerArray(weights, "weights", "all weights")
+    const weightMap = new Map(Array.from(inputMap, ([k, v]) => [k, Number(v)]));
+    runGuards(() => throwIfIsNotMapOf(weightMap, { value: throwIfIsNotNonNegativeInteger }, "weights"));
+    const samples = Array.from(weightMap.keys());
+    const weights = Array.from(weightMap.values());
     const cum_weights = weights.slice();
     for (let i = 1; i < cum_weights.length; i++) {
         cum_weights[i] += cum_weights[i - 1];
@@ -324,18 +340,17 @@ export function randomChoice(inputMap) {
  * @returns {T[]}
  */
 export function randomChoices(inputMap, len) {
-    throwIfIsNotNonNegativeInteger(len, "len");
-    throwIfIsNullishValue(inputMap, "inputMap");
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(len, "len");
+        throwIfIsNullishValue(inputMap, "inputMap");
+    });
     if (!(inputMap instanceof Map)) {
         inputMap = new Map(Object.entries(inputMap));
     }
-    const samples = [];
-    const weights = [];
-    for (const [k, v] of inputMap) {
-        samples.push(k);
-        weights.push(Number(v));
-    }
-    throwIfIsNotNonNegativeIntegerArray(weights, "weights", "all weights")
+    const weightMap = new Map(Array.from(inputMap, ([k, v]) => [k, Number(v)]));
+    runGuards(() => throwIfIsNotMapOf(weightMap, { value: throwIfIsNotNonNegativeInteger }, "weights"));
+    const samples = Array.from(weightMap.keys());
+    const weights = Array.from(weightMap.values());
     const cum_weights = weights.slice();
     for (let i = 1; i < cum_weights.length; i++) {
         cum_weights[i] += cum_weights[i - 1];
@@ -369,8 +384,10 @@ export function randomChoices(inputMap, len) {
  * @returns {T[]}
  */
 export function randomSample(inputFlow, len) {
-    throwIfIsNotNonNegativeInteger(len, "len");
-    throwIfIsNotIterable(inputFlow, "inputFlow");
+    runGuards(() => {
+        throwIfIsNotNonNegativeInteger(len, "len");
+        throwIfIsNotIterable(inputFlow, "inputFlow");
+    });
     const result = [];
     let index = 0;
     for (const input of inputFlow) {
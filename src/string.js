@@ -1,4 +1,4 @@
-import { throwIfIsNotDivisibleNumber, throwIfIsNotString } from "./guard.js";
+import { runGuards, throwIfIsNotDivisibleNumber, throwIfIsNotString } from "./guard.js";
 
 /**
  * 将字符串按照指定步长进行分块处理
@@ -9,8 +9,10 @@ import { throwIfIsNotDivisibleNumber, throwIfIsNotString } from "./guard.js";
  * @throws {RangeError} 当step为0时抛出
  */
 export function chunkString(input, step) {
-    throwIfIsNotString(input)
-    throwIfIsNotDivisibleNumber(step)
+    runGuards(() => {
+        throwIfIsNotString(input)
+        throwIfIsNotDivisibleNumber(step)
+    });
     const result = []; 
     if (step > 0) {
         for (let i = 0; i < input.length; i += step) {
@@ -1,4 +1,4 @@
-import { throwIfIsInvalidDate, throwIfIsNotPositiveFiniteNumber, throwIfIsNotString } from "./guard.js";
+import { runGuards, throwIfIsInvalidDate, throwIfIsNotPositiveFiniteNumber, throwIfIsNotString } from "./guard.js";
 
 /**
  * 
@@ -7,14 +7,16 @@ import { throwIfIsInvalidDate, throwIfIsNotPositiveFiniteNumber, throwIfIsNotStr
  * @returns 
  */
 export function isExpired(time, expire) {
-    throwIfIsNotString(expire);
+    runGuards(() => throwIfIsNotString(expire));
     const match = expire.match(/^(\d+)(ms|s|min|h|d)$/);
     if (!match) throw new TypeError(`Expected ${expire} to be a string like "1ms", "1s", "1min", "1h" or "1d", but got ${JSON.stringify(expire)}`)
     const [, toleranceStr, unit] = match;
     const tolerance = Number(toleranceStr);
-    throwIfIsNotPositiveFiniteNumber(tolerance);
     time = time instanceof Date ? time : new Date(time);
-    throwIfIsInvalidDate(time, "time")
+    runGuards(() => {
+        throwIfIsNotPositiveFiniteNumber(tolerance);
+        throwIfIsInvalidDate(time, "time")
+    });
     const now = new Date();
     const delta = now.getTime() - time.getTime();
     console.log(delta/1000);
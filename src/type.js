@@ -27,25 +27,315 @@ export function isRegExp(variable) {
     return Object.prototype.toString.call(variable) === "[object RegExp]"
 }
 
-export function stringify(v, visited = new WeakSet()) {
+const boxedValueOf = {
+    Number: Number.prototype.valueOf,
+    String: String.prototype.valueOf,
+    Boolean: Boolean.prototype.valueOf,
+    BigInt: BigInt.prototype.valueOf,
+    Symbol: Symbol.prototype.valueOf,
+};
+const isProxy = globalThis.process?.getBuiltinModule?.("node:util")?.types.isProxy;
+
+function isBoxedPrimitive(v, tag) {
+    if (!Object.hasOwn(boxedValueOf, tag)) return false;
+    try {
+        boxedValueOf[tag].call(v);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function getFunctionKind(fn) {
+    const tag = Object.prototype.toString.call(fn).slice(8, -1);
+    if (tag === "AsyncGeneratorFunction") return "asyncGenerator";
+    if (tag === "GeneratorFunction") return "generator";
+    let source;
+    try {
+        source = Function.prototype.toString.call(fn);
+    } catch {
+        return "function";
+    }
+    if (/^class\b/.test(source)) return "class";
+    if (tag === "AsyncFunction") return /^async\s*(\(|[\w$]+\s*=>)/.test(source) ? "arrow" : "async";
+    if (fn.name.startsWith("bound ") && source.includes("[native code]")) return "bound";
+    if (Object.hasOwn(fn, "prototype")) return "function";
+    // 没有 prototype 的普通函数只可能是箭头函数、方法或内置函数
+    return /^(\(|[\w$]+\s*=>)/.test(source) ? "arrow" : source.startsWith("function") ? "function" : "method";
+}
+
+function describeSummary(descriptor) {
+    const { kind, tag, constructorName, functionKind, isNullPrototype } = descriptor;
+    if (kind === "function") {
+        const name = descriptor.name || "(anonymous)";
+        switch (functionKind) {
+            case "class": return `class ${name}`;
+            case "async": return "async function";
+            case "generator": return "generator function";
+            case "asyncGenerator": return "async generator function";
+            case "arrow": return descriptor.tag === "AsyncFunction" ? "async arrow function" : "arrow function";
+            case "bound": return "bound function";
+            default: return "function";
+        }
+    }
+    if (kind !== "object") return kind;
+    if (isNullPrototype) return "null-prototype object";
+    if (descriptor.isBoxedPrimitive) return `boxed ${tag.toLowerCase()}`;
+    if (tag === "Object" && constructorName !== "Object") return `instance of ${constructorName || "(anonymous)"}`;
+    return descriptor.type;
+}
+
+/**
+ * @typedef {Object} TypeDescriptor
+ * @property {"null"|"undefined"|"boolean"|"number"|"string"|"bigint"|"symbol"|"function"|"object"} kind - 基本种类（`typeof`，但 null 单独列出）
+ * @property {string} type - 与 {@link getType} 相同的小写类型名
+ * @property {string} tag - `Object.prototype.toString` 得到的标签，如 `"Uint8Array"`、`"AsyncFunction"`
+ * @property {string|null} constructorName - 构造函数名，原始值或无原型对象为 null，匿名类为空字符串
+ * @property {string[]} prototypeChain - 原型链上各原型的构造函数名，由近到远，原始值为空数组
+ * @property {boolean} isNullPrototype - 是否为原型为 null 的对象
+ * @property {boolean} isBoxedPrimitive - 是否为 `new Number(1)` 等包装对象
+ * @property {boolean|undefined} isProxy - 是否为 Proxy，当前环境无法检测时为 undefined
+ * @property {"function"|"arrow"|"method"|"class"|"async"|"generator"|"asyncGenerator"|"bound"|null} functionKind - 函数种类，非函数为 null
+ * @property {string} [name] - 函数名，仅函数有此项
+ * @property {string} summary - 简短的英文描述，如 `"instance of Foo"`、`"async function"`、`"null-prototype object"`
+ */
+
+/**
+ * 获取变量的详细类型描述，可区分类实例、函数种类、类型化数组、包装对象、无原型对象等
+ * @param {*} value - 要检查的变量
+ * @returns {TypeDescriptor} 类型描述
+ * @example
+ * class Foo {}
+ * describeType(new Foo()).summary; // "instance of Foo"
+ * describeType(new Foo()).prototypeChain; // ["Foo", "Object"]
+ * describeType(async () => {}).functionKind; // "arrow"
+ * describeType(Object.create(null)).isNullPrototype; // true
+ */
+export function describeType(value) {
+    const kind = value === null ? "null" : typeof value;
+    const descriptor = {
+        kind,
+        type: getType(value),
+        tag: Object.prototype.toString.call(value).slice(8, -1),
+        constructorName: null,
+        prototypeChain: [],
+        isNullPrototype: false,
+        isBoxedPrimitive: false,
+        isProxy: false,
+        functionKind: null,
+    };
+    if (kind === "object" || kind === "function") {
+        for (let proto = Object.getPrototypeOf(value); proto !== null; proto = Object.getPrototypeOf(proto)) {
+            const ctor = Object.getOwnPropertyDescriptor(proto, "constructor")?.value;
+            descriptor.prototypeChain.push(typeof ctor === "function" ? ctor.name : "(anonymous)");
+        }
+        descriptor.constructorName = descriptor.prototypeChain[0] ?? null;
+        descriptor.isNullPrototype = kind === "object" && descriptor.prototypeChain.length === 0;
+        descriptor.isBoxedPrimitive = kind === "object" && isBoxedPrimitive(value, descriptor.tag);
+        descriptor.isProxy = isProxy ? isProxy(value) : undefined;
+        if (kind === "function") {
+            descriptor.functionKind = getFunctionKind(value);
+            descriptor.name = value.name;
+        }
+    }
+    descriptor.summary = describeSummary(descriptor);
+    return descriptor;
+}
+
+/**
+ * 自定义序列化函数注册表，键为构造函数或 `Symbol.toStringTag` 字符串
+ * @type {Map<Function|string, StringifySerializer>}
+ */
+const serializers = new Map();
+
+/**
+ * @callback StringifySerializer
+ * @param {*} value - 要序列化的对象
+ * @param {{stringify: (child: *) => string, options: StringifyOptions, depth: number}} context
+ * 序列化上下文，`stringify` 以相同选项序列化子值（深度加一）
+ * @returns {string} 序列化结果
+ */
+
+/**
+ * 为某个类或 `Symbol.toStringTag` 注册自定义序列化函数，重复注册会覆盖旧值。
+ * 匹配时按原型链从近到远查找类，找不到再按标签查找
+ * @param {Function|string} classOrTag - 构造函数或 `Symbol.toStringTag` 字符串
+ * @param {StringifySerializer} serializer - 序列化函数
+ * @example
+ * registerSerializer(URL, url => `[URL ${url.href}]`);
+ * stringify(new URL("https://a.com")); // '[URL https://a.com/]'
+ */
+export function registerSerializer(classOrTag, serializer) {
+    if (typeof classOrTag !== "function" && typeof classOrTag !== "string") {
+        throw new TypeError(`Expected classOrTag to be a class or a string tag, but got ${stringify(classOrTag)}.`);
+    }
+    if (typeof serializer !== "function") {
+        throw new TypeError(`Expected serializer to be a function, but got ${stringify(serializer)}.`);
+    }
+    serializers.set(classOrTag, serializer);
+}
+
+/**
+ * 移除通过 {@link registerSerializer} 注册的序列化函数
+ * @param {Function|string} classOrTag - 注册时使用的构造函数或标签
+ * @returns {boolean} 是否存在并被移除
+ */
+export function unregisterSerializer(classOrTag) {
+    return serializers.delete(classOrTag);
+}
+
+function findSerializer(v) {
+    if (serializers.size === 0) return undefined;
+    for (let proto = Object.getPrototypeOf(v); proto !== null; proto = Object.getPrototypeOf(proto)) {
+        if (Object.hasOwn(proto, "constructor") && serializers.has(proto.constructor)) return serializers.get(proto.constructor);
+    }
+    return serializers.get(Object.prototype.toString.call(v).slice(8, -1));
+}
+
+/**
+ * @typedef {Object} StringifyOptions
+ * @property {number} [maxDepth=Infinity] - 容器最大展开层数，超出后折叠为 `[Object]`、`Array(n)` 等
+ * @property {number} [maxItems=10] - 容器元素数超过该值时折叠（Map、Set 等其他可迭代对象与早期版本一致，超过该值加一时才折叠）
+ * @property {number} [maxStringLength=Infinity] - 字符串超过该长度时截断并以 `…` 结尾
+ * @property {number|string} [indent=0] - 多行缩进（空格数或缩进字符串），为 0 或空串时输出单行
+ * @property {boolean} [sortKeys=false] - 是否按键名排序对象属性
+ * @property {boolean} [symbolKeys=false] - 是否输出可枚举的 Symbol 键
+ * @property {boolean} [invokeGetters=true] - 为 false 时访问器属性显示为 `[Getter]`、`[Setter]` 或 `[Getter/Setter]`，不会被调用
+ */
+
+/** @type {Required<StringifyOptions>} */
+const stringifyDefaults = {
+    maxDepth: Infinity,
+    maxItems: 10,
+    maxStringLength: Infinity,
+    indent: "",
+    sortKeys: false,
+    symbolKeys: false,
+    invokeGetters: true,
+};
+
+/**
+ * 修改 {@link stringify} 的默认选项（守卫错误信息同样使用这些默认值）
+ * @param {StringifyOptions} options - 要覆盖的选项
+ * @returns {Required<StringifyOptions>} 修改前的默认选项，其中 `indent` 已转换为缩进字符串
+ * @example
+ * const previous = setStringifyDefaults({ maxItems: 100 });
+ * // ...
+ * setStringifyDefaults(previous);
+ */
+export function setStringifyDefaults(options) {
+    const previous = { ...stringifyDefaults };
+    Object.assign(stringifyDefaults, normalizeStringifyOptions(options));
+    return previous;
+}
+
+function normalizeStringifyOptions(options) {
+    if (options === null || typeof options !== "object") {
+        throw new TypeError(`Expected options to be an object, but got ${stringify(options)}.`);
+    }
+    const result = {};
+    for (const key of Object.keys(options)) {
+        if (!Object.hasOwn(stringifyDefaults, key)) {
+            throw new TypeError(`Unknown key ${JSON.stringify(key)} in stringify options.`);
+        }
+        const value = options[key];
+        if (value === undefined) continue;
+        if (key === "indent") {
+            if (typeof value === "number" ? !(Number.isInteger(value) && value >= 0) : typeof value !== "string") {
+                throw new TypeError(`Expected options.indent to be a non-negative integer or a string, but got ${stringify(value)}.`);
+            }
+        } else if (typeof stringifyDefaults[key] === "boolean") {
+            if (typeof value !== "boolean") {
+                throw new TypeError(`Expected options.${key} to be a boolean, but got ${stringify(value)}.`);
+            }
+        } else if (typeof value !== "number" || !(value >= 0) || !(Number.isInteger(value) || value === Infinity)) {
+            throw new TypeError(`Expected options.${key} to be a non-negative integer or Infinity, but got ${stringify(value)}.`);
+        }
+        result[key] = key === "indent" && typeof value === "number" ? " ".repeat(value) : value;
+    }
+    return result;
+}
+
+/**
+ * 将任意值转换为便于阅读的字符串，用于错误信息和调试输出。
+ * 默认输出单行，元素超过 10 个的容器会折叠，循环引用显示为 `[Circular]`
+ * @param {*} v - 要转换的值
+ * @param {StringifyOptions} [options] - 输出选项，未指定的项使用 {@link setStringifyDefaults} 设置的默认值
+ * @returns {string} 字符串表示
+ * @example
+ * stringify({ b: [1, 2], a: "x" }); // '{"b": [1, 2], "a": "x"}'
+ * stringify({ b: [1, 2], a: "x" }, { sortKeys: true, indent: 2 });
+ * // {
+ * //   "a": "x",
+ * //   "b": [
+ * //     1,
+ * //     2
+ * //   ]
+ * // }
+ */
+export function stringify(v, options) {
+    // 兼容旧签名 stringify(v, visited)
+    if (options instanceof WeakSet) return format(v, { ...stringifyDefaults }, 0, options);
+    const resolved = options === undefined ? { ...stringifyDefaults } : { ...stringifyDefaults, ...normalizeStringifyOptions(options) };
+    return format(v, resolved, 0, new WeakSet());
+}
+
+function joinItems(open, items, close, options, depth) {
+    if (items.length === 0) return open + close;
+    if (!options.indent) return `${open}${items.join(", ")}${close}`;
+    const padding = options.indent.repeat(depth + 1);
+    return `${open}\n${items.map(item => padding + item).join(",\n")}\n${options.indent.repeat(depth)}${close}`;
+}
+
+function formatString(s, options) {
+    if (s.length > options.maxStringLength) return JSON.stringify(s.slice(0, options.maxStringLength) + "…");
+    return JSON.stringify(s);
+}
+
+function formatEntry(v, key, options, depth, visited) {
+    const name = typeof key === "symbol" ? `[${String(key)}]` : formatString(key, options);
+    if (!options.invokeGetters) {
+        const { get, set } = Object.getOwnPropertyDescriptor(v, key);
+        if (get && set) return `${name}: [Getter/Setter]`;
+        if (get) return `${name}: [Getter]`;
+        if (set) return `${name}: [Setter]`;
+    }
+    return `${name}: ${format(v[key], options, depth + 1, visited)}`;
+}
+
+function objectKeys(v, options) {
+    const keys = Object.keys(v);
+    if (options.sortKeys) keys.sort();
+    if (!options.symbolKeys) return keys;
+    const symbols = Object.getOwnPropertySymbols(v).filter(symbol => Object.prototype.propertyIsEnumerable.call(v, symbol));
+    if (options.sortKeys) symbols.sort((a, b) => String(a.description).localeCompare(String(b.description)));
+    return keys.concat(symbols);
+}
+
+function format(v, options, depth, visited) {
     if (v === null) return "null";
     if (typeof v === "object") {
         if (visited.has(v)) return "[Circular]";
         visited.add(v)
+        const serializer = findSerializer(v);
+        if (serializer) {
+            return String(serializer(v, { stringify: child => format(child, options, depth + 1, visited), options, depth }));
+        }
+        const collapsed = depth > options.maxDepth;
         if (Array.isArray(v)) {
-            if (v.length > 10) return `Array(${v.length})`
-            return `[${v.map(v => stringify(v, visited)).join(", ")}]`
+            if (collapsed || v.length > options.maxItems) return `Array(${v.length})`
+            return joinItems("[", v.map(v => format(v, options, depth + 1, visited)), "]", options, depth)
         }
         if (v instanceof Set) {
-            if (v.size > 10) return `Set(${v.size})`;
-            return `Set {${Array.from(v).map(item => stringify(item, visited)).join(", ")}}`;
+            if (collapsed || v.size > options.maxItems) return `Set(${v.size})`;
+            return joinItems("Set {", Array.from(v).map(item => format(item, options, depth + 1, visited)), "}", options, depth);
         }
         if (v instanceof Map) {
-            if (v.size > 10) return `Map(${v.size})`;
-            return `Map {${Array.from(v).map(([key, value]) => `${stringify(key, visited)} => ${stringify(value, visited)}`).join(", ")}}`
+            if (collapsed || v.size > options.maxItems) return `Map(${v.size})`;
+            return joinItems("Map {", Array.from(v).map(([key, value]) => `${format(key, options, depth + 1, visited)} => ${format(value, options, depth + 1, visited)}`), "}", options, depth)
         }
         if (v instanceof Date) {
-            return `[Date ${v.toISOString()}]`;
+            return `[Date ${Number.isNaN(v.getTime()) ? "Invalid Date" : v.toISOString()}]`;
         }
         if (v instanceof Error) {
             return `[${String(v)}]`;
@@ -55,21 +345,734 @@ export function stringify(v, visited = new WeakSet()) {
         }
         const type = Object.prototype.toString.call(v).slice(8, -1);
         if (type === "Object") {
-            const entries = Object.entries(v);
-            if (entries.length > 10) return `[Object]`;
-            return `{${entries.map(([key, value]) => `${stringify(key, visited)}: ${stringify(value, visited)}`).join(", ")}}`
+            if (collapsed) return `[Object]`;
+            const keys = objectKeys(v, options);
+            if (keys.length > options.maxItems) return `[Object]`;
+            return joinItems("{", keys.map(key => formatEntry(v, key, options, depth, visited)), "}", options, depth)
         } else if (typeof v[Symbol.iterator] === "function") {
+            if (collapsed) return `[${type}]`;
             const list = [];
             for (const k of v) {
-                if (list.length > 10) return `[${type}]`
-                list.push(stringify(k, visited))
+                if (list.length > options.maxItems) return `[${type}]`
+                list.push(format(k, options, depth + 1, visited))
             }
-            return `${type} {${list.join(", ")}}`
+            return joinItems(`${type} {`, list, "}", options, depth)
         } else {
             return `[${type}]`
         }
     }
-    if (typeof v === "string") return JSON.stringify(v);
+    if (typeof v === "string") return formatString(v, options);
     if (typeof v === "bigint") return v.toString() + "n";
     return String(v);
-}
\ No newline at end of file
+}
+
+const IDENTIFIER_REGEXP = /^[A-Za-z_$][\w$]*$/;
+const ARRAY_INDEX_REGEXP = /^(0|[1-9]\d*)$/;
+
+function appendKey(path, key, container) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    if (typeof key === "string") {
+        if (Array.isArray(container) && ARRAY_INDEX_REGEXP.test(key)) return `${path}[${key}]`;
+        if (IDENTIFIER_REGEXP.test(key)) return `${path}.${key}`;
+    }
+    return `${path}[${stringify(key)}]`;
+}
+
+/**
+ * @typedef {Object} DeepEqualOptions
+ * @property {boolean} [strict=false] - 严格模式：比较原型，比较全部自有属性（含不可枚举属性）的属性描述符，访问器不会被调用
+ * @property {boolean} [orderedCollections=false] - 是否要求 Map、Set 的插入顺序相同
+ */
+
+/**
+ * @typedef {Object} DeepDifference
+ * @property {string} path - 差异所在路径，相对于根值，如 `".a[0]"`、`".get(\"k\")"`，根值本身为空字符串
+ * @property {"value"|"type"|"prototype"|"descriptor"|"missing"|"extra"|"order"} kind - 差异种类：
+ * 取值不同、类型不同、原型不同、属性描述符不同、实际值缺少、实际值多出、顺序不同
+ * @property {*} actual - 实际值（第一个参数）在该处的值，缺少时为 undefined
+ * @property {*} expected - 期望值（第二个参数）在该处的值，多出时为 undefined
+ * @property {"property"|"entry"|"member"} [of] - `missing`、`extra` 差异针对的是属性、Map 条目还是 Set 成员
+ * @property {string} [attribute] - `descriptor` 差异不同的描述符字段，如 `"enumerable"`
+ * @property {number} [index] - `order` 差异所在的位置
+ */
+
+const deepEqualDefaults = { strict: false, orderedCollections: false };
+
+/**
+ * 查找两个值之间的第一处深度差异，比较规则见 {@link isDeepEqual}
+ * @param {*} actual - 实际值
+ * @param {*} expected - 期望值
+ * @param {DeepEqualOptions} [options] - 比较选项
+ * @returns {DeepDifference|null} 第一处差异，相等时返回 null
+ * @example
+ * findDeepDifference({ a: [1, 2] }, { a: [1, 3] });
+ * // { path: ".a[1]", kind: "value", actual: 2, expected: 3 }
+ */
+export function findDeepDifference(actual, expected, options = {}) {
+    if (options === null || typeof options !== "object") {
+        throw new TypeError(`Expected options to be an object, but got ${stringify(options)}.`);
+    }
+    for (const key of Object.keys(options)) {
+        if (!Object.hasOwn(deepEqualDefaults, key)) {
+            throw new TypeError(`Unknown key ${JSON.stringify(key)} in deep equal options.`);
+        }
+        if (options[key] !== undefined && typeof options[key] !== "boolean") {
+            throw new TypeError(`Expected options.${key} to be a boolean, but got ${stringify(options[key])}.`);
+        }
+    }
+    const context = { ...deepEqualDefaults, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)), pairs: new Map() };
+    return diffValues(actual, expected, "", context);
+}
+
+/**
+ * 判断两个值是否深度相等。
+ * - 原始值使用 `Object.is` 比较，因此 `NaN` 等于 `NaN`，`0` 不等于 `-0`；函数只在引用相同时相等
+ * - Date 比较时间戳，RegExp 比较 source 与 flags，Error 比较 name、message 与 cause，包装对象比较原始值
+ * - 类型化数组逐元素比较，ArrayBuffer、DataView 逐字节比较
+ * - Map、Set 默认不考虑顺序，对象键、成员按深度相等匹配
+ * - 非严格模式只比较可枚举的自有属性（含 Symbol 键），不比较原型
+ * - 支持循环引用
+ * @param {*} a - 第一个值
+ * @param {*} b - 第二个值
+ * @param {DeepEqualOptions} [options] - 比较选项
+ * @returns {boolean} 是否深度相等
+ * @example
+ * isDeepEqual(new Map([[{ id: 1 }, [NaN]]]), new Map([[{ id: 1 }, [NaN]]])); // true
+ * isDeepEqual(new Set([1, 2]), new Set([2, 1]), { orderedCollections: true }); // false
+ * isDeepEqual(Object.create(null), {}, { strict: true }); // false
+ */
+export function isDeepEqual(a, b, options) {
+    return findDeepDifference(a, b, options) === null;
+}
+
+function diffValues(actual, expected, path, context) {
+    if (Object.is(actual, expected)) return null;
+    const isObjectA = actual !== null && typeof actual === "object";
+    const isObjectB = expected !== null && typeof expected === "object";
+    if (!isObjectA || !isObjectB) {
+        const sameKind = (actual === null) === (expected === null) && typeof actual === typeof expected;
+        return { path, kind: sameKind ? "value" : "type", actual, expected };
+    }
+    // 正在比较中的同一对值视为相等，从而支持循环引用
+    let inProgress = context.pairs.get(actual);
+    if (inProgress?.has(expected)) return null;
+    if (!inProgress) context.pairs.set(actual, inProgress = new Set());
+    inProgress.add(expected);
+    try {
+        return diffObjects(actual, expected, path, context);
+    } finally {
+        inProgress.delete(expected);
+    }
+}
+
+const isEqualIn = (context) => (a, b) => diffValues(a, b, "", context) === null;
+
+function diffObjects(actual, expected, path, context) {
+    const tag = Object.prototype.toString.call(actual).slice(8, -1);
+    if (tag !== Object.prototype.toString.call(expected).slice(8, -1) || Array.isArray(actual) !== Array.isArray(expected)) {
+        return { path, kind: "type", actual, expected };
+    }
+    if (context.strict && Object.getPrototypeOf(actual) !== Object.getPrototypeOf(expected)) {
+        return { path, kind: "prototype", actual, expected };
+    }
+    const difference = diffBuiltin(actual, expected, path, context, tag);
+    if (difference !== undefined) return difference;
+    return diffProperties(actual, expected, path, context);
+}
+
+/**
+ * 比较内置类型的内部状态，返回 undefined 表示还需继续比较属性
+ */
+function diffBuiltin(actual, expected, path, context, tag) {
+    if (Array.isArray(actual)) {
+        if (actual.length !== expected.length) return { path: `${path}.length`, kind: "value", actual: actual.length, expected: expected.length };
+        return undefined;
+    }
+    if (isBoxedPrimitive(actual, tag)) {
+        if (!Object.is(actual.valueOf(), expected.valueOf())) return { path, kind: "value", actual, expected };
+        return undefined;
+    }
+    if (actual instanceof Date) {
+        if (!Object.is(actual.getTime(), expected.getTime())) return { path, kind: "value", actual, expected };
+        return undefined;
+    }
+    if (actual instanceof RegExp) {
+        if (actual.source !== expected.source || actual.flags !== expected.flags) return { path, kind: "value", actual, expected };
+        return undefined;
+    }
+    if (actual instanceof Error) {
+        for (const key of ["name", "message", "cause"]) {
+            const difference = diffValues(actual[key], expected[key], `${path}.${key}`, context);
+            if (difference) return difference;
+        }
+        return undefined;
+    }
+    if (ArrayBuffer.isView(actual) && !(actual instanceof DataView)) {
+        if (actual.length !== expected.length) return { path: `${path}.length`, kind: "value", actual: actual.length, expected: expected.length };
+        for (let i = 0; i < actual.length; i++) {
+            if (!Object.is(actual[i], expected[i])) return { path: `${path}[${i}]`, kind: "value", actual: actual[i], expected: expected[i] };
+        }
+        return context.strict ? undefined : null;
+    }
+    if (actual instanceof DataView || tag === "ArrayBuffer" || tag === "SharedArrayBuffer") {
+        const bytesA = actual instanceof DataView ? new Uint8Array(actual.buffer, actual.byteOffset, actual.byteLength) : new Uint8Array(actual);
+        const bytesB = expected instanceof DataView ? new Uint8Array(expected.buffer, expected.byteOffset, expected.byteLength) : new Uint8Array(expected);
+        if (bytesA.length !== bytesB.length) return { path: `${path}.byteLength`, kind: "value", actual: bytesA.length, expected: bytesB.length };
+        if (bytesA.some((byte, i) => byte !== bytesB[i])) return { path, kind: "value", actual, expected };
+        return undefined;
+    }
+    if (actual instanceof Map) return diffMaps(actual, expected, path, context);
+    if (actual instanceof Set) return diffSets(actual, expected, path, context);
+    return undefined;
+}
+
+function diffMaps(actual, expected, path, context) {
+    if (actual.size !== expected.size) return { path: `${path}.size`, kind: "value", actual: actual.size, expected: expected.size };
+    const isEqual = isEqualIn(context);
+    const matched = new Map();
+    for (const [key, value] of expected) {
+        const entryPath = `${path}.get(${stringify(key)})`;
+        if (actual.has(key)) {
+            const difference = diffValues(actual.get(key), value, entryPath, context);
+            if (difference) return difference;
+            matched.set(key, key);
+            continue;
+        }
+        const match = key !== null && typeof key === "object" ?
+            Array.from(actual.keys()).find(k => !expected.has(k) && !matched.has(k) && isEqual(k, key) && isEqual(actual.get(k), value)) :
+            undefined;
+        if (match === undefined) return { path: entryPath, kind: "missing", of: "entry", actual: undefined, expected: value };
+        matched.set(match, key);
+    }
+    for (const [key, value] of actual) {
+        if (!matched.has(key)) return { path: `${path}.get(${stringify(key)})`, kind: "extra", of: "entry", actual: value, expected: undefined };
+    }
+    if (context.orderedCollections) {
+        return diffOrder(Array.from(actual.keys(), key => matched.get(key)), Array.from(expected.keys()), path, Array.from(actual.keys()));
+    }
+    return undefined;
+}
+
+function diffSets(actual, expected, path, context) {
+    if (actual.size !== expected.size) return { path: `${path}.size`, kind: "value", actual: actual.size, expected: expected.size };
+    const isEqual = isEqualIn(context);
+    const matched = new Map();
+    for (const member of expected) {
+        if (actual.has(member)) {
+            matched.set(member, member);
+            continue;
+        }
+        const match = member !== null && typeof member === "object" ?
+            Array.from(actual).find(m => !expected.has(m) && !matched.has(m) && isEqual(m, member)) :
+            undefined;
+        if (match === undefined) return { path, kind: "missing", of: "member", actual: undefined, expected: member };
+        matched.set(match, member);
+    }
+    for (const member of actual) {
+        if (!matched.has(member)) return { path, kind: "extra", of: "member", actual: member, expected: undefined };
+    }
+    if (context.orderedCollections) {
+        return diffOrder(Array.from(actual, member => matched.get(member)), Array.from(expected), path, Array.from(actual));
+    }
+    return undefined;
+}
+
+/**
+ * 比较两个已一一匹配的序列的顺序
+ * @param {Array} matchedOrder - 实际值按自身顺序排列、再替换为匹配到的期望值后的序列
+ * @param {Array} expectedOrder - 期望值的序列
+ * @param {string} path
+ * @param {Array} actualOrder - 实际值的序列
+ */
+function diffOrder(matchedOrder, expectedOrder, path, actualOrder) {
+    const index = matchedOrder.findIndex((item, i) => item !== expectedOrder[i]);
+    if (index === -1) return undefined;
+    return { path, kind: "order", index, actual: actualOrder[index], expected: expectedOrder[index] };
+}
+
+function comparedKeys(value, context) {
+    const keys = Reflect.ownKeys(value);
+    if (context.strict) return value instanceof Error ? keys.filter(key => key !== "stack") : keys;
+    return keys.filter(key => Object.prototype.propertyIsEnumerable.call(value, key));
+}
+
+/**
+ * 读取属性值，严格模式下不调用访问器
+ */
+function readProperty(value, key, context) {
+    return context.strict ? Object.getOwnPropertyDescriptor(value, key)?.value : value[key];
+}
+
+function diffProperties(actual, expected, path, context) {
+    const actualKeys = new Set(comparedKeys(actual, context));
+    const expectedKeys = comparedKeys(expected, context);
+    for (const key of expectedKeys) {
+        const keyPath = appendKey(path, key, expected);
+        if (!actualKeys.has(key)) return { path: keyPath, kind: "missing", of: "property", actual: undefined, expected: readProperty(expected, key, context) };
+        if (context.strict) {
+            const descriptorA = Object.getOwnPropertyDescriptor(actual, key);
+            const descriptorB = Object.getOwnPropertyDescriptor(expected, key);
+            for (const attribute of ["enumerable", "configurable", "writable", "get", "set"]) {
+                if (descriptorA[attribute] !== descriptorB[attribute]) {
+                    return { path: keyPath, kind: "descriptor", attribute, actual: descriptorA[attribute], expected: descriptorB[attribute] };
+                }
+            }
+            if (!("value" in descriptorA)) continue;
+        }
+        const difference = diffValues(actual[key], expected[key], keyPath, context);
+        if (difference) return difference;
+    }
+    const expectedKeySet = new Set(expectedKeys);
+    for (const key of actualKeys) {
+        if (!expectedKeySet.has(key)) return { path: appendKey(path, key, actual), kind: "extra", of: "property", actual: readProperty(actual, key, context), expected: undefined };
+    }
+    return null;
+}
+
+/**
+ * 可序列化的自定义类注册表，键为标签
+ * @type {Map<string, {constructor: Function, serialize: (value: *) => *, deserialize: (payload: *) => *}>}
+ */
+const serializableClasses = new Map();
+const BUILTIN_TAGS = new Set(["undefined", "number", "bigint", "Date", "RegExp", "Map", "Set", "Array", "Object", "Ref"]);
+const TAGGED_KEYS = new Set(["$type", "id", "value"]);
+
+/**
+ * 注册可被 {@link serialize} 与 {@link deserialize} 处理的自定义类，重复注册同一标签会覆盖旧值。
+ * `serialize` 返回的负载会被继续序列化，因此可以包含 Map、Date 或其他已注册的类；
+ * 负载在 `deserialize` 调用前已被还原，但其中不能含有指回该实例本身的循环引用
+ * @param {Function} constructor - 类或构造函数，只有原型链上最近的已注册类会被使用
+ * @param {Object} handlers - 转换函数
+ * @param {string} [handlers.tag=constructor.name] - 序列化数据中的标签，不能与内置标签重复
+ * @param {(value: *) => *} handlers.serialize - 将实例转换为负载
+ * @param {(payload: *) => *} handlers.deserialize - 将负载还原为实例
+ * @throws {TypeError} 当参数类型不正确或标签与内置标签重复时抛出类型错误
+ * @example
+ * registerSerializableClass(Point, { serialize: p => [p.x, p.y], deserialize: ([x, y]) => new Point(x, y) });
+ * deserialize(serialize({ origin: new Point(0, 0) })).origin instanceof Point; // true
+ */
+export function registerSerializableClass(constructor, { tag = constructor?.name, serialize, deserialize } = {}) {
+    if (typeof constructor !== "function") {
+        throw new TypeError(`Expected constructor to be a function, but got ${stringify(constructor)}.`);
+    }
+    if (typeof tag !== "string" || tag === "") {
+        throw new TypeError(`Expected tag to be a non-empty string, but got ${stringify(tag)}.`);
+    }
+    if (BUILTIN_TAGS.has(tag)) {
+        throw new TypeError(`Tag ${JSON.stringify(tag)} is reserved for built-in types.`);
+    }
+    if (typeof serialize !== "function" || typeof deserialize !== "function") {
+        throw new TypeError(`Expected serialize and deserialize of ${JSON.stringify(tag)} to be functions.`);
+    }
+    for (const [existingTag, entry] of serializableClasses) {
+        if (entry.constructor === constructor) serializableClasses.delete(existingTag);
+    }
+    serializableClasses.set(tag, { constructor, serialize, deserialize });
+}
+
+/**
+ * 移除通过 {@link registerSerializableClass} 注册的类
+ * @param {Function|string} constructorOrTag - 注册时使用的类或标签
+ * @returns {boolean} 是否存在并被移除
+ */
+export function unregisterSerializableClass(constructorOrTag) {
+    for (const [tag, entry] of serializableClasses) {
+        if (tag === constructorOrTag || entry.constructor === constructorOrTag) return serializableClasses.delete(tag);
+    }
+    return false;
+}
+
+function findSerializableClass(v) {
+    if (serializableClasses.size === 0) return undefined;
+    for (let proto = Object.getPrototypeOf(v); proto !== null; proto = Object.getPrototypeOf(proto)) {
+        if (!Object.hasOwn(proto, "constructor")) continue;
+        for (const [tag, entry] of serializableClasses) {
+            if (entry.constructor === proto.constructor) return { tag, ...entry };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * 将值序列化为 JSON 兼容的带标签格式，可由 {@link deserialize} 无损还原。
+ *
+ * - 支持 JSON 本身的类型，以及 `undefined`、`NaN`、`±Infinity`、`-0`、BigInt、Date、RegExp、Map、Set
+ * - 共享引用与循环引用会被保留
+ * - 普通对象只保存可枚举的字符串键；无原型对象还原为普通对象
+ * - 函数、Symbol 以及未注册的类实例无法无损表示，会抛出错误
+ * @param {*} value - 要序列化的值
+ * @param {Object} [options] - 序列化选项
+ * @param {number|string} [options.space] - 传给 `JSON.stringify` 的缩进
+ * @returns {string} JSON 字符串
+ * @throws {TypeError} 当值中含有无法序列化的内容时抛出类型错误
+ * @example
+ * const data = { id: 1n, tags: new Set(["a"]) };
+ * data.self = data;
+ * serialize(data);
+ * // '{"$type":"Object","id":0,"value":{"id":{"$type":"bigint","value":"1"},"tags":{"$type":"Set","value":["a"]},"self":{"$type":"Ref","id":0}}}'
+ */
+export function serialize(value, { space } = {}) {
+    const counts = new Map();
+    const payloads = new Map();
+    const ids = new Map();
+    const children = (v, path) => {
+        const custom = findSerializableClass(v);
+        if (custom) {
+            const payload = custom.serialize(v);
+            payloads.set(v, { tag: custom.tag, payload });
+            return [[payload, `${path}(${custom.tag})`]];
+        }
+        if (Array.isArray(v)) return v.map((item, i) => [item, `${path}[${i}]`]);
+        if (v instanceof Map) return Array.from(v).flatMap(([key, item]) => [[key, `${path}.keys()`], [item, `${path}.get(${stringify(key)})`]]);
+        if (v instanceof Set) return Array.from(v, item => [item, `${path}.values()`]);
+        if (v instanceof Date || v instanceof RegExp) return [];
+        if (isPlainObject(v)) return Object.keys(v).map(key => [v[key], appendKey(path, key)]);
+        throw new TypeError(`Cannot serialize ${describeType(v).summary} at ${path}, register it with registerSerializableClass first.`);
+    };
+    // 第一遍统计每个对象被引用的次数，被多次引用的对象才需要编号
+    const count = (v, path) => {
+        if (typeof v === "function" || typeof v === "symbol") {
+            throw new TypeError(`Cannot serialize ${describeType(v).summary} at ${path}.`);
+        }
+        if (v === null || typeof v !== "object") return;
+        const seen = counts.get(v) ?? 0;
+        counts.set(v, seen + 1);
+        if (seen === 0) children(v, path).forEach(([child, childPath]) => count(child, childPath));
+    };
+    const encode = (v) => {
+        if (v === undefined) return { $type: "undefined" };
+        if (typeof v === "number") return Number.isFinite(v) && !Object.is(v, -0) ? v : { $type: "number", value: Object.is(v, -0) ? "-0" : String(v) };
+        if (typeof v === "bigint") return { $type: "bigint", value: v.toString() };
+        if (v === null || typeof v !== "object") return v;
+        if (ids.has(v)) return { $type: "Ref", id: ids.get(v) };
+        const id = counts.get(v) > 1 ? ids.size : undefined;
+        if (id !== undefined) ids.set(v, id);
+        const tagged = (tag, content) => id === undefined ? { $type: tag, value: content() } : { $type: tag, id, value: content() };
+        if (payloads.has(v)) {
+            const { tag, payload } = payloads.get(v);
+            return tagged(tag, () => encode(payload));
+        }
+        if (Array.isArray(v)) return id === undefined ? v.map(encode) : tagged("Array", () => v.map(encode));
+        if (v instanceof Map) return tagged("Map", () => Array.from(v, ([key, item]) => [encode(key), encode(item)]));
+        if (v instanceof Set) return tagged("Set", () => Array.from(v, encode));
+        if (v instanceof Date) return tagged("Date", () => Number.isNaN(v.getTime()) ? null : v.getTime());
+        if (v instanceof RegExp) return tagged("RegExp", () => ({ source: v.source, flags: v.flags }));
+        const encodeEntries = () => Object.fromEntries(Object.keys(v).map(key => [key, encode(v[key])]));
+        return id === undefined && !Object.hasOwn(v, "$type") ? encodeEntries() : tagged("Object", encodeEntries);
+    };
+    count(value, "value");
+    return JSON.stringify(encode(value), null, space);
+}
+
+/**
+ * 还原 {@link serialize} 生成的字符串，可用于处理不可信的输入：
+ * 未知标签、格式错误的带标签节点以及悬空引用都会抛出错误，对象键 `__proto__` 作为普通属性还原，不会修改原型
+ * @param {string} text - 序列化得到的 JSON 字符串
+ * @returns {*} 还原的值
+ * @throws {TypeError} 当text不是字符串时抛出类型错误
+ * @throws {SyntaxError} 当text不是合法的 JSON、含有未知标签或结构错误时抛出语法错误
+ * @example
+ * deserialize('{"$type":"Map","value":[["a",{"$type":"number","value":"NaN"}]]}'); // Map {"a" => NaN}
+ * deserialize('{"$type":"Function","value":"alert(1)"}');
+ * // => SyntaxError: Unknown tag "Function" at data in serialized data.
+ */
+export function deserialize(text) {
+    if (typeof text !== "string") {
+        throw new TypeError(`Expected text to be a string, but got ${describeType(text).summary}.`);
+    }
+    const references = new Map();
+    const fail = (message, path) => {
+        throw new SyntaxError(`${message} at ${path} in serialized data.`);
+    };
+    const define = (node, path, result) => {
+        if (node.id === undefined) return result;
+        if (!Number.isInteger(node.id) || node.id < 0) fail(`Invalid reference id ${stringify(node.id)}`, `${path}.id`);
+        if (references.has(node.id)) fail(`Duplicate reference id ${node.id}`, `${path}.id`);
+        references.set(node.id, result);
+        return result;
+    };
+    const expectArray = (value, path) => {
+        if (!Array.isArray(value)) fail(`Expected an array but got ${describeType(value).summary}`, path);
+        return value;
+    };
+    const decodeEntries = (source, target, path) => {
+        if (source === null || typeof source !== "object" || Array.isArray(source)) fail(`Expected an object but got ${describeType(source).summary}`, path);
+        for (const key of Object.keys(source)) {
+            Object.defineProperty(target, key, { value: decode(source[key], appendKey(path, key)), writable: true, enumerable: true, configurable: true });
+        }
+        return target;
+    };
+    const decodeTagged = (node, path) => {
+        const { $type: tag, value } = node;
+        const valuePath = `${path}.value`;
+        for (const key of Object.keys(node)) {
+            if (!TAGGED_KEYS.has(key)) fail(`Unexpected key ${JSON.stringify(key)}`, path);
+        }
+        if (typeof tag !== "string") fail(`Expected $type to be a string but got ${describeType(tag).summary}`, `${path}.$type`);
+        if (node.id !== undefined && ["undefined", "number", "bigint"].includes(tag)) fail(`Unexpected id for ${tag}`, path);
+        switch (tag) {
+            case "undefined":
+                return undefined;
+            case "number":
+                if (!["NaN", "Infinity", "-Infinity", "-0"].includes(value)) fail(`Invalid number ${stringify(value)}`, valuePath);
+                return Number(value);
+            case "bigint":
+                if (typeof value !== "string" || !/^-?\d+$/.test(value)) fail(`Invalid bigint ${stringify(value)}`, valuePath);
+                return BigInt(value);
+            case "Ref":
+                if (!references.has(node.id)) fail(`Unresolved reference ${stringify(node.id)}`, path);
+                return references.get(node.id);
+            case "Date":
+                if (value !== null && !Number.isFinite(value)) fail(`Invalid date ${stringify(value)}`, valuePath);
+                return define(node, path, new Date(value ?? NaN));
+            case "RegExp":
+                if (typeof value?.source !== "string" || typeof value.flags !== "string") fail(`Invalid regexp ${stringify(value)}`, valuePath);
+                try {
+                    return define(node, path, new RegExp(value.source, value.flags));
+                } catch (error) {
+                    return fail(error.message, valuePath);
+                }
+            case "Array": {
+                const result = define(node, path, []);
+                expectArray(value, valuePath).forEach((item, i) => result.push(decode(item, `${valuePath}[${i}]`)));
+                return result;
+            }
+            case "Object":
+                return decodeEntries(value, define(node, path, {}), valuePath);
+            case "Map": {
+                const result = define(node, path, new Map());
+                expectArray(value, valuePath).forEach((entry, i) => {
+                    const [key, item] = expectArray(entry, `${valuePath}[${i}]`);
+                    if (entry.length !== 2) fail("Expected a [key, value] pair", `${valuePath}[${i}]`);
+                    result.set(decode(key, `${valuePath}[${i}][0]`), decode(item, `${valuePath}[${i}][1]`));
+                });
+                return result;
+            }
+            case "Set": {
+                const result = define(node, path, new Set());
+                expectArray(value, valuePath).forEach((item, i) => result.add(decode(item, `${valuePath}[${i}]`)));
+                return result;
+            }
+            default: {
+                const custom = serializableClasses.get(tag);
+                if (!custom) fail(`Unknown tag ${JSON.stringify(tag)}`, path);
+                return define(node, path, custom.deserialize(decode(value, valuePath)));
+            }
+        }
+    };
+    const decode = (node, path) => {
+        if (node === null || typeof node !== "object") return node;
+        if (Array.isArray(node)) return node.map((item, i) => decode(item, `${path}[${i}]`));
+        if (Object.hasOwn(node, "$type")) return decodeTagged(node, path);
+        return decodeEntries(node, {}, path);
+    };
+    return decode(JSON.parse(text), "data");
+}
+
+/**
+ * 由样本推断出的结构描述
+ * @typedef {{ kind: "value", type: string, name: string }
+ *   | { kind: "array", element: Shape }
+ *   | { kind: "set", element: Shape }
+ *   | { kind: "map", key: Shape, value: Shape }
+ *   | { kind: "object", properties: Object<string, { shape: Shape, optional: boolean }> }
+ *   | { kind: "union", options: Shape[] }
+ *   | { kind: "unknown" }} Shape
+ * - `value`：叶子值，`type` 为 {@link getType} 的结果，`name` 为显示用的类型名，如 `"Date"`、`"Uint8Array"`
+ * - `unknown`：无法推断，如空数组的元素或循环引用
+ */
+
+function describeShape(v, ancestors) {
+    const type = getType(v);
+    if (type === "array" || type === "object" || type === "map" || type === "set") {
+        if (ancestors.has(v)) return { kind: "unknown" };
+        ancestors.add(v);
+        try {
+            switch (type) {
+                case "array":
+                    return { kind: "array", element: v.reduce((shape, item) => mergeShapes(shape, describeShape(item, ancestors)), { kind: "unknown" }) };
+                case "set":
+                    return { kind: "set", element: Array.from(v).reduce((shape, item) => mergeShapes(shape, describeShape(item, ancestors)), { kind: "unknown" }) };
+                case "map":
+                    return Array.from(v).reduce((shape, [key, value]) => ({
+                        kind: "map",
+                        key: mergeShapes(shape.key, describeShape(key, ancestors)),
+                        value: mergeShapes(shape.value, describeShape(value, ancestors))
+                    }), { kind: "map", key: { kind: "unknown" }, value: { kind: "unknown" } });
+                default:
+                    return {
+                        kind: "object",
+                        properties: Object.fromEntries(Object.keys(v).map(key => [key, { shape: describeShape(v[key], ancestors), optional: false }]))
+                    };
+            }
+        } finally {
+            ancestors.delete(v);
+        }
+    }
+    const name = v !== null && typeof v === "object" ? Object.prototype.toString.call(v).slice(8, -1) : type === "function" ? "Function" : type;
+    return { kind: "value", type, name };
+}
+
+const isSameSlot = (a, b) => a.kind === b.kind && (a.kind !== "value" || a.type === b.type);
+
+function mergeSameSlot(a, b) {
+    switch (a.kind) {
+        case "array":
+        case "set":
+            return { kind: a.kind, element: mergeShapes(a.element, b.element) };
+        case "map":
+            return { kind: "map", key: mergeShapes(a.key, b.key), value: mergeShapes(a.value, b.value) };
+        case "object": {
+            const properties = {};
+            for (const key of new Set([...Object.keys(a.properties), ...Object.keys(b.properties)])) {
+                const left = a.properties[key], right = b.properties[key];
+                properties[key] = left && right ?
+                    { shape: mergeShapes(left.shape, right.shape), optional: left.optional || right.optional } :
+                    { ...(left ?? right), optional: true };
+            }
+            return { kind: "object", properties };
+        }
+        default:
+            return a;
+    }
+}
+
+function mergeShapes(a, b) {
+    if (a.kind === "unknown") return b;
+    if (b.kind === "unknown") return a;
+    const options = a.kind === "union" ? [...a.options] : [a];
+    for (const shape of b.kind === "union" ? b.options : [b]) {
+        const index = options.findIndex(option => isSameSlot(option, shape));
+        if (index === -1) options.push(shape);
+        else options[index] = mergeSameSlot(options[index], shape);
+    }
+    return options.length === 1 ? options[0] : { kind: "union", options };
+}
+
+/**
+ * 根据一个或多个样本值推断结构：使用 {@link getType} 遍历样本，
+ * 只在部分样本中出现的对象键标记为可选，同一位置类型不同的值合并为联合类型。
+ * 得到的结构可用 {@link formatShape} 输出为类型文本，或用 guard.js 的 `shapeToGuard` 生成校验函数
+ * @param {Array} samples - 样本列表，单个样本也需要放在数组中
+ * @returns {Shape} 结构描述
+ * @throws {TypeError} 当samples不是数组时抛出类型错误
+ * @example
+ * const shape = inferShape([
+ *     { id: 1, name: "a", tags: ["x"] },
+ *     { id: 2, tags: [], parent: null },
+ *     { id: "3", tags: ["y", 1] }
+ * ]);
+ * formatShape(shape);
+ * // type Inferred = {
+ * //   id: number | string;
+ * //   name?: string;
+ * //   tags: (string | number)[];
+ * //   parent?: null;
+ * // };
+ */
+export function inferShape(samples) {
+    if (!Array.isArray(samples)) {
+        throw new TypeError(`Expected samples to be an array, but got ${describeType(samples).summary}.`);
+    }
+    return samples.reduce((shape, sample) => mergeShapes(shape, describeShape(sample, new Set())), { kind: "unknown" });
+}
+
+const TS_TYPE_NAMES = { date: "Date", regexp: "RegExp", function: "Function" };
+
+function formatTypeScript(shape, indent, depth) {
+    switch (shape.kind) {
+        case "unknown":
+            return "unknown";
+        case "value":
+            return TS_TYPE_NAMES[shape.type] ?? shape.name;
+        case "union":
+            return shape.options.map(option => formatTypeScript(option, indent, depth)).join(" | ");
+        case "array": {
+            const element = formatTypeScript(shape.element, indent, depth);
+            return shape.element.kind === "union" ? `(${element})[]` : `${element}[]`;
+        }
+        case "set":
+            return `Set<${formatTypeScript(shape.element, indent, depth)}>`;
+        case "map":
+            return `Map<${formatTypeScript(shape.key, indent, depth)}, ${formatTypeScript(shape.value, indent, depth)}>`;
+        default: {
+            const keys = Object.keys(shape.properties);
+            if (keys.length === 0) return "{}";
+            const padding = indent.repeat(depth + 1);
+            const lines = keys.map(key => {
+                const { shape: property, optional } = shape.properties[key];
+                const name = IDENTIFIER_REGEXP.test(key) ? key : JSON.stringify(key);
+                return `${padding}${name}${optional ? "?" : ""}: ${formatTypeScript(property, indent, depth + 1)};`;
+            });
+            return `{\n${lines.join("\n")}\n${indent.repeat(depth)}}`;
+        }
+    }
+}
+
+function formatJSDocType(shape) {
+    switch (shape.kind) {
+        case "unknown":
+            return "*";
+        case "value":
+            return TS_TYPE_NAMES[shape.type] ?? shape.name;
+        case "union":
+            return `(${shape.options.map(formatJSDocType).join("|")})`;
+        case "array":
+            return `${formatJSDocType(shape.element)}[]`;
+        case "set":
+            return `Set<${formatJSDocType(shape.element)}>`;
+        case "map":
+            return `Map<${formatJSDocType(shape.key)}, ${formatJSDocType(shape.value)}>`;
+        default:
+            return `{${Object.entries(shape.properties).map(([key, { shape: property, optional }]) =>
+                `${key}: ${optional ? `(${formatJSDocType(property)}|undefined)` : formatJSDocType(property)}`).join(", ")}}`;
+    }
+}
+
+/**
+ * 以 `@property` 行展开对象的属性，嵌套对象与对象数组继续以 `a.b`、`a[].b` 的形式展开
+ */
+function formatJSDocProperties(shape, prefix) {
+    return Object.entries(shape.properties).flatMap(([key, { shape: property, optional }]) => {
+        const path = `${prefix}${key}`;
+        const name = optional ? `[${path}]` : path;
+        if (property.kind === "object") {
+            return [`@property {Object} ${name}`, ...formatJSDocProperties(property, `${path}.`)];
+        }
+        if (property.kind === "array" && property.element.kind === "object") {
+            return [`@property {Object[]} ${name}`, ...formatJSDocProperties(property.element, `${path}[].`)];
+        }
+        return [`@property {${formatJSDocType(property)}} ${name}`];
+    });
+}
+
+/**
+ * 将 {@link inferShape} 得到的结构输出为便于阅读的类型文本
+ * @param {Shape} shape - 结构描述
+ * @param {Object} [options] - 输出选项
+ * @param {"typescript"|"jsdoc"} [options.syntax="typescript"] - 输出 TypeScript 类型别名或 JSDoc `@typedef` 注释
+ * @param {string} [options.name="Inferred"] - 类型名
+ * @param {number|string} [options.indent=2] - TypeScript 输出的缩进（空格数或缩进字符串）
+ * @returns {string} 类型文本
+ * @throws {TypeError} 当syntax不是支持的取值时抛出类型错误
+ * @example
+ * formatShape(inferShape([{ id: 1, meta: { tags: ["a"] } }]), { syntax: "jsdoc", name: "Item" });
+ * // /**
+ * //  * @typedef {Object} Item
+ * //  * @property {number} id
+ * //  * @property {Object} meta
+ * //  * @property {string[]} meta.tags
+ * //  *\/
+ */
+export function formatShape(shape, { syntax = "typescript", name = "Inferred", indent = 2 } = {}) {
+    if (syntax === "typescript") {
+        return `type ${name} = ${formatTypeScript(shape, typeof indent === "number" ? " ".repeat(indent) : indent, 0)};`;
+    }
+    if (syntax === "jsdoc") {
+        const lines = shape.kind === "object" ?
+            [`@typedef {Object} ${name}`, ...formatJSDocProperties(shape, "")] :
+            [`@typedef {${formatJSDocType(shape)}} ${name}`];
+        return `/**\n${lines.map(line => ` * ${line}`).join("\n")}\n */`;
+    }
+    throw new TypeError(`Expected options.syntax to be "typescript" or "jsdoc", but got ${stringify(syntax)}.`);
+}
@@ -1,8 +1,10 @@
 const checkValidRegExps = {
     isInteger: /^-?\d+$/,
     isUnsignedInteger: /^\d+$/,
-    isCnName: /^[\u4e00-\u9fff]+(?:\u00b7[\u4e00-\u9fff]+)*$/
+    isCnName: /^[\u4e00-\u9fff]+(?:\u00b7[\u4e00-\u9fff]+)*$/,
+    isDuration: /^(\d+)(ms|s|min|h|d)$/
 }
+const durationUnits = { ms: 1, s: 1_000, min: 60_000, h: 3600_000, d: 86400_000 };
 export function isIntegerString(str) {
     return typeof str === "string" && checkValidRegExps.isInteger.test(str)
 }
@@ -11,4 +13,25 @@ export function isUnsignedIntegerString(str) {
 }
 export function isCnNameString(str) {
     return typeof str === "string" && checkValidRegExps.isCnName.test(str)
-}
\ No newline at end of file
+}
+/**
+ * 判断是否为时长字符串，如 `"500ms"`、`"5s"`、`"1min"`、`"2h"`、`"1d"`
+ * @param {*} str
+ * @returns {boolean}
+ */
+export function isDurationString(str) {
+    return typeof str === "string" && checkValidRegExps.isDuration.test(str)
+}
+/**
+ * 将时长字符串转换为毫秒数，不是时长字符串时返回 NaN
+ * @param {`${number}${"ms"|"s"|"min"|"h"|"d"}`} str
+ * @returns {number}
+ * @example
+ * parseDurationString("5s") // => 5000
+ */
+export function parseDurationString(str) {
+    const match = typeof str === "string" ? str.match(checkValidRegExps.isDuration) : null;
+    if (!match) return NaN;
+    const [, amount, unit] = match;
+    return Number(amount) * durationUnits[unit];
+}
@@ -0,0 +1,705 @@
+import { describe, expect, it, vi } from "vitest";
+import { allOf, anyOf, arrayOf, awaitAndGuard, checkMatchesSchema, collectGuardIssues, defineGuard, formatPath, getGuardLocale, getGuardMode, GUARD_CODES, guarded, GuardError, GuardKeyError, GuardRangeError, GuardTimeoutError, GuardTypeError, GuardUsageError, literal, not, nullable, optional, parsePath, predicate, registerGuardMessages, setGuardLocale, setGuardLogger, setGuardMode, shapeToGuard, throwIfIsNotArray, throwIfIsNotArrayBuffer, throwIfIsNotArrayOfLength, throwIfIsNotAsyncIterable, throwIfIsNotBigIntInRange, throwIfIsNotCnNameString, throwIfIsNotCnNameStringArray, throwIfIsNotDateInRange, throwIfIsNotDateInRangeArray, throwIfIsNotDeepEqual, throwIfIsNotDurationString, throwIfIsNotDurationStringArray, throwIfIsNotFiniteNumber, throwIfIsNotInteger, throwIfIsNotIntegerString, throwIfIsNotIntegerStringArray, throwIfIsNotMap, throwIfIsNotMapOf, throwIfIsNotMapOfSize, throwIfIsNotMatrix, throwIfIsNotNonBlankString, throwIfIsNotNonBlankStringArray, throwIfIsNotNonEmptyString, throwIfIsNotNonEmptyStringArray, throwIfIsNotNonNegativeFiniteNumber, throwIfIsNotNonNegativeInteger, throwIfIsNotNumber, throwIfIsNotNumberArray, throwIfIsNotNumberInRange, throwIfIsNotNumberInRangeArray, throwIfIsNotPositiveFiniteNumber, throwIfIsNotPositiveInteger, throwIfIsNotPositiveIntegerArray, throwIfIsNotPromise, throwIfIsNotPromiseLike, throwIfIsNotSet, throwIfIsNotSetOf, throwIfIsNotSetOfSize, throwIfIsNotString, throwIfIsNotStringMatching, throwIfIsNotStringMatchingArray, throwIfIsNotStringOfLength, throwIfIsNotStringOfLengthArray, throwIfIsNotTensor, throwIfIsNotTypedArray, throwIfIsNotTypedArrayOf, throwIfIsNotUnsignedIntegerString, throwIfIsNotWeakMap, throwIfKeyMissing, throwIfNotMatchesSchema, throwIfPathMissing, throwIfSomeKeysMissing, tupleOf, unionOf, withGuardLocale, withGuardMode } from "../src/guard.js";
+import { clamp } from "../src/number.js";
+import { randomChoice, randomMatrices, randomMatrix } from "../src/random.js";
+import { inferShape } from "../src/type.js";
+import { isIntegerString, isUnsignedIntegerString } from "../src/validation.js";
+
+describe("shapeToGuard", () => {
+    it("validates values against an inferred shape", () => {
+        const throwIfIsNotOrder = shapeToGuard(inferShape([{ id: 1, items: [{ sku: "a" }] }, { id: 2, items: [], note: null }]));
+        expect(() => throwIfIsNotOrder({ id: 3, items: [{ sku: "b" }] }, "order")).not.toThrow();
+        expect(() => throwIfIsNotOrder({ id: 3, items: [{ sku: 1 }] }, "order")).toThrow(TypeError);
+    });
+
+    it("only checks the container type when the samples hold empty collections", () => {
+        const throwIfIsNotSample = shapeToGuard(inferShape([{ set: new Set(), map: new Map(), list: [] }]));
+        expect(() => throwIfIsNotSample({ set: new Set([1]), map: new Map([["k", 1]]), list: ["x"] })).not.toThrow();
+        expect(() => throwIfIsNotSample({ set: [1], map: new Map(), list: [] })).toThrow(TypeError);
+        expect(() => throwIfIsNotSample({ set: new Set(), map: {}, list: [] })).toThrow(TypeError);
+        expect(() => throwIfIsNotSample({ set: new Set(), map: new Map(), list: "x" })).toThrow(TypeError);
+    });
+
+    it("accepts any member for a top-level empty Set sample", () => {
+        expect(() => shapeToGuard(inferShape([new Set()]))(new Set([1]))).not.toThrow();
+    });
+});
+
+describe("guard modes", () => {
+    it("skips library checks when off and logs them when warning", () => {
+        const previous = setGuardMode("off");
+        try {
+            expect(clamp("5", 0, 2)).toBe(2);
+        } finally {
+            setGuardMode(previous);
+        }
+        const logger = vi.fn();
+        const previousLogger = setGuardLogger(logger);
+        try {
+            withGuardMode("warn", () => clamp("5", 0, 2));
+        } finally {
+            setGuardLogger(previousLogger);
+        }
+        expect(logger).toHaveBeenCalledTimes(1);
+        expect(logger.mock.calls[0][0]).toBeInstanceOf(TypeError);
+        expect(() => clamp("5", 0, 2)).toThrow(TypeError);
+    });
+
+    it("always throws from guards called directly", () => {
+        expect(() => withGuardMode("off", () => throwIfIsNotString(1, "x"))).toThrow(TypeError);
+    });
+
+    it("keeps a scoped mode across await", async () => {
+        const mode = await withGuardMode("off", async () => {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            return getGuardMode();
+        });
+        expect(mode).toBe("off");
+        expect(getGuardMode()).toBe("throw");
+    });
+
+    it("falls back to a synchronous scope without AsyncLocalStorage", async () => {
+        const getBuiltinModule = process.getBuiltinModule;
+        process.getBuiltinModule = undefined;
+        vi.resetModules();
+        try {
+            const guard = await import("../src/guard.js");
+            expect(guard.withGuardMode("warn", () => guard.getGuardMode())).toBe("warn");
+            expect(guard.getGuardMode()).toBe("throw");
+        } finally {
+            process.getBuiltinModule = getBuiltinModule;
+            vi.resetModules();
+        }
+    });
+});
+
+describe("property paths", () => {
+    it("parses dotted and bracketed paths", () => {
+        expect(parsePath('users[0].profile["display-name"]')).toEqual(["users", 0, "profile", "display-name"]);
+        expect(parsePath("a.0")).toEqual(["a", "0"]);
+        expect(parsePath('a["x.y\\"z"]')).toEqual(["a", 'x.y"z']);
+        expect(parsePath("")).toEqual([]);
+        const keys = ["a", Symbol.for("b")];
+        expect(parsePath(keys)).toEqual(keys);
+        expect(parsePath(keys)).not.toBe(keys);
+    });
+
+    it("rejects malformed paths", () => {
+        expect(() => parsePath("a..b")).toThrow(SyntaxError);
+        expect(() => parsePath("a[0")).toThrow(SyntaxError);
+        expect(() => parsePath(1)).toThrow(TypeError);
+    });
+
+    it("formats keys as a path with or without a root", () => {
+        expect(formatPath(["users", 0, "display-name"], "data")).toBe('data.users[0]["display-name"]');
+        expect(formatPath(["users", 0, "name"])).toBe("users[0].name");
+        expect(formatPath([0, "a"])).toBe("[0].a");
+        expect(formatPath([])).toBe("");
+    });
+
+    it("reports where a missing path breaks off", () => {
+        expect(() => throwIfPathMissing({ db: { hosts: [{ port: 1 }] } }, "db.hosts[0].port", "config")).not.toThrow();
+        let error;
+        try {
+            throwIfPathMissing({ db: { hosts: [{}] } }, "db.hosts[0].port", "config");
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(GuardKeyError);
+        expect(error.variableName).toBe("config.db.hosts[0]");
+        expect(error.message).toContain("config.db.hosts[0].port");
+    });
+});
+
+/**
+ * 调用 fn 并返回其抛出的错误
+ */
+const catchError = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    throw new Error("Expected fn to throw.");
+};
+
+describe("guard error classes", () => {
+    it("keeps the built-in error types and adds structured details", () => {
+        const error = catchError(() => throwIfIsNotNumber("1", "n"));
+        expect(error).toBeInstanceOf(TypeError);
+        expect(error).toBeInstanceOf(GuardTypeError);
+        expect(error).toBeInstanceOf(GuardError);
+        expect(error).toMatchObject({ name: "GuardTypeError", code: GUARD_CODES.INVALID_TYPE, variableName: "n", expected: "a number", received: '"1"' });
+        expect(error.message).toBe('Expected n to be a number, but got "1".');
+    });
+
+    it("reports range, element and key problems with their own codes", () => {
+        const range = catchError(() => throwIfIsNotPositiveInteger(-1, "n"));
+        expect(range).toBeInstanceOf(RangeError);
+        expect(range).toBeInstanceOf(GuardRangeError);
+        expect(range).toMatchObject({ code: GUARD_CODES.OUT_OF_RANGE, received: "-1" });
+        expect(catchError(() => throwIfIsNotNumberArray([1, "x"], "xs"))).toMatchObject({ code: GUARD_CODES.INVALID_ELEMENT, variableName: "xs", index: 1 });
+        const key = catchError(() => throwIfKeyMissing({}, "a", "o"));
+        expect(key).toBeInstanceOf(GuardKeyError);
+        expect(key).toMatchObject({ code: GUARD_CODES.MISSING_KEY, variableName: "o", key: "a" });
+    });
+
+    it("names every class after itself", () => {
+        for (const ErrorClass of [GuardError, GuardTypeError, GuardRangeError, GuardKeyError, GuardTimeoutError, GuardUsageError]) {
+            const error = new ErrorClass("message");
+            expect(error.name).toBe(ErrorClass.name);
+            expect(error).toBeInstanceOf(GuardError);
+            expect(Object.keys(error)).not.toContain("name");
+        }
+        expect(new Error("plain")).not.toBeInstanceOf(GuardError);
+    });
+});
+
+describe("guard message catalogs", () => {
+    it("switches the global locale and restores it", () => {
+        const previous = setGuardLocale("zh-CN");
+        try {
+            expect(previous).toBe("en");
+            expect(getGuardLocale()).toBe("zh-CN");
+            expect(() => throwIfIsNotFiniteNumber("1", "x")).toThrow("期望 x 为 数字，实际为 字符串。");
+        } finally {
+            setGuardLocale(previous);
+        }
+        expect(() => throwIfIsNotFiniteNumber("1", "x")).toThrow('Expected x to be a number, but got string.');
+    });
+
+    it("translates nested descriptions and keeps structured details", () => {
+        withGuardLocale("zh-CN", () => {
+            expect(catchError(() => throwIfIsNotNumberArray([1, "a"], "xs")).message).toBe("期望 xs 的所有元素 为 数字，但发现 类型为 字符串 的非数字值。");
+            expect(catchError(() => throwIfSomeKeysMissing({ a: 1 }, ["a", "b"], "o")).message).toBe('期望 o 含有全部键 ["a", "b"]，但缺少 "b"。');
+            expect(catchError(() => throwIfIsNotPositiveInteger(-1, "n"))).toMatchObject({ code: GUARD_CODES.OUT_OF_RANGE, variableName: "n", expected: "正整数" });
+        });
+    });
+
+    it("scopes locales and partial catalogs to a call", () => {
+        expect(withGuardLocale("zh-CN", () => getGuardLocale())).toBe("zh-CN");
+        expect(getGuardLocale()).toBe("en");
+        const catalog = { messages: { MISSING_KEY: "缺少必填项 {key}" } };
+        expect(() => withGuardLocale(catalog, () => throwIfKeyMissing({}, "name", "form"))).toThrow('缺少必填项 "name"');
+        expect(() => withGuardLocale(catalog, () => throwIfIsNotString(1, "title"))).toThrow("Expected title to be string, but got number.");
+        expect(() => withGuardLocale("zh-CN", () => withGuardLocale(catalog, () => throwIfIsNotString(1, "title")))).toThrow("期望 title 为 字符串，实际为 数字。");
+    });
+
+    it("registers new locales that fall back to English", () => {
+        registerGuardMessages("test-ja", { messages: { INVALID_TYPE: "{name} は {expected} である必要があります" }, terms: { "a number": "数値" } });
+        withGuardLocale("test-ja", () => {
+            expect(() => throwIfIsNotNumber("1", "x")).toThrow("x は 数値 である必要があります");
+            expect(() => throwIfKeyMissing({}, "a", "o")).toThrow('Expected o to have key : "a", but cannot find.');
+        });
+    });
+
+    it("rejects unknown locales and malformed catalogs", () => {
+        expect(() => setGuardLocale("unknown")).toThrow(GuardUsageError);
+        expect(() => withGuardLocale("unknown", () => 1)).toThrow(GuardUsageError);
+        expect(() => registerGuardMessages("test", 1)).toThrow(GuardUsageError);
+        expect(getGuardLocale()).toBe("en");
+    });
+});
+
+describe("schema guards", () => {
+    const configSchema = {
+        name: throwIfIsNotString,
+        items: arrayOf({ weight: throwIfIsNotNonNegativeFiniteNumber, tag: optional(throwIfIsNotString) }),
+        mode: literal("fast", "slow"),
+        parent: nullable({ id: throwIfIsNotInteger }),
+        range: tupleOf(throwIfIsNotInteger, optional(throwIfIsNotInteger))
+    };
+    const validConfig = () => ({ name: "a", items: [{ weight: 1 }, { weight: 0, tag: "x" }], mode: "fast", parent: null, range: [1] });
+
+    it("accepts values that match the schema", () => {
+        expect(() => throwIfNotMatchesSchema(validConfig(), configSchema, "config")).not.toThrow();
+        expect(() => throwIfNotMatchesSchema({ ...validConfig(), parent: { id: 1 }, range: [1, 2] }, configSchema, "config")).not.toThrow();
+    });
+
+    it("reports the full path of the failing value", () => {
+        const config = validConfig();
+        config.items.push({ weight: "3" });
+        const error = catchError(() => throwIfNotMatchesSchema(config, configSchema, "config"));
+        expect(error).toBeInstanceOf(TypeError);
+        expect(error.variableName).toBe("config.items[2].weight");
+        expect(error.message).toBe("Expected config.items[2].weight to be a number, but got string.");
+    });
+
+    it("reports missing keys, literals and tuple lengths", () => {
+        const withoutMode = validConfig();
+        delete withoutMode.mode;
+        expect(catchError(() => throwIfNotMatchesSchema(withoutMode, configSchema, "config"))).toMatchObject({ name: "GuardKeyError", variableName: "config", key: "mode" });
+        expect(catchError(() => throwIfNotMatchesSchema({ ...validConfig(), mode: "medium" }, configSchema, "config")).variableName).toBe("config.mode");
+        expect(catchError(() => throwIfNotMatchesSchema({ ...validConfig(), range: [1, 2, 3] }, configSchema, "config"))).toBeInstanceOf(RangeError);
+        expect(catchError(() => throwIfNotMatchesSchema({ ...validConfig(), parent: { id: 1.5 } }, configSchema, "config")).variableName).toBe("config.parent.id");
+    });
+
+    it("quotes keys that are not identifiers", () => {
+        const error = catchError(() => throwIfNotMatchesSchema({ "display-name": 1 }, { "display-name": throwIfIsNotString }, "user"));
+        expect(error.variableName).toBe('user["display-name"]');
+    });
+
+    it("rejects malformed schemas as usage errors", () => {
+        expect(() => arrayOf(1)).toThrow(GuardUsageError);
+        expect(() => literal()).toThrow(GuardUsageError);
+        expect(() => throwIfNotMatchesSchema({ a: 1 }, { a: 1 })).toThrow(GuardUsageError);
+    });
+});
+
+describe("collecting guard issues", () => {
+    it("reports every problem instead of the first one", () => {
+        const result = collectGuardIssues(() => {
+            throwIfIsNotPositiveIntegerArray([1, -2, "3"], "ids");
+            throwIfSomeKeysMissing({}, ["a", "b"], "options");
+        });
+        expect(result.ok).toBe(false);
+        expect(result.issues.map(({ path, code }) => [path, code])).toEqual([
+            ["ids[1]", "INVALID_ELEMENT"],
+            ["ids[2]", "INVALID_ELEMENT"],
+            ["options.a", "MISSING_KEY"],
+            ["options.b", "MISSING_KEY"]
+        ]);
+        expect(collectGuardIssues(() => throwIfIsNotString("a"))).toEqual({ ok: true, issues: [] });
+    });
+
+    it("checks a schema without throwing", () => {
+        const result = checkMatchesSchema({ items: [{ weight: "1" }, {}] }, { items: arrayOf({ weight: throwIfIsNotFiniteNumber }) }, "config");
+        expect(result.issues).toMatchObject([
+            { path: "config.items[0].weight", code: "INVALID_TYPE", expected: "a number", received: "string" },
+            { path: "config.items[1].weight", code: "MISSING_KEY", key: "weight" }
+        ]);
+    });
+
+    it("stops a library function after collecting all of its argument issues", () => {
+        let finished = false;
+        const result = collectGuardIssues(() => {
+            clamp("1", 0, "2");
+            finished = true;
+        });
+        expect(finished).toBe(false);
+        expect(result.issues.map(({ path }) => path)).toEqual(["value", "max"]);
+    });
+
+    it("rethrows usage errors and errors from other code", () => {
+        expect(() => collectGuardIssues(() => arrayOf(1))).toThrow(GuardUsageError);
+        expect(() => collectGuardIssues(() => {
+            throw new Error("boom");
+        })).toThrow("boom");
+    });
+});
+
+describe("defineGuard", () => {
+    const weight = defineGuard({
+        predicate: v => typeof v === "number" && v >= 0 && v <= 1,
+        describe: "a weight between 0 and 1"
+    });
+
+    it("generates scalar, array, iterable and map guards from one predicate", () => {
+        expect(weight.is(0.5)).toBe(true);
+        expect(weight.is(2)).toBe(false);
+        expect(() => weight.throwIfIsNot(0.5, "w")).not.toThrow();
+        expect(catchError(() => weight.throwIfIsNot(2, "w"))).toMatchObject({
+            name: "GuardTypeError", code: GUARD_CODES.INVALID_VALUE, variableName: "w", received: "2",
+            message: "Expected w to be a weight between 0 and 1, but got 2."
+        });
+        expect(catchError(() => weight.throwIfIsNotArrayOf([0.5, 2], "ws"))).toMatchObject({
+            code: GUARD_CODES.INVALID_ELEMENT, index: 1,
+            message: "Expected each element of ws to be a weight between 0 and 1, but found 2 at index 1."
+        });
+        expect(catchError(() => weight.throwIfIsNotIterableOf(new Set([0, 3]), "s"))).toMatchObject({ code: GUARD_CODES.INVALID_ELEMENT, index: 1 });
+        expect(catchError(() => weight.throwIfIsNotMapOf(new Map([["a", 3]]), "m"))).toMatchObject({
+            code: GUARD_CODES.INVALID_ELEMENT, key: "a",
+            message: 'Expected each value of m to be a weight between 0 and 1, but found 3 at key "a".'
+        });
+        expect(() => weight.throwIfIsNotMapOf(new Map([["a", 1]]), "m")).not.toThrow();
+    });
+
+    it("reports containers of the wrong type", () => {
+        expect(catchError(() => weight.throwIfIsNotArrayOf("x"))).toMatchObject({ code: GUARD_CODES.INVALID_TYPE, variableName: "variable", expected: "an array" });
+        expect(catchError(() => weight.throwIfIsNotIterableOf(1, "i"))).toMatchObject({ code: GUARD_CODES.INVALID_TYPE, expected: "an iterable" });
+        expect(catchError(() => weight.throwIfIsNotMapOf({}, "m"))).toMatchObject({ code: GUARD_CODES.INVALID_TYPE, expected: "a map", received: "object" });
+    });
+
+    it("uses describeFailure for the received value", () => {
+        const positive = defineGuard({ predicate: v => v > 0, describe: "a positive value", describeFailure: v => `${v} (not positive)` });
+        expect(() => positive.throwIfIsNot(-1, "x")).toThrow("Expected x to be a positive value, but got -1 (not positive).");
+    });
+
+    it("trims guard frames from the stack like the built-in guards", () => {
+        const error = catchError(() => weight.throwIfIsNotArrayOf([2], "ws"));
+        expect(error.stack.split("\n")[1]).toContain("guard.test.js");
+    });
+
+    it("works with localized messages and collect mode", () => {
+        expect(() => withGuardLocale("zh-CN", () => weight.throwIfIsNotArrayOf([2], "ws"))).toThrow("期望 ws 的每个元素 为 a weight between 0 and 1，但发现 下标 0 处的 2。");
+        expect(collectGuardIssues(() => weight.throwIfIsNotArrayOf([2, 3], "ws")).issues.map(({ path }) => path)).toEqual(["ws[0]", "ws[1]"]);
+    });
+
+    it("rejects invalid options", () => {
+        expect(() => defineGuard({ predicate: 1, describe: "x" })).toThrow(GuardUsageError);
+        expect(() => defineGuard({ predicate: () => true })).toThrow(GuardUsageError);
+        expect(() => defineGuard(null)).toThrow(GuardUsageError);
+    });
+});
+
+describe("range guards", () => {
+    it("states the violated bound of a number range", () => {
+        expect(() => throwIfIsNotNumberInRange(0.5, { min: 0, max: 1 }, "p")).not.toThrow();
+        expect(catchError(() => throwIfIsNotNumberInRange(256, { min: 0, max: 255 }, "red"))).toMatchObject({
+            name: "GuardRangeError", code: GUARD_CODES.OUT_OF_RANGE, variableName: "red",
+            message: "Expected red to be a number at least 0 and at most 255, but got 256, which is not at most 255."
+        });
+        expect(() => throwIfIsNotNumberInRange(1, { min: 0, max: 1, maxExclusive: true }, "p")).toThrow("but got 1, which is not less than 1.");
+        expect(() => throwIfIsNotNumberInRange(0, { min: 0, minExclusive: true }, "p")).toThrow("but got 0, which is not greater than 0.");
+        expect(catchError(() => throwIfIsNotNumberInRange(NaN, { min: 0 }, "p"))).toMatchObject({ name: "GuardTypeError", code: GUARD_CODES.INVALID_VALUE });
+        expect(catchError(() => throwIfIsNotNumberInRange("1", { min: 0 }, "p"))).toMatchObject({ name: "GuardTypeError", code: GUARD_CODES.INVALID_TYPE });
+    });
+
+    it("checks bigint and date ranges", () => {
+        expect(() => throwIfIsNotBigIntInRange(-1n, { min: 0n }, "b")).toThrow("Expected b to be a bigint at least 0n, but got -1n, which is not at least 0n.");
+        expect(() => throwIfIsNotBigIntInRange(1n, { min: 0n, max: 1n })).not.toThrow();
+        const newYear = new Date("2024-01-01");
+        expect(() => throwIfIsNotDateInRange(new Date("2023-12-31"), { min: newYear }, "start"))
+            .toThrow("Expected start to be a date on or after 2024-01-01T00:00:00.000Z, but got 2023-12-31T00:00:00.000Z, which is not on or after 2024-01-01T00:00:00.000Z.");
+        expect(() => throwIfIsNotDateInRange(new Date("2024-06-01"), { min: newYear }, "start")).not.toThrow();
+        expect(catchError(() => throwIfIsNotDateInRange(new Date("x"), {}, "start"))).toMatchObject({ received: "an invalid date" });
+    });
+
+    it("checks every element of the array variants", () => {
+        expect(catchError(() => throwIfIsNotNumberInRangeArray([0.5, 1.5], { min: 0, max: 1 }, "ps"))).toMatchObject({
+            code: GUARD_CODES.INVALID_ELEMENT, index: 1,
+            message: "Expected all elements of ps to be numbers at least 0 and at most 1, but found 1.5, which is not at most 1."
+        });
+        expect(catchError(() => throwIfIsNotDateInRangeArray([new Date("2024-01-01")], { max: new Date("2024-01-01"), maxExclusive: true }, "ds")))
+            .toMatchObject({ index: 0, expected: "dates before 2024-01-01T00:00:00.000Z" });
+        expect(catchError(() => throwIfIsNotStringOfLengthArray(["ab", "abc"], 2, "codes"))).toMatchObject({ index: 1, expected: "strings with a length exactly 2" });
+    });
+
+    it("checks lengths of strings and arrays and sizes of sets and maps", () => {
+        expect(catchError(() => throwIfIsNotStringOfLength("abcdef", { min: 1, max: 5 }, "code"))).toMatchObject({
+            name: "GuardRangeError", code: GUARD_CODES.INVALID_LENGTH,
+            message: "Expected code to have a length at least 1 and at most 5, but got a length of 6, which is not at most 5."
+        });
+        expect(() => throwIfIsNotArrayOfLength([1, 2], 3, "a")).toThrow("Expected a to have a length exactly 3, but got a length of 2, which is not at least 3.");
+        expect(() => throwIfIsNotSetOfSize(new Set(), { min: 1 }, "s")).toThrow("but got a size of 0, which is not at least 1.");
+        expect(() => throwIfIsNotMapOfSize(new Map([[1, 1]]), { max: 0 }, "m")).toThrow("but got a size of 1, which is not at most 0.");
+        expect(catchError(() => throwIfIsNotSetOfSize([], 0, "s"))).toMatchObject({ code: GUARD_CODES.INVALID_TYPE, expected: "a set" });
+    });
+
+    it("rejects malformed ranges", () => {
+        expect(() => throwIfIsNotNumberInRange(1, { min: 2, max: 1 })).toThrow(GuardUsageError);
+        expect(() => throwIfIsNotBigIntInRange(1n, { min: 0 })).toThrow(GuardUsageError);
+        expect(() => throwIfIsNotStringOfLength("ab", -1)).toThrow(GuardUsageError);
+        expect(() => throwIfIsNotNumberInRange(1, 1)).toThrow(GuardUsageError);
+    });
+});
+
+describe("guarded", () => {
+    const scale = guarded(function scale(value, factor) {
+        return value * factor;
+    }, {
+        params: [throwIfIsNotFiniteNumber, throwIfIsNotPositiveFiniteNumber],
+        returns: throwIfIsNotFiniteNumber
+    });
+
+    it("checks arguments and the return value by parameter name", () => {
+        expect(scale(2, 3)).toBe(6);
+        expect(catchError(() => scale(2, 0))).toMatchObject({
+            name: "GuardRangeError", variableName: "factor",
+            message: "Expected factor to be a positive finite number, but got 0."
+        });
+        expect(() => scale(1e308, 10)).toThrow("Expected return value of scale to be a finite number, but got Infinity.");
+        expect(catchError(() => scale(2, 0)).stack.split("\n")[1]).toContain("guard.test.js");
+    });
+
+    it("preserves length, name and this", () => {
+        expect(scale.length).toBe(2);
+        expect(scale.name).toBe("scale");
+        expect(guarded(() => 1, { name: "one" }).name).toBe("one");
+        const counter = { step: 2, times: guarded(function (n) {
+            return this.step * n;
+        }, { params: [throwIfIsNotNumber] }) };
+        expect(counter.times(3)).toBe(6);
+    });
+
+    it("names rest, schema and unnamed parameters", () => {
+        const sum = guarded((first, ...rest) => first + rest.length, { params: [throwIfIsNotNumber, throwIfIsNotNumber, throwIfIsNotNumber] });
+        expect(() => sum(1, 2, "x")).toThrow('Expected rest[1] to be a number, but got "x".');
+        const move = guarded((shape, offset) => offset, { params: [null, { x: throwIfIsNotNumber }], paramNames: ["shape", "point"] });
+        expect(() => move(undefined, { x: "1" })).toThrow('Expected point.x to be a number, but got "1".');
+        const destructured = guarded(({ a }) => a, { params: [throwIfIsNotNumber] });
+        expect(() => destructured("x")).toThrow('Expected arguments[0] to be a number, but got "x".');
+    });
+
+    it("rejects instead of throwing for async functions and checks the resolved value", async () => {
+        const load = guarded(async function load(id) {
+            return id === 0 ? "missing" : id;
+        }, { params: [throwIfIsNotInteger], returns: throwIfIsNotInteger });
+        expect(load.length).toBe(1);
+        const rejected = load("x");
+        expect(rejected).toBeInstanceOf(Promise);
+        await expect(rejected).rejects.toMatchObject({ variableName: "id" });
+        await expect(load(0)).rejects.toThrow("Expected return value of load to be a number, but got string.");
+        await expect(load(3)).resolves.toBe(3);
+    });
+
+    it("skips checks when guards are off", () => {
+        expect(withGuardMode("off", () => scale("2", 3))).toBe(6);
+    });
+
+    it("rejects invalid options", () => {
+        expect(() => guarded(1)).toThrow(GuardUsageError);
+        expect(() => guarded(() => 1, { params: [1] })).toThrow(GuardUsageError);
+        expect(() => guarded(() => 1, { returns: 1 })).toThrow(GuardUsageError);
+        expect(() => guarded(() => 1, { paramNames: [1] })).toThrow(GuardUsageError);
+    });
+});
+
+describe("collection guards", () => {
+    it("checks container types", () => {
+        expect(() => throwIfIsNotMap(new Map(), "v")).not.toThrow();
+        expect(catchError(() => throwIfIsNotMap({}, "v"))).toMatchObject({ code: GUARD_CODES.INVALID_TYPE, expected: "a map", received: "object" });
+        expect(catchError(() => throwIfIsNotSet([], "v"))).toMatchObject({ expected: "a set", received: "array" });
+        expect(catchError(() => throwIfIsNotWeakMap(new Map(), "v"))).toMatchObject({ expected: "a weak map", received: "map" });
+        expect(catchError(() => throwIfIsNotTypedArray(new DataView(new ArrayBuffer(1)), "v"))).toMatchObject({ expected: "a typed array" });
+        expect(catchError(() => throwIfIsNotArrayBuffer(new Uint8Array(1), "v"))).toMatchObject({ expected: "an array buffer" });
+        expect(() => throwIfIsNotPromise({ then() { } }, "v")).toThrow("Expected v to be a promise, but got object.");
+        expect(() => throwIfIsNotPromiseLike({ then() { } }, "v")).not.toThrow();
+    });
+
+    it("names the offending map key or value", () => {
+        const weights = new Map([["a", 1], ["b", -1]]);
+        expect(catchError(() => throwIfIsNotMapOf(weights, { key: throwIfIsNotString, value: throwIfIsNotNonNegativeInteger }, "weights"))).toMatchObject({
+            name: "GuardRangeError", variableName: 'weights.get("b")',
+            message: 'Expected weights.get("b") to be a non-negative integer, but got -1.'
+        });
+        expect(() => throwIfIsNotMapOf(new Map([[1, 1]]), { key: throwIfIsNotString }, "weights")).toThrow("Expected key 1 of weights to be string, but got number.");
+        expect(() => throwIfIsNotMapOf(new Map([[{ id: "1" }, 1]]), { key: { id: throwIfIsNotNumber } }, "m"))
+            .toThrow('Expected (key {"id": "1"} of m).id to be a number, but got "1".');
+        expect(() => throwIfIsNotMapOf(new Map([["a", { x: "1" }]]), { value: { x: throwIfIsNotNumber } }, "m")).toThrow('Expected m.get("a").x to be a number');
+    });
+
+    it("names the offending set member", () => {
+        expect(() => throwIfIsNotSetOf(new Set([1, "2"]), throwIfIsNotInteger, "ids")).toThrow('Expected member "2" of ids to be a number, but got string.');
+        expect(() => throwIfIsNotSetOf(new Set([{ a: "x" }]), { a: throwIfIsNotNumber }, "ids")).toThrow('Expected (member {"a": "x"} of ids).a to be a number, but got "x".');
+        expect(() => throwIfIsNotSetOf(new Set([1]), 1, "ids")).toThrow(GuardUsageError);
+    });
+
+    it("checks typed array kind and length", () => {
+        expect(() => throwIfIsNotTypedArrayOf(new Float32Array(3), { kind: Float64Array, length: 3 }, "samples")).toThrow("Expected samples to be a Float64Array, but got Float32Array.");
+        expect(catchError(() => throwIfIsNotTypedArrayOf(new Float32Array(3), { kind: "Float32Array", length: { min: 4 } }, "samples"))).toMatchObject({ code: GUARD_CODES.INVALID_LENGTH });
+        expect(() => throwIfIsNotTypedArrayOf(new Float32Array(3), { kind: Float32Array, length: 3 })).not.toThrow();
+        expect(() => throwIfIsNotTypedArrayOf(new Float32Array(3), { kind: Array })).toThrow(GuardUsageError);
+    });
+
+    it("lets randomChoice report bad weights by key", () => {
+        expect(() => randomChoice(new Map([["a", 1], ["b", -1]]))).toThrow('Expected weights.get("b") to be a non-negative integer, but got -1.');
+    });
+});
+
+describe("shape guards", () => {
+    it("accepts matrices and tensors from random.js", () => {
+        expect(() => throwIfIsNotMatrix(randomMatrix(3, 4), { rows: 3, cols: 4, element: throwIfIsNotFiniteNumber }, "m")).not.toThrow();
+        expect(() => throwIfIsNotTensor(randomMatrices(2, 3, 4), [2, 3, 4], "batch")).not.toThrow();
+        expect(() => throwIfIsNotMatrix([], {}, "m")).not.toThrow();
+    });
+
+    it("reports ragged rows against the first row", () => {
+        expect(catchError(() => throwIfIsNotMatrix([[1, 2], [3]], { element: throwIfIsNotFiniteNumber }, "m"))).toMatchObject({
+            name: "GuardRangeError", code: GUARD_CODES.INVALID_LENGTH, variableName: "m[1]",
+            message: "Expected m[1] to have a length of 2, same as m[0], but got a length of 1."
+        });
+        expect(() => throwIfIsNotTensor([[[1], [2, 3]]], [null, null, null], "t")).toThrow("Expected t[0][1] to have a length of 1, same as t[0][0], but got a length of 2.");
+    });
+
+    it("reports the first bad coordinate", () => {
+        expect(catchError(() => throwIfIsNotMatrix([[1, 2], [3, "4"]], { rows: 2, cols: 2, element: throwIfIsNotFiniteNumber }, "m")))
+            .toMatchObject({ variableName: "m[1][1]", message: "Expected m[1][1] to be a number, but got string." });
+        expect(() => throwIfIsNotTensor([[1, NaN]], { shape: [1, 2], element: throwIfIsNotFiniteNumber }, "t")).toThrow("Expected t[0][1] to be a finite number, but got NaN.");
+        expect(collectGuardIssues(() => throwIfIsNotMatrix([["a", 1], [2, "b"]], { element: throwIfIsNotNumber }, "m")).issues.map(({ path }) => path)).toEqual(["m[0][0]", "m[1][1]"]);
+    });
+
+    it("reports wrong dimensions", () => {
+        expect(() => throwIfIsNotMatrix([[1, 2]], { rows: 2 }, "m")).toThrow("Expected m to have a length exactly 2, but got a length of 1, which is not at least 2.");
+        expect(() => throwIfIsNotMatrix([[1, 2]], { cols: { max: 1 } }, "m")).toThrow("Expected m[0] to have a length at most 1");
+        expect(() => throwIfIsNotMatrix([1], {}, "m")).toThrow("Expected m[0] to be an array, but got number.");
+        expect(() => throwIfIsNotMatrix([[[1]]], {}, "m")).toThrow("Expected m[0][0] to be a non-array element, but got array.");
+        expect(() => throwIfIsNotTensor([[1], [2]], [{ min: 3 }], "t")).toThrow("Expected t to have a length at least 3");
+    });
+
+    it("rejects malformed shapes", () => {
+        expect(() => throwIfIsNotTensor([[1]], "x", "t")).toThrow(GuardUsageError);
+        expect(() => throwIfIsNotTensor([[1]], [-1, 1], "t")).toThrow(GuardUsageError);
+        expect(() => throwIfIsNotMatrix([[1]], { element: 1 }, "m")).toThrow(GuardUsageError);
+    });
+});
+
+describe("string content guards", () => {
+    it("checks empty and blank strings", () => {
+        expect(catchError(() => throwIfIsNotNonEmptyString("", "s"))).toMatchObject({
+            name: "GuardError", code: GUARD_CODES.EMPTY,
+            message: "Expected s to have at least one character, but got an empty string."
+        });
+        expect(catchError(() => throwIfIsNotNonEmptyString(1, "s"))).toMatchObject({ code: GUARD_CODES.INVALID_TYPE });
+        expect(() => throwIfIsNotNonBlankString(" \t", "s")).toThrow('Expected s to be a non-blank string, but got " \\t".');
+        expect(() => throwIfIsNotNonBlankString(" a ", "s")).not.toThrow();
+    });
+
+    it("matches patterns without touching lastIndex", () => {
+        expect(() => throwIfIsNotStringMatching("abc", /^\d+$/, "code")).toThrow('Expected code to be a string matching /^\\d+$/, but got "abc".');
+        const digit = /\d/g;
+        digit.lastIndex = 5;
+        expect(() => throwIfIsNotStringMatching("a1", digit, "code")).not.toThrow();
+        expect(digit.lastIndex).toBe(5);
+        expect(() => throwIfIsNotStringMatching("a", "a", "code")).toThrow(GuardUsageError);
+    });
+
+    it("covers the validators in validation.js", () => {
+        expect(() => throwIfIsNotIntegerString("-12", "n")).not.toThrow();
+        expect(() => throwIfIsNotIntegerString("1.5", "n")).toThrow('Expected n to be an integer string, but got "1.5".');
+        expect(() => throwIfIsNotUnsignedIntegerString("-1", "n")).toThrow('Expected n to be an unsigned integer string, but got "-1".');
+        expect(() => throwIfIsNotCnNameString("阿依古丽·买买提", "n")).not.toThrow();
+        expect(() => throwIfIsNotCnNameString("Tom", "n")).toThrow('Expected n to be a Chinese name string, but got "Tom".');
+        expect(() => throwIfIsNotDurationString("5s", "n")).not.toThrow();
+        expect(catchError(() => throwIfIsNotDurationString("5x", "n"))).toMatchObject({ name: "GuardTypeError", code: GUARD_CODES.INVALID_VALUE });
+    });
+
+    it("reports the offending element of the array variants", () => {
+        expect(catchError(() => throwIfIsNotNonEmptyStringArray(["a", ""], "xs"))).toMatchObject({
+            code: GUARD_CODES.INVALID_ELEMENT, index: 1,
+            message: "Expected all elements of xs to be non-empty strings, but found an empty string."
+        });
+        expect(() => throwIfIsNotNonBlankStringArray(["a", " "], "xs")).toThrow('but found " ".');
+        expect(() => throwIfIsNotStringMatchingArray(["1", "a"], /^\d$/, "xs")).toThrow('Expected all elements of xs to be strings matching /^\\d$/, but found "a".');
+        expect(() => throwIfIsNotIntegerStringArray(["1", 2], "xs")).toThrow("but found a non-string value of type number.");
+        expect(catchError(() => throwIfIsNotCnNameStringArray(["张三", "Tom"], "xs"))).toMatchObject({ index: 1, received: '"Tom"' });
+        expect(() => throwIfIsNotDurationStringArray(["1s", "2min"], "xs")).not.toThrow();
+        expect(() => throwIfIsNotDurationStringArray("1s", "xs")).toThrow("Expected xs to be an array, but got string.");
+    });
+});
+
+describe("guard combinators", () => {
+    const numeric = anyOf(throwIfIsNotFiniteNumber, isIntegerString);
+
+    it("merges the alternatives of a failed union into one message", () => {
+        expect(() => numeric(1.5, "x")).not.toThrow();
+        expect(() => numeric("12", "x")).not.toThrow();
+        expect(catchError(() => numeric(true, "x"))).toMatchObject({
+            name: "GuardTypeError", code: GUARD_CODES.NO_MATCHING_ALTERNATIVE,
+            message: "Expected x to be a finite number or an integer string, but got boolean."
+        });
+        expect(() => throwIfNotMatchesSchema({ a: true }, { a: numeric }, "o")).toThrow("Expected o.a to be a finite number or an integer string, but got boolean.");
+        expect(() => withGuardLocale("zh-CN", () => numeric(true, "x"))).toThrow("期望 x 为 有限数 或 整数字符串，实际为 布尔值。");
+        expect(unionOf).toBe(anyOf);
+    });
+
+    it("lists each failure when an alternative fails below the variable", () => {
+        expect(() => anyOf(throwIfIsNotString, arrayOf(throwIfIsNotString))([1], "x")).toThrow(
+            "Expected x to match one of 2 alternatives, but got array. (1) Expected x to be string, but got array. (2) Expected x[0] to be string, but got number."
+        );
+    });
+
+    it("requires every schema of an intersection in order", () => {
+        const unsigned = allOf(throwIfIsNotString, isUnsignedIntegerString);
+        expect(() => unsigned("12", "x")).not.toThrow();
+        expect(() => unsigned(1, "x")).toThrow("Expected x to be string, but got number.");
+        expect(() => unsigned("-1", "x")).toThrow('Expected x to be an unsigned integer string, but got "-1".');
+    });
+
+    it("negates schemas and wraps predicates", () => {
+        expect(catchError(() => not(isIntegerString)("12", "id"))).toMatchObject({
+            code: GUARD_CODES.UNEXPECTED_VALUE, message: 'Expected id not to be an integer string, but got "12".'
+        });
+        expect(() => not(isIntegerString)("a", "id")).not.toThrow();
+        expect(() => not(isIntegerString, "a numeric id")("1", "id")).toThrow("Expected id not to be a numeric id");
+        expect(() => predicate(v => v % 2 === 0, "an even number")(3, "count")).toThrow("Expected count to be an even number, but got 3.");
+        expect(() => predicate(v => v > 0)(-1, "x")).toThrow("Expected x to be a value satisfying v => v > 0, but got -1.");
+    });
+
+    it("allows undefined with optional and null with nullable", () => {
+        expect(() => optional(throwIfIsNotArray)(undefined, "x")).not.toThrow();
+        expect(() => optional(throwIfIsNotArray)(null, "x")).toThrow("Expected x to be an array, but got null.");
+        expect(() => nullable(throwIfIsNotArray)(null, "x")).not.toThrow();
+        expect(() => nullable(throwIfIsNotArray)(undefined, "x")).toThrow("Expected x to be an array, but got undefined.");
+    });
+
+    it("rejects arguments that are not schemas", () => {
+        expect(() => anyOf(1)).toThrow(GuardUsageError);
+        expect(() => not("x")).toThrow(GuardUsageError);
+        expect(() => predicate(1)).toThrow(GuardUsageError);
+    });
+});
+
+describe("async guards", () => {
+    it("checks thenables and async iterables", () => {
+        expect(() => throwIfIsNotPromiseLike({ then: 1 }, "v")).toThrow("Expected v to be a promise-like value, but got object.");
+        expect(() => throwIfIsNotAsyncIterable((async function* () { })(), "v")).not.toThrow();
+        expect(() => throwIfIsNotAsyncIterable([1], "v")).toThrow("Expected v to be an async iterable, but got array.");
+        expect(() => throwIfIsNotAsyncIterable(null, "v")).toThrow(GuardTypeError);
+    });
+
+    it("resolves with values that pass the guard and rejects otherwise", async () => {
+        await expect(awaitAndGuard(Promise.resolve(3), throwIfIsNotNonNegativeInteger, { name: "count" })).resolves.toBe(3);
+        await expect(awaitAndGuard({ then: resolve => resolve(1) }, throwIfIsNotNumber)).resolves.toBe(1);
+        await expect(awaitAndGuard(Promise.resolve(-1), throwIfIsNotNonNegativeInteger, { name: "count" }))
+            .rejects.toThrow("Expected count to be a non-negative integer, but got -1.");
+        await expect(awaitAndGuard(Promise.resolve("1"), throwIfIsNotNumber)).rejects.toThrow('Expected resolved value to be a number, but got "1".');
+        await expect(awaitAndGuard(Promise.reject(new Error("boom")), throwIfIsNotNumber, { timeout: "5s" })).rejects.toThrow("boom");
+        await expect(awaitAndGuard(1, throwIfIsNotNumber)).rejects.toThrow("Expected promise to be a promise-like value, but got number.");
+    });
+
+    it("rejects with a timeout error when the promise does not settle in time", async () => {
+        const pending = new Promise(() => { });
+        await expect(awaitAndGuard(pending, throwIfIsNotNumber, { timeout: 10, name: "count" })).rejects.toMatchObject({
+            name: "GuardTimeoutError", code: GUARD_CODES.TIMEOUT,
+            message: "Expected count to settle within 10ms, but it did not."
+        });
+        await expect(awaitAndGuard(pending, throwIfIsNotNumber, { timeout: "10ms" })).rejects.toThrow(GuardTimeoutError);
+    });
+
+    it("rejects timeouts setTimeout cannot represent", async () => {
+        await expect(awaitAndGuard(Promise.resolve(1), throwIfIsNotNumber, { timeout: 2147483647 })).resolves.toBe(1);
+        await expect(awaitAndGuard(Promise.resolve(1), throwIfIsNotNumber, { timeout: 2147483648 })).rejects.toThrow(GuardUsageError);
+        await expect(awaitAndGuard(Promise.resolve(1), throwIfIsNotNumber, { timeout: "25d" })).rejects.toThrow(GuardUsageError);
+        await expect(awaitAndGuard(Promise.resolve(1), throwIfIsNotNumber, { timeout: "soon" })).rejects.toThrow(GuardUsageError);
+    });
+
+    it("follows the guard mode", async () => {
+        const logger = vi.fn();
+        const previous = setGuardLogger(logger);
+        try {
+            await expect(withGuardMode("warn", () => awaitAndGuard(Promise.resolve("x"), throwIfIsNotNumber))).resolves.toBe("x");
+            expect(logger).toHaveBeenCalledTimes(1);
+            await expect(withGuardMode("off", () => awaitAndGuard(Promise.resolve("x"), throwIfIsNotNumber))).resolves.toBe("x");
+            expect(logger).toHaveBeenCalledTimes(1);
+        } finally {
+            setGuardLogger(previous);
+        }
+    });
+});
+
+describe("throwIfIsNotDeepEqual", () => {
+    it("reports the first differing path", () => {
+        expect(() => throwIfIsNotDeepEqual({ a: [1, 2] }, { a: [1, 2] }, "cfg")).not.toThrow();
+        expect(catchError(() => throwIfIsNotDeepEqual({ a: [1, 2] }, { a: [1, 3] }, "cfg"))).toMatchObject({
+            name: "GuardError", code: GUARD_CODES.NOT_DEEP_EQUAL, variableName: "cfg.a[1]",
+            message: "Expected cfg to deeply equal the expected value, but cfg.a[1] differs: expected 3, got 2."
+        });
+        expect(() => throwIfIsNotDeepEqual(1, 2, "n")).toThrow("Expected n to deeply equal the expected value, but it differs: expected 2, got 1.");
+        expect(() => throwIfIsNotDeepEqual(new Map([["k", 1]]), new Map([["k", 2]]), "m")).toThrow('but m.get("k") differs: expected 2, got 1.');
+    });
+
+    it("describes missing and extra entries", () => {
+        expect(() => throwIfIsNotDeepEqual({ a: 1 }, {}, "o")).toThrow("but o.a differs: expected no such property, got 1.");
+        expect(() => throwIfIsNotDeepEqual({}, { a: 1 }, "o")).toThrow("but o.a differs: expected 1, got a missing property.");
+        expect(() => throwIfIsNotDeepEqual(new Set([1, 3]), new Set([1, 2]), "ids")).toThrow("but it differs: expected member 2, got no such member.");
+        expect(() => withGuardLocale("zh-CN", () => throwIfIsNotDeepEqual({ a: 1 }, {}, "o"))).toThrow("期望 o 与期望值深度相等，但 o.a 不同：期望 无此属性，实际为 1。");
+    });
+
+    it("passes options to the comparison", () => {
+        class Foo { }
+        expect(() => throwIfIsNotDeepEqual(new Foo(), {}, "o")).not.toThrow();
+        expect(() => throwIfIsNotDeepEqual(new Foo(), {}, "o", { strict: true })).toThrow("expected an object with prototype Object, got an object with prototype Foo.");
+        expect(() => throwIfIsNotDeepEqual(1, 1, "o", { foo: true })).toThrow(GuardUsageError);
+    });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { GuardKeyError } from "../src/guard.js";
+import { forwardFill } from "../src/missingData.js";
+
+describe("forwardFill", () => {
+    it("fills invalid values forward", () => {
+        expect(forwardFill([1, undefined, 3], { len: 5 })).toEqual([1, 1, 3, 3, 3]);
+        expect(forwardFill([undefined, 1, undefined])).toEqual([1, 1]);
+        expect(forwardFill("abc", { len: 2 })).toEqual(["abc", "abc"]);
+        expect(forwardFill(null, { len: 2, invalidityChecker: null, defaultValue: 0 })).toEqual([0, 0]);
+        expect(forwardFill([1, 2], { len: 0 })).toEqual([]);
+    });
+
+    it("rejects unknown and misspelled options", () => {
+        expect(() => forwardFill([1], { lenght: 2 })).toThrow(GuardKeyError);
+        expect(() => forwardFill([1], { len: -1 })).toThrow(RangeError);
+    });
+
+    it("reads known options from non-plain objects without checking unknown keys", () => {
+        class Options {
+            constructor() {
+                this.extra = true;
+            }
+            get len() {
+                return 3;
+            }
+        }
+        expect(forwardFill([1], new Options())).toEqual([1, 1, 1]);
+    });
+
+    it("treats defaultValue as valid unless checkDefaultValue is set", () => {
+        expect(forwardFill([undefined, 2], { defaultValue: undefined })).toEqual([undefined, 2]);
+        expect(forwardFill([null, 2], { invalidityChecker: null, defaultValue: null, len: 3 })).toEqual([null, 2, 2]);
+        expect(forwardFill([undefined, 2], { defaultValue: undefined, checkDefaultValue: true })).toEqual([2]);
+    });
+});
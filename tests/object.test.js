@@ -0,0 +1,567 @@
+import { describe, expect, it, vi } from "vitest";
+import { applyPatch, deepClone, deepFreeze, deepMerge, diff, getPath, hasPath, history, makePropertyReadOnly, mergeOptions, observe, PatchError, readonlyView, registerCloner, setPath, unregisterCloner, unsetPath } from "../src/object.js";
+import { isDeepEqual } from "../src/type.js";
+
+describe("observe", () => {
+    it("delivers the changes of one microtask as a single batch", async () => {
+        const batches = [];
+        const state = observe({ db: { hosts: ["a"] } }, changes => batches.push(changes));
+        state.db.hosts.push("b");
+        state.db.port = 5432;
+        expect(batches).toEqual([]);
+        await Promise.resolve();
+        expect(batches).toEqual([[
+            { operation: "splice", path: ["db", "hosts", 1], oldValue: [], newValue: ["b"], method: "push" },
+            { operation: "add", path: ["db", "port"], oldValue: undefined, newValue: 5432 }
+        ]]);
+    });
+
+    it("records Map and Set edits", async () => {
+        let changes;
+        const state = observe({ m: new Map([["k", 1]]), s: new Set(["a"]) }, batch => changes = batch);
+        state.m.set("k", 2);
+        state.m.delete("k");
+        state.s.add("b");
+        state.s.clear();
+        await Promise.resolve();
+        expect(changes.map(({ operation, path }) => [operation, path])).toEqual([
+            ["set", ["m", "k"]],
+            ["delete", ["m", "k"]],
+            ["add", ["s", "b"]],
+            ["clear", ["s"]]
+        ]);
+    });
+});
+
+describe("history", () => {
+    it("undoes and redoes array splices", () => {
+        const { state, undo, redo } = history({ list: [1, 2, 3, 4] });
+        state.list.splice(1, 2, "x");
+        state.list.push(5);
+        state.list.reverse();
+        expect(state.list).toEqual([5, 4, "x", 1]);
+        expect(undo()).toBe(true);
+        expect(state.list).toEqual([1, "x", 4, 5]);
+        expect(undo()).toBe(true);
+        expect(undo()).toBe(true);
+        expect(state.list).toEqual([1, 2, 3, 4]);
+        expect(undo()).toBe(false);
+        expect(redo()).toBe(true);
+        expect(redo()).toBe(true);
+        expect(state.list).toEqual([1, "x", 4, 5]);
+    });
+
+    it("undoes and redoes Map and Set edits", () => {
+        const { state, undo, redo } = history({ m: new Map([["a", 1]]), s: new Set([1, 2]) });
+        state.m.set("a", 2);
+        state.m.set("b", 3);
+        state.s.delete(1);
+        state.s.clear();
+        while (undo());
+        expect([...state.m]).toEqual([["a", 1]]);
+        expect([...state.s].sort()).toEqual([1, 2]);
+        while (redo());
+        expect([...state.m]).toEqual([["a", 2], ["b", 3]]);
+        expect(state.s.size).toBe(0);
+    });
+
+    it("undoes and redoes Set additions of primitives and objects", () => {
+        const member = { id: 1 };
+        const { state, undo, redo } = history({ s: new Set() });
+        state.s.add(5);
+        state.s.add(member);
+        expect(undo()).toBe(true);
+        expect([...state.s]).toEqual([5]);
+        expect(undo()).toBe(true);
+        expect(state.s.size).toBe(0);
+        expect(redo()).toBe(true);
+        expect(redo()).toBe(true);
+        expect(state.s.has(5)).toBe(true);
+        expect(state.s.has(member)).toBe(true);
+    });
+
+    it("undoes edits inside Set members", () => {
+        const member = { x: 1 };
+        const h = history({ s: new Set([member]) });
+        for (const item of h.state.s) item.x = 2;
+        expect(h.undo()).toBe(true);
+        expect(member.x).toBe(1);
+        expect(h.canRedo).toBe(true);
+        expect(h.redo()).toBe(true);
+        expect(member.x).toBe(2);
+    });
+
+    it("keeps at most limit steps", () => {
+        const { state, undo } = history({ n: 0 }, { limit: 2 });
+        state.n = 1;
+        state.n = 2;
+        state.n = 3;
+        expect(undo()).toBe(true);
+        expect(undo()).toBe(true);
+        expect(undo()).toBe(false);
+        expect(state.n).toBe(1);
+    });
+
+    it("clears the redo stack after a new change", () => {
+        const h = history({ n: 0 });
+        h.state.n = 1;
+        h.undo();
+        expect(h.canRedo).toBe(true);
+        h.state.n = 2;
+        expect(h.canRedo).toBe(false);
+        expect(h.redo()).toBe(false);
+    });
+
+    it("merges a transaction into one step", () => {
+        const { state, undo, redo, transaction } = history({ title: "a", tags: [] });
+        const result = transaction(() => {
+            state.title = "b";
+            state.tags.push("x");
+            return "done";
+        });
+        expect(result).toBe("done");
+        undo();
+        expect(state).toEqual({ title: "a", tags: [] });
+        redo();
+        expect(state).toEqual({ title: "b", tags: ["x"] });
+    });
+
+    it("rolls back a transaction that throws", () => {
+        const h = history({ n: 0, list: [1] });
+        const error = new Error("boom");
+        expect(() => h.transaction(() => {
+            h.state.n = 1;
+            h.state.list.push(2);
+            throw error;
+        })).toThrow(error);
+        expect(h.state).toEqual({ n: 0, list: [1] });
+        expect(h.canUndo).toBe(false);
+    });
+
+    it("notifies observe listeners of undone changes", async () => {
+        const batches = [];
+        const state = observe({ n: 0 }, changes => batches.push(changes));
+        const { undo } = history(state);
+        state.n = 1;
+        undo();
+        await Promise.resolve();
+        expect(batches[0].map(({ newValue }) => newValue)).toEqual([1, 0]);
+    });
+});
+
+describe("path utilities", () => {
+    it("reads nested values with a default for missing paths", () => {
+        const obj = { a: { b: [{ c: 1 }] }, n: null };
+        expect(getPath(obj, "a.b[0].c")).toBe(1);
+        expect(getPath(obj, ["a", "b", 0, "c"])).toBe(1);
+        expect(getPath(obj, "n.x", "none")).toBe("none");
+        expect(getPath(obj, "a.missing.c", "none")).toBe("none");
+    });
+
+    it("checks paths with the in operator", () => {
+        expect(hasPath({ a: { b: undefined } }, "a.b")).toBe(true);
+        expect(hasPath({ a: { b: undefined } }, "a.b.c")).toBe(false);
+        expect(hasPath({ a: "text" }, "a.length")).toBe(true);
+    });
+
+    it("creates missing containers when setting", () => {
+        const obj = setPath({}, "a.list[1].name", "x");
+        expect(Array.isArray(obj.a.list)).toBe(true);
+        expect(obj.a.list[1]).toEqual({ name: "x" });
+        expect(() => setPath({ a: 1 }, "a.b", 2)).toThrow(TypeError);
+        expect(() => setPath({}, "", 1)).toThrow();
+    });
+
+    it("never writes through __proto__ or inherited constructors", () => {
+        const obj = setPath({}, "__proto__.polluted", true);
+        setPath(obj, "constructor.prototype.polluted", true);
+        expect({}.polluted).toBeUndefined();
+        expect(Object.prototype.polluted).toBeUndefined();
+        expect(Object.hasOwn(obj, "__proto__")).toBe(true);
+        expect(Object.hasOwn(obj, "constructor")).toBe(true);
+    });
+
+    it("unsets own properties only", () => {
+        const obj = { db: { port: 80 }, list: [1, 2] };
+        expect(unsetPath(obj, "db.port")).toBe(true);
+        expect(obj).toEqual({ db: {}, list: [1, 2] });
+        expect(unsetPath(obj, "db.port")).toBe(false);
+        expect(unsetPath(obj, "db.toString")).toBe(false);
+        expect(unsetPath(obj, "list[0]")).toBe(true);
+        expect(0 in obj.list).toBe(false);
+        expect(obj.list.length).toBe(2);
+    });
+});
+
+describe("deepMerge", () => {
+    it("merges nested objects and copies source containers", () => {
+        const source = { server: { host: "0.0.0.0", tags: ["a"] } };
+        const target = deepMerge({ server: { port: 80 } }, source);
+        expect(target).toEqual({ server: { port: 80, host: "0.0.0.0", tags: ["a"] } });
+        expect(target.server.tags).not.toBe(source.server.tags);
+    });
+
+    it("applies array strategies globally and per path", () => {
+        expect(deepMerge({ a: [1, 2] }, { a: [2, 3] })).toEqual({ a: [2, 3] });
+        expect(deepMerge({ a: [1, 2] }, { a: [2, 3] }, mergeOptions({ arrays: "concat" }))).toEqual({ a: [1, 2, 2, 3] });
+        expect(deepMerge({ a: [1, { x: 1 }] }, { a: [{ x: 1 }, 3] }, mergeOptions({ arrays: "union" }))).toEqual({ a: [1, { x: 1 }, 3] });
+        const merged = deepMerge(
+            { plugins: [{ name: "log", level: 1 }] },
+            { plugins: [{ name: "log", level: 2 }, { name: "gzip" }] },
+            mergeOptions({ paths: { plugins: { mergeBy: "name" } } })
+        );
+        expect(merged).toEqual({ plugins: [{ name: "log", level: 2 }, { name: "gzip" }] });
+    });
+
+    it("calls per-path merge functions and falls back when they return undefined", () => {
+        const merged = deepMerge(
+            { services: { a: { ports: [80] }, b: { ports: [1] } } },
+            { services: { a: { ports: [443] }, b: { ports: [2] } } },
+            mergeOptions({ paths: { "services.*.ports": (target, source, { path }) => path === "services.a.ports" ? [...target, ...source] : undefined } })
+        );
+        expect(merged).toEqual({ services: { a: { ports: [80, 443] }, b: { ports: [2] } } });
+    });
+
+    it("handles undefined values as configured", () => {
+        expect(deepMerge({ a: 1 }, { a: undefined })).toEqual({ a: 1 });
+        expect(deepMerge({ a: 1 }, { a: undefined }, mergeOptions({ undefinedValues: "overwrite" }))).toEqual({ a: undefined });
+        expect(deepMerge({ a: 1, b: 2 }, { a: undefined }, mergeOptions({ undefinedValues: "delete" }))).toEqual({ b: 2 });
+    });
+
+    it("preserves descriptors without calling accessors", () => {
+        const get = vi.fn(() => 1);
+        const source = Object.defineProperties({}, { hidden: { value: 1, enumerable: false }, computed: { get, enumerable: true } });
+        const target = deepMerge({}, source, mergeOptions({ descriptors: true }));
+        expect(get).not.toHaveBeenCalled();
+        expect(Object.getOwnPropertyDescriptor(target, "hidden")).toMatchObject({ value: 1, enumerable: false });
+        expect(Object.getOwnPropertyDescriptor(target, "computed").get).toBe(get);
+    });
+
+    it("ignores __proto__ and does not walk into inherited constructor", () => {
+        const target = deepMerge({}, JSON.parse('{"__proto__": {"polluted": true}, "constructor": {"prototype": {"polluted": true}}}'));
+        expect({}.polluted).toBeUndefined();
+        expect(Object.prototype.polluted).toBeUndefined();
+        expect(Object.getPrototypeOf(target)).toBe(Object.prototype);
+        expect(Object.hasOwn(target, "constructor")).toBe(true);
+    });
+
+    it("merges plain objects whose keys look like options as data", () => {
+        expect(deepMerge({ a: [1] }, { a: [2] }, { arrays: "concat" })).toEqual({ a: [2], arrays: "concat" });
+        expect(deepMerge({}, { name: "app", arrays: [1] })).toEqual({ name: "app", arrays: [1] });
+    });
+
+    it("leaves the target untouched when the guard fails", () => {
+        const server = { port: 80 };
+        const target = { server, list: [1] };
+        const options = mergeOptions({ guard: { server: { port: Number.isInteger }, list: Array.isArray } });
+        expect(() => deepMerge(target, { server: { port: "x" }, list: [2], extra: 1 }, options)).toThrow(TypeError);
+        expect(target).toEqual({ server: { port: 80 }, list: [1] });
+        expect(target.server).toBe(server);
+        expect(deepMerge(target, { server: { host: "h" } }, options)).toBe(target);
+        expect(target.server).toBe(server);
+        expect(server).toEqual({ port: 80, host: "h" });
+    });
+
+    it("links source cycles back to the target after a guarded merge", () => {
+        const source = { child: {} };
+        source.child.parent = source;
+        const target = deepMerge({ gone: 1 }, { gone: undefined }, source, mergeOptions({ undefinedValues: "delete", guard: { child: { parent: Object } } }));
+        expect(target.child.parent).toBe(target);
+        expect("gone" in target).toBe(false);
+    });
+});
+
+/**
+ * 固定种子的伪随机数生成器，使随机用例可以复现
+ */
+const createRandom = (seed) => () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+describe("diff and applyPatch", () => {
+    it("produces the documented patch", () => {
+        expect(diff({ list: [1, 2, 3], name: "a" }, { list: [3, 1, 2], name: "b", tag: "x" })).toEqual([
+            { op: "move", from: "/list/2", path: "/list/0" },
+            { op: "replace", path: "/name", value: "b" },
+            { op: "add", path: "/tag", value: "x" }
+        ]);
+        expect(diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toEqual([]);
+    });
+
+    it("round-trips random arrays with every option combination", () => {
+        const random = createRandom(7);
+        const pick = () => {
+            const r = random();
+            if (r < 0.5) return Math.floor(random() * 6);
+            if (r < 0.8) return { id: Math.floor(random() * 4), tags: [Math.floor(random() * 2)] };
+            return [Math.floor(random() * 3)];
+        };
+        const sample = () => Array.from({ length: Math.floor(random() * 9) }, pick);
+        for (let i = 0; i < 300; i++) {
+            const a = { list: sample(), nested: { list: sample() } };
+            const b = { list: sample(), nested: { list: sample() } };
+            for (const moves of [true, false]) {
+                for (const test of [true, false]) {
+                    const operations = diff(a, b, { moves, test });
+                    expect(applyPatch(a, operations)).toEqual(b);
+                    if (!moves) expect(operations.some(({ op }) => op === "move")).toBe(false);
+                }
+            }
+        }
+    });
+
+    it("moves only the elements that changed place", () => {
+        const a = Array.from({ length: 40 }, (_, i) => i);
+        const b = [...a];
+        b.splice(20, 0, ...b.splice(2, 3));
+        const operations = diff(a, b);
+        expect(operations.filter(({ op }) => op === "move")).toHaveLength(3);
+        expect(operations).toHaveLength(3);
+        expect(applyPatch(a, operations)).toEqual(b);
+    });
+
+    it("guards removed and moved values with test operations", () => {
+        const operations = diff({ list: [1, 2, 3] }, { list: [3, 1] }, { test: true });
+        expect(operations.filter(({ op }) => op === "test").length).toBeGreaterThan(0);
+        expect(() => applyPatch({ list: [1, 5, 3] }, operations)).toThrow(PatchError);
+    });
+
+    it("replaces by position when the arrays differ beyond the edit budget", () => {
+        const a = Array.from({ length: 1500 }, (_, i) => i);
+        const b = [...a].reverse();
+        const operations = diff(a, b);
+        expect(operations.some(({ op }) => op === "move")).toBe(false);
+        expect(operations.every(({ op }) => op === "replace")).toBe(true);
+        expect(applyPatch(a, operations)).toEqual(b);
+    });
+
+    it("rolls back every applied operation when one fails", () => {
+        const state = { todos: [{ done: false }], count: 1 };
+        const snapshot = deepClone(state);
+        let error;
+        try {
+            applyPatch(state, [
+                { op: "replace", path: "/count", value: 2 },
+                { op: "remove", path: "/todos/0" },
+                { op: "test", path: "/todos/0", value: {} }
+            ], { mutate: true });
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(PatchError);
+        expect(error.index).toBe(2);
+        expect(error.operation).toEqual({ op: "test", path: "/todos/0", value: {} });
+        expect(state).toEqual(snapshot);
+    });
+
+    it("leaves the input untouched unless mutate is set", () => {
+        const state = { a: 1 };
+        expect(applyPatch(state, [{ op: "replace", path: "/a", value: 2 }])).toEqual({ a: 2 });
+        expect(state).toEqual({ a: 1 });
+        expect(applyPatch(state, [{ op: "replace", path: "", value: 3 }])).toBe(3);
+    });
+
+    it("treats __proto__ as an ordinary key", () => {
+        const data = JSON.parse('{"__proto__": 1}');
+        expect(diff({}, data)).toEqual([{ op: "add", path: "/__proto__", value: 1 }]);
+        const result = applyPatch({}, [{ op: "add", path: "/__proto__", value: { polluted: true } }]);
+        expect(Object.hasOwn(result, "__proto__")).toBe(true);
+        expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+        expect({}.polluted).toBeUndefined();
+        expect(() => applyPatch({}, [{ op: "add", path: "/__proto__/polluted", value: true }])).toThrow(PatchError);
+        expect(() => applyPatch({}, [{ op: "add", path: "/constructor/prototype/polluted", value: true }])).toThrow(PatchError);
+        expect(Object.prototype.polluted).toBeUndefined();
+    });
+});
+
+describe("deepClone", () => {
+    it("copies built-ins and keeps cyclic and shared references", () => {
+        const source = { date: new Date(0), tags: new Set(["a"]), lookup: new Map([[{ k: 1 }, [1]]]), pattern: /a/g, bytes: new Uint8Array([1, 2]) };
+        source.pattern.lastIndex = 1;
+        source.self = source;
+        const copy = deepClone(source);
+        expect(isDeepEqual(copy, source)).toBe(true);
+        expect(copy.self).toBe(copy);
+        for (const key of ["date", "tags", "lookup", "pattern", "bytes"]) expect(copy[key]).not.toBe(source[key]);
+        expect(copy.pattern.lastIndex).toBe(1);
+        const buffer = new ArrayBuffer(4);
+        const [bytes, view] = deepClone([new Uint8Array(buffer), new DataView(buffer, 1)]);
+        expect(bytes.buffer).toBe(view.buffer);
+        expect(bytes.buffer).not.toBe(buffer);
+        expect(view.byteOffset).toBe(1);
+    });
+
+    it("clones errors with their message and cause", () => {
+        const error = new TypeError("bad", { cause: { x: 1 } });
+        const copy = deepClone(error);
+        expect(copy).toBeInstanceOf(TypeError);
+        expect(copy.message).toBe("bad");
+        expect(copy.cause).toEqual({ x: 1 });
+        expect(copy.cause).not.toBe(error.cause);
+    });
+
+    it("keeps uncloneable values by reference", () => {
+        const weak = new WeakMap();
+        const fn = () => 1;
+        const copy = deepClone({ weak, fn });
+        expect(copy.weak).toBe(weak);
+        expect(copy.fn).toBe(fn);
+    });
+
+    it("keeps or drops prototypes", () => {
+        class Point {
+            constructor(x) {
+                this.x = x;
+            }
+            get double() {
+                return this.x * 2;
+            }
+        }
+        class TaggedMap extends Map { }
+        expect(deepClone(new Point(1)).double).toBe(2);
+        expect(deepClone(new Point(1), { keepPrototype: false })).not.toBeInstanceOf(Point);
+        expect(deepClone(new TaggedMap([[1, 2]]))).toBeInstanceOf(TaggedMap);
+        expect(deepClone(new TaggedMap([[1, 2]]), { keepPrototype: false }).constructor).toBe(Map);
+        const bare = Object.assign(Object.create(null), { a: 1 });
+        expect(Object.getPrototypeOf(deepClone(bare))).toBe(null);
+        expect(Object.getPrototypeOf(deepClone(bare, { keepPrototype: false }))).toBe(Object.prototype);
+    });
+
+    it("copies descriptors, accessors and extensibility on request", () => {
+        let calls = 0;
+        const source = {
+            get value() {
+                calls++;
+                return 1;
+            }
+        };
+        Object.defineProperty(source, "hidden", { value: 2, enumerable: false });
+        const copy = deepClone(source, { descriptors: true });
+        expect(calls).toBe(0);
+        expect(typeof Object.getOwnPropertyDescriptor(copy, "value").get).toBe("function");
+        expect(copy.hidden).toBe(2);
+        expect(deepClone(source).hidden).toBeUndefined();
+        const config = { port: 80 };
+        makePropertyReadOnly(config, "port");
+        expect(Object.getOwnPropertyDescriptor(deepClone(config, { descriptors: true }), "port").writable).toBe(false);
+        expect(Object.getOwnPropertyDescriptor(deepClone(config), "port").writable).toBe(true);
+        expect(Object.isFrozen(deepClone(Object.freeze({ a: 1 }), { descriptors: true }))).toBe(true);
+        expect(Object.isFrozen(deepClone(Object.freeze({ a: 1 })))).toBe(false);
+    });
+
+    it("uses cloners registered for a class and its subclasses", () => {
+        class Point {
+            #secret = 1;
+            constructor(x, meta) {
+                this.x = x;
+                this.meta = meta;
+            }
+            get secret() {
+                return this.#secret;
+            }
+        }
+        class Point3D extends Point { }
+        registerCloner(Point, (p, clone) => new Point(p.x, clone(p.meta)));
+        try {
+            const point = new Point(1, { a: 1 });
+            const copy = deepClone({ p: point, q: point, r: new Point3D(2, {}) });
+            expect(copy.p).toBe(copy.q);
+            expect(copy.p).not.toBe(point);
+            expect(copy.p.meta).not.toBe(point.meta);
+            expect(copy.p.secret).toBe(1);
+            expect(copy.r).toBeInstanceOf(Point);
+        } finally {
+            expect(unregisterCloner(Point)).toBe(true);
+        }
+        expect(unregisterCloner(Point)).toBe(false);
+    });
+
+    it("rejects malformed options and cloners", () => {
+        expect(() => deepClone(1, { descriptors: 1 })).toThrow("Expected options.descriptors to be a boolean, but got number.");
+        expect(() => deepClone(1, { foo: true })).toThrow('Unknown key "foo" in options');
+        expect(() => registerCloner(1, () => 1)).toThrow(TypeError);
+    });
+});
+
+describe("deepFreeze", () => {
+    it("freezes nested values and collection contents", () => {
+        const key = { k: 1 };
+        const config = { db: { hosts: ["a"] }, lookup: new Map([[key, { v: 1 }]]), tags: new Set([{ x: 1 }]) };
+        expect(deepFreeze(config)).toBe(config);
+        expect(Object.isFrozen(config.db.hosts)).toBe(true);
+        expect(() => config.db.hosts.push("b")).toThrow(TypeError);
+        expect(Object.isFrozen(key)).toBe(true);
+        expect(Object.isFrozen(config.lookup.get(key))).toBe(true);
+        expect(Object.isFrozen([...config.tags][0])).toBe(true);
+        expect(deepFreeze(3)).toBe(3);
+    });
+
+    it("blocks mutators of Map, Set and Date", () => {
+        const value = deepFreeze({ lookup: new Map(), tags: new Set(), at: new Date(0) });
+        expect(() => value.lookup.set(1, 1)).toThrow("Cannot call set() on a frozen Map.");
+        expect(() => value.lookup.clear()).toThrow("Cannot call clear() on a frozen Map.");
+        expect(() => value.tags.add(1)).toThrow("Cannot call add() on a frozen Set.");
+        expect(() => value.at.setTime(1)).toThrow("Cannot call setTime() on a frozen Date.");
+        expect(value.at.getTime()).toBe(0);
+    });
+
+    it("skips accessors and typed arrays and handles cycles", () => {
+        const getter = vi.fn(() => ({}));
+        const value = { bytes: new Uint8Array(2) };
+        Object.defineProperty(value, "lazy", { get: getter, enumerable: true });
+        value.self = value;
+        deepFreeze(value);
+        expect(getter).not.toHaveBeenCalled();
+        expect(Object.isFrozen(value)).toBe(true);
+        value.bytes[0] = 5;
+        expect(value.bytes[0]).toBe(5);
+    });
+});
+
+describe("readonlyView", () => {
+    it("rejects every kind of write with the full path", () => {
+        const config = { db: { hosts: ["a"] } };
+        const view = readonlyView(config, "config");
+        expect(() => { view.db.hosts[0] = "b"; }).toThrow("Cannot assign to config.db.hosts[0]: config is a read-only view.");
+        expect(() => { delete view.db; }).toThrow("Cannot delete config.db: config is a read-only view.");
+        expect(() => Object.defineProperty(view, "x", { value: 1 })).toThrow("Cannot define config.x");
+        expect(() => Object.setPrototypeOf(view, null)).toThrow("Cannot set the prototype of config");
+        expect(() => Object.preventExtensions(view)).toThrow("Cannot prevent extensions of config");
+        expect(() => readonlyView(1)).toThrow("Expected obj to be an object, but got number.");
+    });
+
+    it("reflects changes to the original object", () => {
+        const config = { db: { hosts: ["a"] } };
+        const view = readonlyView(config, "config");
+        config.db.hosts[0] = "b";
+        expect(view.db.hosts[0]).toBe("b");
+        expect(view.db).toBe(view.db);
+    });
+
+    it("wraps Map keys and values and unwraps keys passed back", () => {
+        const key = { k: 1 };
+        const weak = new WeakMap([[key, { deep: 1 }]]);
+        const view = readonlyView({ lookup: new Map([[key, { v: 1 }]]), weak }, "config");
+        const viewKey = [...view.lookup.keys()][0];
+        expect(viewKey).not.toBe(key);
+        expect(() => { viewKey.k = 2; }).toThrow("Cannot assign to config.lookup.keys().k");
+        expect(view.lookup.has(viewKey)).toBe(true);
+        expect(() => { view.lookup.get(viewKey).v = 2; }).toThrow('Cannot assign to config.lookup.get({"k": 1}).v');
+        expect(() => view.lookup.set(1, 1)).toThrow("Cannot call set() on config.lookup");
+        expect(view.weak.has(viewKey)).toBe(true);
+        expect(() => { view.weak.get(viewKey).deep = 2; }).toThrow('Cannot assign to config.weak.get({"k": 1}).deep');
+        expect(() => view.weak.set(key, 1)).toThrow("Cannot call set() on config.weak");
+    });
+
+    it("keeps typed arrays and dates read-only", () => {
+        const view = readonlyView({ bytes: new Uint8Array([1, 2, 3]), at: new Date(0) }, "config");
+        const tail = view.bytes.subarray(1);
+        expect(tail[0]).toBe(2);
+        expect(() => { tail[0] = 9; }).toThrow("Cannot assign to config.bytes.subarray()[0]");
+        expect(() => view.bytes.fill(0)).toThrow("Cannot call fill() on config.bytes");
+        let received;
+        view.bytes.forEach((item, index, array) => { received = array; });
+        expect(received).toBe(view.bytes);
+        expect([...view.bytes.map(item => item * 2)]).toEqual([2, 4, 6]);
+        expect(() => view.at.setTime(3)).toThrow("Cannot call setTime() on config.at");
+        expect(view.at.getTime()).toBe(0);
+    });
+});
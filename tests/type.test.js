@@ -0,0 +1,306 @@
+import { describe, expect, it } from "vitest";
+import { throwIfIsNotPlainObject, throwIfIsNotString, withGuardLocale } from "../src/guard.js";
+import { describeType, deserialize, findDeepDifference, isDeepEqual, registerSerializableClass, registerSerializer, serialize, setStringifyDefaults, stringify, unregisterSerializableClass, unregisterSerializer } from "../src/type.js";
+
+describe("stringify", () => {
+    const range = (length) => Array.from({ length }, (_, i) => i);
+
+    it("keeps the single-line output and collapse thresholds by default", () => {
+        expect(stringify({ b: [1, 2], a: "x" })).toBe('{"b": [1, 2], "a": "x"}');
+        expect(stringify(range(10))).toBe("[0, 1, 2, 3, 4, 5, 6, 7, 8, 9]");
+        expect(stringify(range(11))).toBe("Array(11)");
+        expect(stringify(new Set(range(11)))).toBe("Set(11)");
+        expect(stringify(new Int8Array(11))).toBe("Int8Array {0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0}");
+        expect(stringify(new Int8Array(12))).toBe("[Int8Array]");
+        const cyclic = {};
+        cyclic.self = cyclic;
+        expect(stringify(cyclic)).toBe('{"self": [Circular]}');
+    });
+
+    it("limits depth, items and string length", () => {
+        expect(stringify({ a: { b: { c: 1 } } }, { maxDepth: 1 })).toBe('{"a": {"b": [Object]}}');
+        expect(stringify([[[1]]], { maxDepth: 0 })).toBe("[Array(1)]");
+        expect(stringify([1, 2, 3], { maxItems: 2 })).toBe("Array(3)");
+        expect(stringify(range(11), { maxItems: Infinity })).toBe(`[${range(11).join(", ")}]`);
+        expect(stringify("abcdef", { maxStringLength: 3 })).toBe('"abc…"');
+    });
+
+    it("indents, sorts keys and shows symbol keys on request", () => {
+        expect(stringify({ b: [1, 2], a: "x" }, { sortKeys: true, indent: 2 })).toBe('{\n  "a": "x",\n  "b": [\n    1,\n    2\n  ]\n}');
+        expect(stringify(new Map([[1, 2]]), { indent: "\t" })).toBe("Map {\n\t1 => 2\n}");
+        const key = Symbol("k");
+        expect(stringify({ [key]: 1, a: 2 })).toBe('{"a": 2}');
+        expect(stringify({ [key]: 1, a: 2 }, { symbolKeys: true })).toBe('{"a": 2, [Symbol(k)]: 1}');
+    });
+
+    it("shows accessors without invoking them", () => {
+        let calls = 0;
+        const value = {
+            get x() {
+                calls++;
+                return 1;
+            },
+            set y(_) { },
+            get z() {
+                return 1;
+            },
+            set z(_) { }
+        };
+        expect(stringify(value, { invokeGetters: false })).toBe('{"x": [Getter], "y": [Setter], "z": [Getter/Setter]}');
+        expect(calls).toBe(0);
+        expect(stringify(value)).toBe('{"x": 1, "y": undefined, "z": 1}');
+        expect(calls).toBe(1);
+    });
+
+    it("changes and restores the defaults", () => {
+        const previous = setStringifyDefaults({ indent: 2 });
+        try {
+            expect(previous.indent).toBe("");
+            expect(stringify([1])).toBe("[\n  1\n]");
+            expect(setStringifyDefaults({}).indent).toBe("  ");
+        } finally {
+            setStringifyDefaults(previous);
+        }
+        expect(stringify([1])).toBe("[1]");
+    });
+
+    it("rejects unknown or malformed options", () => {
+        expect(() => stringify(1, { foo: 1 })).toThrow('Unknown key "foo" in stringify options.');
+        expect(() => stringify(1, { indent: -1 })).toThrow(TypeError);
+        expect(() => stringify(1, { maxItems: 1.5 })).toThrow(TypeError);
+        expect(() => stringify(1, { sortKeys: 1 })).toThrow(TypeError);
+        expect(() => setStringifyDefaults(null)).toThrow(TypeError);
+    });
+
+    it("uses serializers registered by class or tag", () => {
+        class Point {
+            constructor() {
+                this.x = 1;
+            }
+        }
+        class Point3D extends Point { }
+        registerSerializer(Point, (value, context) => `Point(${context.stringify(value.x)})`);
+        registerSerializer("Custom", () => "<custom>");
+        try {
+            expect(stringify([new Point3D()])).toBe("[Point(1)]");
+            expect(stringify({ [Symbol.toStringTag]: "Custom" })).toBe("<custom>");
+        } finally {
+            expect(unregisterSerializer(Point)).toBe(true);
+            unregisterSerializer("Custom");
+        }
+        expect(unregisterSerializer(Point)).toBe(false);
+        expect(stringify(new Point())).toBe('{"x": 1}');
+        expect(() => registerSerializer(1, () => "")).toThrow(TypeError);
+        expect(() => registerSerializer(Point, 1)).toThrow(TypeError);
+    });
+});
+
+describe("describeType", () => {
+    class Foo {
+        method() { }
+    }
+    class Bar extends Foo { }
+    const summaryOf = (value) => describeType(value).summary;
+
+    it("describes class instances with their prototype chain", () => {
+        expect(describeType(new Bar())).toEqual({
+            kind: "object", type: "object", tag: "Object", constructorName: "Bar", prototypeChain: ["Bar", "Foo", "Object"],
+            isNullPrototype: false, isBoxedPrimitive: false, isProxy: false, functionKind: null, summary: "instance of Bar"
+        });
+        expect(summaryOf(new (class { })())).toBe("instance of (anonymous)");
+        expect(describeType(Object.create(null))).toMatchObject({ constructorName: null, isNullPrototype: true, summary: "null-prototype object" });
+    });
+
+    it("keeps getType names for primitives and built-in objects", () => {
+        expect(describeType(null)).toMatchObject({ kind: "null", type: "null", constructorName: null, prototypeChain: [] });
+        expect(describeType(1n)).toMatchObject({ kind: "bigint", summary: "bigint" });
+        expect(describeType(new Uint8Array(1))).toMatchObject({ tag: "Uint8Array", constructorName: "Uint8Array", summary: "uint8array" });
+        expect(summaryOf(new Map())).toBe("map");
+        expect(summaryOf({})).toBe("object");
+    });
+
+    it("detects boxed primitives and proxies", () => {
+        expect(describeType(new Number(1))).toMatchObject({ isBoxedPrimitive: true, summary: "boxed number" });
+        expect(summaryOf(Object(1n))).toBe("boxed bigint");
+        expect(describeType({ [Symbol.toStringTag]: "Number" }).isBoxedPrimitive).toBe(false);
+        expect(describeType(new Proxy({}, {})).isProxy).toBe(true);
+    });
+
+    it("tells function flavours apart", () => {
+        const kinds = [
+            [async () => { }, "arrow", "async arrow function"],
+            [async function () { }, "async", "async function"],
+            [function* () { }, "generator", "generator function"],
+            [async function* () { }, "asyncGenerator", "async generator function"],
+            [() => 1, "arrow", "arrow function"],
+            [function f() { }, "function", "function"],
+            [function () { }.bind(null), "bound", "bound function"],
+            [Foo, "class", "class Foo"],
+            [new Foo().method, "method", "function"],
+            [Math.max, "function", "function"]
+        ];
+        for (const [fn, functionKind, summary] of kinds) {
+            expect(describeType(fn)).toMatchObject({ kind: "function", functionKind, summary });
+        }
+    });
+
+    it("is used by guard messages", () => {
+        expect(() => throwIfIsNotPlainObject(new Foo(), "o")).toThrow("Expected o to be a plain object, but got instance of Foo.");
+        expect(() => throwIfIsNotString(Foo, "o")).toThrow("Expected o to be string, but got class Foo.");
+        expect(() => throwIfIsNotString(new String("x"), "o")).toThrow("Expected o to be string, but got boxed string.");
+        expect(() => withGuardLocale("zh-CN", () => throwIfIsNotString(new Foo(), "o"))).toThrow("期望 o 为 字符串，实际为 Foo 的实例。");
+    });
+});
+
+describe("isDeepEqual", () => {
+    it("compares primitives with Object.is", () => {
+        expect(isDeepEqual(NaN, NaN)).toBe(true);
+        expect(findDeepDifference(0, -0)).toMatchObject({ path: "", kind: "value" });
+        expect(findDeepDifference(1, "1")).toEqual({ path: "", kind: "type", actual: 1, expected: "1" });
+        expect(findDeepDifference({ a: [1, 2] }, { a: [1, 3] })).toEqual({ path: ".a[1]", kind: "value", actual: 2, expected: 3 });
+    });
+
+    it("compares dates, regexps, errors and binary data by content", () => {
+        expect(isDeepEqual(new Date(1), new Date(1))).toBe(true);
+        expect(isDeepEqual(new Date(1), new Date(2))).toBe(false);
+        expect(isDeepEqual(/a/g, /a/g)).toBe(true);
+        expect(isDeepEqual(/a/g, /a/i)).toBe(false);
+        expect(findDeepDifference(new Error("x"), new Error("y"))).toMatchObject({ path: ".message" });
+        expect(findDeepDifference(new TypeError("x"), new Error("x"))).toMatchObject({ path: ".name" });
+        expect(findDeepDifference(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toMatchObject({ path: "[1]", actual: 2, expected: 3 });
+        expect(findDeepDifference(new Uint8Array([1]), new Int8Array([1]))).toMatchObject({ kind: "type" });
+        expect(isDeepEqual(new ArrayBuffer(2), new ArrayBuffer(2))).toBe(true);
+    });
+
+    it("matches Map keys and Set members deeply, in any order unless asked", () => {
+        expect(isDeepEqual(new Map([[{ id: 1 }, [NaN]]]), new Map([[{ id: 1 }, [NaN]]]))).toBe(true);
+        expect(isDeepEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true);
+        expect(findDeepDifference(new Set([1, 2]), new Set([2, 1]), { orderedCollections: true })).toMatchObject({ kind: "order", index: 0 });
+        expect(findDeepDifference(new Map([["k", 1]]), new Map([["k", 2]]))).toMatchObject({ path: '.get("k")', kind: "value" });
+        expect(findDeepDifference(new Set([1]), new Set([2]))).toMatchObject({ kind: "missing", of: "member", expected: 2 });
+    });
+
+    it("reports missing and extra properties", () => {
+        expect(findDeepDifference({ a: 1 }, {})).toEqual({ path: ".a", kind: "extra", of: "property", actual: 1, expected: undefined });
+        expect(findDeepDifference({}, { a: 1 })).toEqual({ path: ".a", kind: "missing", of: "property", actual: undefined, expected: 1 });
+        expect(isDeepEqual({ [Symbol.for("s")]: 1 }, { [Symbol.for("s")]: 2 })).toBe(false);
+    });
+
+    it("handles circular references", () => {
+        const a = { x: 1 };
+        a.self = a;
+        const b = { x: 1 };
+        b.self = b;
+        const c = { x: 2 };
+        c.self = c;
+        expect(isDeepEqual(a, b)).toBe(true);
+        expect(findDeepDifference(a, c)).toMatchObject({ path: ".x" });
+    });
+
+    it("compares prototypes and descriptors in strict mode without invoking getters", () => {
+        class Foo { }
+        expect(isDeepEqual(new Foo(), {})).toBe(true);
+        expect(findDeepDifference(new Foo(), {}, { strict: true })).toMatchObject({ kind: "prototype" });
+        expect(isDeepEqual(Object.create(null), {}, { strict: true })).toBe(false);
+        const hidden = Object.defineProperty({}, "a", { value: 1, enumerable: false });
+        expect(isDeepEqual(hidden, {})).toBe(true);
+        expect(findDeepDifference(hidden, {}, { strict: true })).toMatchObject({ path: ".a", kind: "extra" });
+        expect(findDeepDifference({ a: 1 }, Object.freeze({ a: 1 }), { strict: true })).toMatchObject({ kind: "descriptor", attribute: "configurable" });
+        let calls = 0;
+        const getter = () => ({
+            get v() {
+                calls++;
+                return 1;
+            }
+        });
+        expect(isDeepEqual(getter(), getter(), { strict: true })).toBe(false);
+        expect(calls).toBe(0);
+    });
+
+    it("rejects malformed options", () => {
+        expect(() => isDeepEqual(1, 1, { foo: true })).toThrow('Unknown key "foo" in deep equal options.');
+        expect(() => isDeepEqual(1, 1, { strict: 1 })).toThrow(TypeError);
+        expect(() => findDeepDifference(1, 1, null)).toThrow(TypeError);
+    });
+});
+
+describe("serialize and deserialize", () => {
+    const roundTrip = (value) => deserialize(serialize(value));
+
+    it("round-trips values JSON cannot represent", () => {
+        const value = {
+            missing: undefined, nan: NaN, negativeZero: -0, infinity: -Infinity, big: 1n,
+            date: new Date(5), invalidDate: new Date(NaN), pattern: /a+/gi,
+            lookup: new Map([[{ k: 1 }, [1n]]]), tags: new Set(["a"]), holes: [undefined, 1], $type: "x"
+        };
+        const copy = roundTrip(value);
+        expect(isDeepEqual(copy, value)).toBe(true);
+        expect(Object.hasOwn(copy, "missing")).toBe(true);
+        expect(Object.is(copy.negativeZero, -0)).toBe(true);
+        expect(copy.$type).toBe("x");
+        expect(roundTrip({ $type: "Map" })).toEqual({ $type: "Map" });
+    });
+
+    it("keeps shared and circular references", () => {
+        const data = { id: 1n, tags: new Set(["a"]) };
+        data.self = data;
+        expect(serialize(data)).toBe('{"$type":"Object","id":0,"value":{"id":{"$type":"bigint","value":"1"},"tags":{"$type":"Set","value":["a"]},"self":{"$type":"Ref","id":0}}}');
+        const restored = roundTrip(data);
+        expect(restored.self).toBe(restored);
+        const shared = { s: 1 };
+        const copy = roundTrip({ a: shared, b: [shared] });
+        expect(copy.a).toBe(copy.b[0]);
+        const cyclic = new Map();
+        cyclic.set("self", cyclic);
+        const map = roundTrip(cyclic);
+        expect(map.get("self")).toBe(map);
+    });
+
+    it("refuses values it cannot restore", () => {
+        expect(() => serialize({ f() { } })).toThrow("Cannot serialize function at value.f.");
+        expect(() => serialize({ s: Symbol() })).toThrow("Cannot serialize symbol at value.s.");
+        expect(() => serialize(new (class Foo { })())).toThrow("Cannot serialize instance of Foo at value, register it with registerSerializableClass first.");
+    });
+
+    it("rejects unknown tags and malformed input", () => {
+        expect(() => deserialize('{"$type":"Function","value":"alert(1)"}')).toThrow('Unknown tag "Function" at data in serialized data.');
+        expect(() => deserialize('{"$type":"Ref","id":3}')).toThrow("Unresolved reference 3");
+        expect(() => deserialize('{"$type":"number","value":"abc"}')).toThrow(SyntaxError);
+        expect(() => deserialize('{"$type":"Map","value":1}')).toThrow("Expected an array but got number at data.value");
+        expect(() => deserialize('[{"$type":"Set","id":0,"value":[]},{"$type":"Set","id":0,"value":[]}]')).toThrow("Duplicate reference id 0 at data[1].id");
+        expect(() => deserialize('{"$type":"Object","value":{},"extra":1}')).toThrow('Unexpected key "extra"');
+        expect(() => deserialize("{")).toThrow(SyntaxError);
+        expect(() => deserialize(1)).toThrow(TypeError);
+    });
+
+    it("restores __proto__ as an own property", () => {
+        const value = deserialize('{"__proto__":{"polluted":1}}');
+        expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+        expect(Object.hasOwn(value, "__proto__")).toBe(true);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it("uses registered classes", () => {
+        class Point {
+            constructor(x, y) {
+                this.x = x;
+                this.y = y;
+            }
+        }
+        class Point3D extends Point { }
+        registerSerializableClass(Point, { serialize: p => [p.x, p.y], deserialize: ([x, y]) => new Point(x, y) });
+        try {
+            const point = new Point(1, 2);
+            expect(serialize(point)).toBe('{"$type":"Point","value":[1,2]}');
+            const copy = roundTrip({ a: point, b: point, c: new Point3D(3, 4) });
+            expect(copy.a).toBeInstanceOf(Point);
+            expect(copy.a).toBe(copy.b);
+            expect(copy.c).toMatchObject({ x: 3, y: 4 });
+            expect(() => registerSerializableClass(Point, { tag: "Map", serialize: () => 1, deserialize: () => 1 })).toThrow('Tag "Map" is reserved for built-in types.');
+        } finally {
+            expect(unregisterSerializableClass("Point")).toBe(true);
+        }
+        expect(unregisterSerializableClass(Point)).toBe(false);
+        expect(() => deserialize('{"$type":"Point","value":[1,2]}')).toThrow('Unknown tag "Point"');
+    });
+});